@@ -0,0 +1,1752 @@
+-- Baseline: the schema as it existed before the 20261019* migrations, generated with
+--   prisma migrate diff --from-empty --to-schema-datamodel prisma/schema.prisma --script
+-- from the schema of that time.
+--
+-- A fresh database gets it from `prisma migrate deploy` like any other migration.
+-- A database that already has these tables must not run it: mark it as applied once with
+--   npx prisma migrate resolve --applied 0_init   (or: npm run db:baseline)
+-- and then run `npx prisma migrate deploy` (npm run db:migrate) for the migrations after it.
+
+-- CreateTable
+CREATE TABLE `jabatanUmum` (
+    `jabatanUmumId` INTEGER NOT NULL,
+    `JabatanUmumKode` VARCHAR(255) NULL,
+    `jabatanUmumNama` VARCHAR(255) NULL,
+    `jabatanUmumCepatKode` VARCHAR(255) NULL,
+    `jabatanUmumStatus` INTEGER NULL,
+
+    PRIMARY KEY (`jabatanUmumId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_adm_hukuman` (
+    `adm_hukuman_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `adm_hukuman_kode` VARCHAR(255) NULL,
+    `adm_hukuman_nama` VARCHAR(255) NULL,
+    `adm_hukuman_create_by` INTEGER NULL,
+    `adm_hukuman_create_date` DATETIME(0) NULL,
+    `adm_hukuman_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`adm_hukuman_id`),
+    INDEX `IDS`(`adm_hukuman_nama`),
+    PRIMARY KEY (`adm_hukuman_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_alasan_hukuman` (
+    `alasan_hukuman_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `alasan_hukuman_kode` VARCHAR(255) NULL,
+    `alasan_hukuman_nama` VARCHAR(255) NULL,
+    `alasan_hukuman_keterangan` VARCHAR(255) NULL,
+    `alasan_hukuman_status` INTEGER NULL,
+    `alasan_hukuman_create_date` DATETIME(0) NULL,
+    `alasan_hukuman_update_date` DATETIME(0) NULL,
+    `alasan_hukuman_create_by` INTEGER NULL,
+    `alasan_hukuman_update_by` INTEGER NULL,
+
+    PRIMARY KEY (`alasan_hukuman_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_api_code` (
+    `api_device_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `api_device_app_code` VARCHAR(255) NULL,
+    `api_device_app_name` VARCHAR(255) NULL,
+    `api_device_create_by` INTEGER NULL,
+    `api_device_create_date` DATETIME(0) NULL,
+    `api_device_status` INTEGER NULL,
+    `api_device_last_access_date` DATETIME(0) NULL,
+
+    PRIMARY KEY (`api_device_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_cuti` (
+    `cuti_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `cuti_name` VARCHAR(255) NULL,
+    `cuti_create_by` INTEGER NULL,
+    `cuti_create_date` DATETIME(0) NULL,
+    `cuti_update_by` INTEGER NULL,
+    `cuti_update_date` DATETIME(0) NULL,
+    `cuti_status` INTEGER NULL,
+
+    PRIMARY KEY (`cuti_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_diklat_jenis` (
+    `ms_diklat_jenis_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ms_diklat_jenis_name` VARCHAR(255) NULL,
+    `ms_diklat_jenis_create_date` DATETIME(0) NULL,
+    `ms_diklat_jenis_create_by` INTEGER NULL,
+    `ms_diklat_jenis_status` INTEGER NULL,
+    `ms_diklat_jenis_kode` INTEGER NULL,
+
+    PRIMARY KEY (`ms_diklat_jenis_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_employee` (
+    `employee_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `employee_fullname` VARCHAR(255) NULL,
+    `employee_nip` VARCHAR(255) NULL,
+    `employee_address` LONGTEXT NULL,
+    `employee_photo` VARCHAR(255) NULL DEFAULT 'defaultphoto.jpg',
+    `employee_phone` VARCHAR(32) NULL,
+    `employee_email` VARCHAR(125) NULL,
+    `employee_create_by` INTEGER NULL,
+    `employee_create_date` DATETIME(0) NULL,
+    `employee_update_by` INTEGER NULL,
+    `employee_update_date` DATETIME(0) NULL,
+    `employee_status` INTEGER NULL,
+    `employee_log_code` VARCHAR(255) NULL,
+    `employee_gender` INTEGER NULL,
+    `employee_religion` INTEGER NULL,
+    `employee_oldnip` VARCHAR(255) NULL,
+    `employee_dateofbirth` DATE NULL,
+    `employee_placeofbirth` VARCHAR(255) NULL,
+    `employee_npwp` VARCHAR(255) NULL,
+    `employee_bpjs` VARCHAR(255) NULL,
+    `employee_nik` VARCHAR(255) NULL,
+    `employee_gelardepan` VARCHAR(255) NULL,
+    `employee_gelarbelakang` VARCHAR(255) NULL,
+    `employee_kelurahan_id` INTEGER NULL,
+    `employee_karpeg` VARCHAR(255) NULL,
+    `employee_pos` INTEGER NULL,
+    `employee_alamat_domisili` VARCHAR(255) NULL,
+    `employee_kelurahan_domisili` INTEGER NULL,
+    `employee_pos_domisili` INTEGER NULL,
+    `employee_darah` INTEGER NULL,
+    `employee_pensiun_id` INTEGER NULL,
+    `employee_taspen` VARCHAR(255) NULL,
+    `employee_karis_karsu` VARCHAR(255) NULL,
+    `employee_tinggi` VARCHAR(255) NULL,
+    `employee_berat` VARCHAR(255) NULL,
+    `employee_rambut` VARCHAR(255) NULL,
+    `employee_muka` VARCHAR(255) NULL,
+    `employee_warna` VARCHAR(255) NULL,
+    `employee_ciri` VARCHAR(255) NULL,
+    `employee_cacat` VARCHAR(255) NULL,
+    `employee_pmk_tahun` INTEGER NULL,
+    `employee_pmk_bulan` INTEGER NULL,
+    `employee_pmk_tmt` DATE NULL,
+    `employee_status_asn` INTEGER NULL,
+    `employee_bkn` VARCHAR(255) NULL,
+    `employee_facereg` BOOLEAN NULL,
+
+    UNIQUE INDEX `ID`(`employee_id`),
+    UNIQUE INDEX `NIP UNIQUE`(`employee_nip`),
+    UNIQUE INDEX `NIP NIK`(`employee_nip`, `employee_nik`),
+    INDEX `NAME`(`employee_fullname`, `employee_gender`, `employee_religion`, `employee_status`, `employee_kelurahan_id`, `employee_pensiun_id`),
+    INDEX `NIP`(`employee_nip`, `employee_status_asn`),
+    PRIMARY KEY (`employee_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_employee_copy1` (
+    `employee_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `employee_fullname` VARCHAR(255) NULL,
+    `employee_nip` VARCHAR(255) NULL,
+    `employee_address` LONGTEXT NULL,
+    `employee_photo` VARCHAR(255) NULL DEFAULT 'defaultphoto.jpg',
+    `employee_phone` VARCHAR(32) NULL,
+    `employee_email` VARCHAR(125) NULL,
+    `employee_create_by` INTEGER NULL,
+    `employee_create_date` DATETIME(0) NULL,
+    `employee_update_by` INTEGER NULL,
+    `employee_update_date` DATETIME(0) NULL,
+    `employee_status` INTEGER NULL,
+    `employee_log_code` VARCHAR(255) NULL,
+    `employee_gender` INTEGER NULL,
+    `employee_religion` INTEGER NULL,
+    `employee_oldnip` VARCHAR(255) NULL,
+    `employee_dateofbirth` DATE NULL,
+    `employee_placeofbirth` VARCHAR(255) NULL,
+    `employee_npwp` VARCHAR(255) NULL,
+    `employee_bpjs` VARCHAR(255) NULL,
+    `employee_nik` VARCHAR(255) NULL,
+    `employee_gelardepan` VARCHAR(255) NULL,
+    `employee_gelarbelakang` VARCHAR(255) NULL,
+    `employee_kelurahan_id` INTEGER NULL,
+    `employee_karpeg` VARCHAR(255) NULL,
+    `employee_pos` INTEGER NULL,
+    `employee_alamat_domisili` VARCHAR(255) NULL,
+    `employee_kelurahan_domisili` INTEGER NULL,
+    `employee_pos_domisili` INTEGER NULL,
+    `employee_darah` INTEGER NULL,
+    `employee_pensiun_id` INTEGER NULL,
+    `employee_taspen` VARCHAR(255) NULL,
+    `employee_karis_karsu` VARCHAR(255) NULL,
+    `employee_tinggi` VARCHAR(255) NULL,
+    `employee_berat` VARCHAR(255) NULL,
+    `employee_rambut` VARCHAR(255) NULL,
+    `employee_muka` VARCHAR(255) NULL,
+    `employee_warna` VARCHAR(255) NULL,
+    `employee_ciri` VARCHAR(255) NULL,
+    `employee_cacat` VARCHAR(255) NULL,
+    `employee_pmk_tahun` INTEGER NULL,
+    `employee_pmk_bulan` INTEGER NULL,
+    `employee_pmk_tmt` DATE NULL,
+    `employee_status_asn` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`employee_id`),
+    INDEX `NAME`(`employee_fullname`, `employee_gender`, `employee_religion`, `employee_status`, `employee_kelurahan_id`, `employee_pensiun_id`),
+    INDEX `NIP`(`employee_nip`),
+    PRIMARY KEY (`employee_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_employee_history` (
+    `employee_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `employee_fullname` VARCHAR(255) NULL,
+    `employee_nip` VARCHAR(255) NULL,
+    `employee_address` LONGTEXT NULL,
+    `employee_photo` VARCHAR(255) NULL DEFAULT 'defaultphoto.jpg',
+    `employee_phone` VARCHAR(32) NULL,
+    `employee_email` VARCHAR(125) NULL,
+    `employee_create_by` INTEGER NULL,
+    `employee_create_date` DATETIME(0) NULL,
+    `employee_update_by` INTEGER NULL,
+    `employee_update_date` DATETIME(0) NULL,
+    `employee_status` INTEGER NULL,
+    `employee_log_code` VARCHAR(255) NULL,
+    `employee_gender` INTEGER NULL,
+    `employee_religion` INTEGER NULL,
+    `employee_oldnip` VARCHAR(255) NULL,
+    `employee_dateofbirth` DATE NULL,
+    `employee_placeofbirth` VARCHAR(255) NULL,
+    `employee_npwp` VARCHAR(255) NULL,
+    `employee_bpjs` VARCHAR(255) NULL,
+    `employee_nik` VARCHAR(255) NULL,
+    `employee_gelardepan` VARCHAR(255) NULL,
+    `employee_gelarbelakang` VARCHAR(255) NULL,
+    `employee_kelurahan_id` INTEGER NULL,
+    `employee_karpeg` VARCHAR(255) NULL,
+    `employee_pos` INTEGER NULL,
+    `employee_alamat_domisili` VARCHAR(255) NULL,
+    `employee_kelurahan_domisili` INTEGER NULL,
+    `employee_pos_domisili` INTEGER NULL,
+    `employee_darah` INTEGER NULL,
+    `employee_pensiun_id` INTEGER NULL,
+    `employee_taspen` VARCHAR(255) NULL,
+    `employee_karis_karsu` VARCHAR(255) NULL,
+    `employee_tinggi` VARCHAR(255) NULL,
+    `employee_berat` VARCHAR(255) NULL,
+    `employee_rambut` VARCHAR(255) NULL,
+    `employee_muka` VARCHAR(255) NULL,
+    `employee_warna` VARCHAR(255) NULL,
+    `employee_ciri` VARCHAR(255) NULL,
+    `employee_cacat` VARCHAR(255) NULL,
+    `employee_pmk_tahun` INTEGER NULL,
+    `employee_pmk_bulan` INTEGER NULL,
+    `employee_pmk_tmt` DATE NULL,
+
+    UNIQUE INDEX `ID`(`employee_id`, `employee_nip`),
+    INDEX `NAME`(`employee_fullname`, `employee_gender`, `employee_religion`, `employee_status`, `employee_kelurahan_id`, `employee_pensiun_id`),
+    PRIMARY KEY (`employee_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_employee_tukin` (
+    `tukin_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `tukin_employee_id` INTEGER NULL,
+    `tukin_employee` DECIMAL(10,2) NULL,
+    `tukin_create_by` INTEGER NULL,
+    `tukin_create_date` DATETIME(0) NULL,
+    `tukin_update_by` INTEGER NULL,
+    `tukin_update_date` DATETIME(0) NULL,
+    `tukin_start_date` DATE NULL,
+    `tukin_end_date` DATE NULL,
+    `tukin_status` INTEGER NULL,
+    `tukin_pph` DECIMAL(10,2) NULL,
+
+    PRIMARY KEY (`tukin_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_eselon` (
+    `eselon_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `eselon_kode` INTEGER NULL,
+    `eselon_nama` VARCHAR(255) NULL,
+    `eselon_status` INTEGER NULL,
+    `eselon_kelas_jabatan` INTEGER NULL,
+    `eselon_jabatan` VARCHAR(255) NULL,
+    `eselon_jenjang` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`eselon_id`),
+    INDEX `NAME`(`eselon_kode`, `eselon_nama`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_gaji` (
+    `gaji_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `gaji_golongan_id` INTEGER NULL,
+    `gaji_masa_kerja` TINYINT NULL,
+    `gaji_gaji` VARCHAR(255) NULL,
+    `gaji_peraturan_id` INTEGER NULL,
+    `gaji_create_date` DATETIME(0) NULL,
+    `gaji_create_by` INTEGER NULL,
+    `gaji_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`gaji_id`),
+    INDEX `IDS`(`gaji_golongan_id`, `gaji_masa_kerja`, `gaji_gaji`, `gaji_peraturan_id`),
+    PRIMARY KEY (`gaji_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_gaji_p3k` (
+    `gaji_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `gaji_golongan_id` INTEGER NULL,
+    `gaji_masa_kerja` TINYINT NULL,
+    `gaji_gaji` VARCHAR(255) NULL,
+    `gaji_peraturan_id` INTEGER NULL,
+    `gaji_create_date` DATETIME(0) NULL,
+    `gaji_create_by` INTEGER NULL,
+    `gaji_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`gaji_id`),
+    INDEX `IDS`(`gaji_golongan_id`, `gaji_masa_kerja`, `gaji_gaji`, `gaji_peraturan_id`),
+    PRIMARY KEY (`gaji_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_gender` (
+    `gender_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `gender_nama` VARCHAR(255) NULL,
+    `gender_create_by` INTEGER NULL,
+    `gender_create_date` DATETIME(0) NULL,
+    `gender_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`gender_id`),
+    INDEX `NAMA`(`gender_nama`),
+    PRIMARY KEY (`gender_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_golongan` (
+    `golongan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `golongan_kode` VARCHAR(255) NULL,
+    `golongan_nama` VARCHAR(255) NULL,
+    `golongan_pangkat` VARCHAR(255) NULL,
+    `golongan_create_by` INTEGER NULL,
+    `golongan_create_date` DATETIME(0) NULL,
+    `golongan_update_by` INTEGER NULL,
+    `golongan_update_date` DATETIME(0) NULL,
+    `golongan_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`golongan_id`),
+    UNIQUE INDEX `KODE`(`golongan_kode`),
+    INDEX `NAME`(`golongan_nama`, `golongan_pangkat`),
+    PRIMARY KEY (`golongan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_golongan_p3k` (
+    `golongan_p3k_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `golongan_p3k_kode` VARCHAR(255) NULL,
+    `golongan_p3k_nama` VARCHAR(255) NULL,
+    `golongan_p3k_create_by` INTEGER NULL,
+    `golongan_p3k_create_date` DATETIME(0) NULL,
+    `golongan_p3k_status` INTEGER NULL,
+
+    PRIMARY KEY (`golongan_p3k_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_hari_libur` (
+    `hari_libur_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hari_libur_nama` VARCHAR(255) NULL,
+    `hari_libur_tanggal` DATETIME(0) NULL,
+    `hari_libur_jumlah_hari` INTEGER NULL,
+    `hari_libur_create_by` INTEGER NULL,
+    `hari_libur_create_date` DATETIME(0) NULL,
+    `hari_libur_update_by` INTEGER NULL,
+    `hari_libur_update_date` DATETIME(0) NULL,
+    `hari_libur_status` INTEGER NULL,
+    `hari_libur_old_id` INTEGER NULL,
+
+    PRIMARY KEY (`hari_libur_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_instansi_pusat` (
+    `ms_instansi_pusat_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `ms_instansi_pusat_nama` VARCHAR(255) NULL,
+    `ms_instansi_pusat_create_date` DATETIME(0) NULL,
+    `ms_instansi_pusat_create_by` INTEGER NULL,
+    `ms_instansi_pusat_status` INTEGER NULL,
+    `ms_instansi_pusat_satker_id` VARCHAR(255) NULL,
+    `ms_instansi_pusat_instansi_id` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`ms_instansi_pusat_id`),
+    INDEX `IDS`(`ms_instansi_pusat_nama`),
+    PRIMARY KEY (`ms_instansi_pusat_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_izin` (
+    `izin_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `izin_nama` VARCHAR(255) NULL,
+    `izin_create_by` INTEGER NULL,
+    `izin_create_date` DATETIME(0) NULL,
+    `izin_update_by` INTEGER NULL,
+    `izin_update_date` DATETIME(0) NULL,
+    `izin_tipe` INTEGER NULL,
+    `izin_status` TINYINT NULL,
+    `izin_jenis` INTEGER NULL,
+
+    PRIMARY KEY (`izin_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jabatan` (
+    `jabatan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jabatan_nama` VARCHAR(255) NULL,
+    `jabatan_create_by` INTEGER NULL,
+    `jabatan_create_date` DATETIME(0) NULL,
+    `jabatan_status` INTEGER NULL,
+    `jabatan_tipe` INTEGER NULL,
+    `jabatan_organization_id` INTEGER NULL,
+    `jabatan_eselon_id` INTEGER NULL,
+    `jabatan_kepegawaian` INTEGER NULL,
+    `jabatan_kode` VARCHAR(255) NULL,
+    `jabatan_bup` INTEGER NULL,
+    `jabatan_jenjang` VARCHAR(255) NULL,
+    `jabatan_kelompok` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`jabatan_id`),
+    UNIQUE INDEX `KODE`(`jabatan_kode`),
+    INDEX `NAME`(`jabatan_nama`, `jabatan_organization_id`, `jabatan_eselon_id`, `jabatan_tipe`, `jabatan_kepegawaian`, `jabatan_status`),
+    PRIMARY KEY (`jabatan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_diklat` (
+    `jenis_diklat_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_diklat` VARCHAR(255) NULL,
+    `jenis_kursus_sertipikat` CHAR(3) NULL,
+    `jenis_diklat_create_by` INTEGER NULL,
+    `jenis_diklat_create_date` DATETIME(0) NULL,
+    `jenis_diklat_update_by` INTEGER NULL,
+    `jenis_diklat_update_date` DATETIME(0) NULL,
+    `jenis_diklat_status` INTEGER NULL,
+
+    PRIMARY KEY (`jenis_diklat_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_file` (
+    `file_type_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `file_type_nama` VARCHAR(255) NULL,
+    `file_type_req` INTEGER NULL,
+    `file_type_status` INTEGER NULL,
+    `file_type_create_by` INTEGER NULL,
+    `file_type_create_date` DATETIME(0) NULL,
+    `file_type_update_by` INTEGER NULL,
+    `file_type_update_date` DATETIME(0) NULL,
+    `requirement_field` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`file_type_id`),
+    INDEX `IDS`(`file_type_nama`, `file_type_req`),
+    PRIMARY KEY (`file_type_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_hukuman` (
+    `jenis_hukuman_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_hukuman_kode` VARCHAR(255) NULL,
+    `jenis_hukuman_nama` VARCHAR(255) NULL,
+    `jenis_hukuman_create_by` INTEGER NULL,
+    `jenis_hukuman_create_date` DATETIME(0) NULL,
+    `jenis_hukuman_status` INTEGER NULL,
+    `jenis_tingkat_hukuman` INTEGER NULL,
+    `jenis_hukuman_update_by` INTEGER NULL,
+    `jenis_hukuman_update_date` DATETIME(0) NULL,
+
+    UNIQUE INDEX `ID`(`jenis_hukuman_id`),
+    UNIQUE INDEX `ms_jenis_hukuman_jenis_hukuman_kode_key`(`jenis_hukuman_kode`),
+    INDEX `IDS`(`jenis_hukuman_nama`),
+    PRIMARY KEY (`jenis_hukuman_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_kenaikan` (
+    `jenis_kp_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_kp_kode` INTEGER NULL,
+    `jenis_kp_nama` VARCHAR(255) NULL,
+    `jenis_kp_create_date` DATETIME(0) NULL,
+    `jenis_kp_create_by` INTEGER NULL,
+    `jenis_kp_update_date` DATETIME(0) NULL,
+    `jenis_kp_update_by` INTEGER NULL,
+    `jenis_kp_status` INTEGER NULL,
+
+    PRIMARY KEY (`jenis_kp_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_pemberhentian` (
+    `jenis_pemberhentian_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_pemberhentian_nama` VARCHAR(255) NULL,
+    `jenis_pemberhentian_status` INTEGER NULL,
+    `jenis_pemberhentian_create_date` DATETIME(0) NULL,
+    `jenis_pemberhentian_create_by` INTEGER NULL,
+    `jenis_pemberhentian_update_date` DATETIME(0) NULL,
+    `jenis_pemberhentian_update_by` INTEGER NULL,
+
+    PRIMARY KEY (`jenis_pemberhentian_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_pengadaan` (
+    `jenis_pengadaan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_pengadaan_nama` VARCHAR(255) NULL,
+    `jenis_pengadaan_kode` VARCHAR(255) NULL,
+    `jenis_pengadaan_create_by` INTEGER NULL,
+    `jenis_pengadaan_create_date` DATETIME(0) NULL,
+    `jenis_pengadaan_update_by` INTEGER NULL,
+    `jenis_pengadaan_update_date` DATETIME(0) NULL,
+    `jenis_pengadaan_status` INTEGER NULL,
+
+    PRIMARY KEY (`jenis_pengadaan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_penghargaan` (
+    `jenis_penghargaan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_penghargaan_nama` VARCHAR(255) NULL,
+    `jenis_penghargaan_status` INTEGER NULL,
+    `jenis_penghargaan_create_date` DATETIME(0) NULL,
+    `jenis_penghargaan_create_by` INTEGER NULL,
+    `jenis_penghargaan_update_date` DATETIME(0) NULL,
+    `jenis_penghargaan_update_by` INTEGER NULL,
+
+    PRIMARY KEY (`jenis_penghargaan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenis_pensiun` (
+    `jenis_pensiun_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenis_pensiun_nama` VARCHAR(255) NULL,
+    `jenis_pensiun_status` INTEGER NULL,
+    `jenis_pensiun_create_date` DATETIME(0) NULL,
+    `jenis_pensiun_create_by` INTEGER NULL,
+    `jenis_pensiun_update_date` DATETIME(0) NULL,
+    `jenis_pensiun_update_by` INTEGER NULL,
+
+    PRIMARY KEY (`jenis_pensiun_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_jenjang` (
+    `jenjang_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `jenjang_nama` VARCHAR(255) NULL,
+    `jenjang_create_by` INTEGER NULL,
+    `jenjang_create_date` DATETIME(0) NULL,
+    `jenjang_update_by` INTEGER NULL,
+    `jenjang_update_date` DATETIME(0) NULL,
+    `jenjang_status` INTEGER NULL,
+    `jenjang_fullname` VARCHAR(255) NULL,
+    `jenjang_kode` VARCHAR(255) NULL,
+
+    PRIMARY KEY (`jenjang_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_kecamatan` (
+    `kecamatan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `kecamatan_kota_kode` VARCHAR(255) NULL,
+    `kecamatan_kode` VARCHAR(255) NULL,
+    `kecamatan_nama` VARCHAR(255) NULL,
+    `kecamatan_create_by` INTEGER NULL,
+    `kecamatan_create_date` DATETIME(0) NULL,
+    `kecamatan_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`kecamatan_id`),
+    INDEX `NAME`(`kecamatan_kode`, `kecamatan_kota_kode`, `kecamatan_nama`),
+    PRIMARY KEY (`kecamatan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_keluarga` (
+    `hubungan_keluarga_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hubungan_keluarga_nama` VARCHAR(255) NULL,
+    `hubungan_keluarga_status` INTEGER NULL,
+    `hubungan_keluarga_create_by` INTEGER NULL,
+    `hubungan_keluarga_create_date` DATETIME(0) NULL,
+
+    INDEX `ID`(`hubungan_keluarga_id`),
+    PRIMARY KEY (`hubungan_keluarga_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_kelurahan` (
+    `kelurahan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `kelurahan_kecamatan_kode` VARCHAR(255) NULL,
+    `kelurahan_kode` VARCHAR(255) NULL,
+    `kelurahan_nama` VARCHAR(255) NULL,
+    `kelurahan_create_by` INTEGER NULL,
+    `kelurahan_create_date` DATETIME(0) NULL,
+    `kelurahan_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`kelurahan_id`),
+    INDEX `NAME`(`kelurahan_kode`, `kelurahan_kecamatan_kode`, `kelurahan_nama`),
+    PRIMARY KEY (`kelurahan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_kota` (
+    `kota_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `kota_provinsi_kode` VARCHAR(255) NULL,
+    `kota_kode` VARCHAR(255) NULL,
+    `kota_nama` VARCHAR(255) NULL,
+    `kota_create_by` INTEGER NULL,
+    `kota_create_date` DATETIME(0) NULL,
+    `kota_status` INTEGER NULL,
+    `kota_nama_old` VARCHAR(255) NULL,
+    `kota_satker_id` VARCHAR(255) NULL,
+    `kota_instansi_id` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`kota_id`),
+    INDEX `NAME`(`kota_kode`, `kota_provinsi_kode`, `kota_nama`),
+    PRIMARY KEY (`kota_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_latihan_struktural` (
+    `latihan_struktural_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `latihan_nama` VARCHAR(255) NULL,
+    `latihan_status` INTEGER NULL,
+    `latihan_create_by` INTEGER NULL,
+    `latihan_create_date` DATETIME(0) NULL,
+    `latihan_update_by` INTEGER NULL,
+    `latihan_update_date` DATETIME(0) NULL,
+
+    PRIMARY KEY (`latihan_struktural_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_negara` (
+    `negara_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `negara_type` INTEGER NULL,
+    `negara_kode` VARCHAR(255) NULL,
+    `negara_nama` VARCHAR(255) NULL,
+    `negara_create_by` INTEGER NULL,
+    `negara_create_date` DATETIME(0) NULL,
+    `negara_status` INTEGER NULL,
+
+    PRIMARY KEY (`negara_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_organization` (
+    `organization_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `organization_parent_id` INTEGER NULL,
+    `organization_name` VARCHAR(255) NULL,
+    `organization_level` INTEGER NULL,
+    `organization_create_date` DATETIME(0) NULL,
+    `organization_create_by` INTEGER NULL,
+    `organization_status` INTEGER NULL,
+    `organization_telepon` VARCHAR(255) NULL,
+    `organization_fax` VARCHAR(255) NULL,
+    `organization_email` VARCHAR(255) NULL,
+    `organization_alamat` VARCHAR(255) NULL,
+    `organization_code` VARCHAR(255) NULL,
+    `organization_bkn_id` VARCHAR(255) NULL,
+    `organization_bkn_nama` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`organization_id`),
+    INDEX `NAME`(`organization_status`, `organization_code`, `organization_name`),
+    INDEX `PARENT`(`organization_parent_id`),
+    PRIMARY KEY (`organization_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_pensiun` (
+    `pensiun_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `pensiun_kode` VARCHAR(255) NULL,
+    `pensiun_nama` VARCHAR(255) NULL,
+    `pensiun_create_by` INTEGER NULL,
+    `pensiun_create_date` DATETIME(0) NULL,
+    `pensiun_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`pensiun_id`),
+    INDEX `NAMA`(`pensiun_kode`, `pensiun_nama`),
+    PRIMARY KEY (`pensiun_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_penyampaian_hukuman` (
+    `penyampaian_hukuman_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `penyampaian_hukuman_kode` VARCHAR(255) NULL,
+    `penyampaian_hukuman_nama` VARCHAR(255) NULL,
+    `penyampaian_hukuman_create_by` INTEGER NULL,
+    `penyampaian_hukuman_create_date` DATETIME(0) NULL,
+    `penyampaian_hukuman_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`penyampaian_hukuman_id`),
+    INDEX `IDS`(`penyampaian_hukuman_nama`),
+    PRIMARY KEY (`penyampaian_hukuman_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_peraturan` (
+    `peraturan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `peraturan_kode` VARCHAR(255) NULL,
+    `peraturan_nama` VARCHAR(255) NULL,
+    `peraturan_create_by` INTEGER NULL,
+    `peraturan_create_date` DATETIME(0) NULL,
+    `peraturan_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`peraturan_id`),
+    INDEX `IDS`(`peraturan_nama`),
+    PRIMARY KEY (`peraturan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_perilaku_kerja` (
+    `perilaku_kerja_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `perilaku_kerja_aspek` VARCHAR(100) NULL,
+    `perilaku_kerja_deskripsi` TEXT NULL,
+    `perilaku_kerja_status` INTEGER NULL,
+    `perilaku_kerja_create_by` INTEGER NULL,
+    `perilaku_kerja_create_date` DATETIME(0) NULL,
+    `perilaku_kerja_update_by` INTEGER NULL,
+    `perilaku_kerja_update_date` DATETIME(0) NULL,
+
+    PRIMARY KEY (`perilaku_kerja_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_prodi` (
+    `prodi_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `prodi_nama` VARCHAR(255) NULL,
+    `prodi_jenjang` INTEGER NULL,
+    `prodi_create_by` INTEGER NULL,
+    `prodi_create_date` DATETIME(0) NULL,
+    `prodi_update_by` INTEGER NULL,
+    `prodi_update_date` DATETIME(0) NULL,
+    `prodi_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`prodi_id`),
+    INDEX `NAME`(`prodi_nama`, `prodi_jenjang`),
+    PRIMARY KEY (`prodi_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_provinsi` (
+    `provinsi_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `provinsi_kode` VARCHAR(255) NULL,
+    `provinsi_nama` VARCHAR(255) NULL,
+    `provinsi_create_by` INTEGER NULL,
+    `provinsi_create_date` DATETIME(0) NULL,
+    `provinsi_status` INTEGER NULL,
+    `provinsi_satker_id` VARCHAR(255) NULL,
+    `provinsi_instansi_id` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`provinsi_id`),
+    INDEX `NAME`(`provinsi_kode`, `provinsi_nama`),
+    PRIMARY KEY (`provinsi_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_religion` (
+    `religion_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `religion_nama` VARCHAR(255) NULL,
+    `religion_create_by` INTEGER NULL,
+    `religion_create_date` DATETIME(0) NULL,
+    `religion_status` INTEGER NULL,
+    `religion_kode` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`religion_id`),
+    INDEX `NAMA`(`religion_nama(length: 250)`),
+    PRIMARY KEY (`religion_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_requirement` (
+    `requirement_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `requirement_service_kode` VARCHAR(255) NULL,
+    `requirement_name` VARCHAR(255) NULL,
+    `requirement_create_by` INTEGER NULL,
+    `requirement_create_date` DATETIME(0) NULL,
+    `requirement_update_by` INTEGER NULL,
+    `requirement_update_date` DATETIME(0) NULL,
+    `requirement_status` INTEGER NULL,
+    `requirement_log_id` INTEGER NULL,
+    `requirement_mandatory` INTEGER NULL,
+    `requirement_file_type` INTEGER NULL,
+    `requirement_file_insys` INTEGER NULL,
+    `requirement_field` VARCHAR(255) NULL,
+    `requirement_table` VARCHAR(255) NULL,
+    `requirement_order_by` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`requirement_id`),
+    INDEX `NAME`(`requirement_name`, `requirement_file_type`, `requirement_service_kode`, `requirement_mandatory`, `requirement_file_insys`, `requirement_status`),
+    PRIMARY KEY (`requirement_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_rumpun_diklat` (
+    `rumpun_diklat_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `rumpun_diklat_kode` VARCHAR(255) NULL,
+    `rumpun_diklat_nama` VARCHAR(255) NULL,
+    `rumpun_diklat_status` INTEGER NULL,
+    `rumpun_diklat_create_by` INTEGER NULL,
+    `rumpun_diklat_create_date` DATETIME(0) NULL,
+    `rumpun_diklat_update_by` INTEGER NULL,
+    `rumpun_diklat_update_date` DATETIME(0) NULL,
+
+    PRIMARY KEY (`rumpun_diklat_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_sekolah` (
+    `sekolah_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sekolah_npsn` VARCHAR(255) NULL,
+    `sekolah_nama` VARCHAR(255) NULL,
+    `sekolah_alamat` VARCHAR(255) NULL,
+    `sekolah_type` INTEGER NULL,
+    `sekolah_jenis` INTEGER NULL,
+    `sekolah_create_by` INTEGER NULL,
+    `sekolah_create_date` DATETIME(0) NULL,
+    `sekolah_status` INTEGER NULL,
+    `sekolah_kelurahan_koed` VARCHAR(255) NULL,
+    `sekolah_kecamatan_kode` VARCHAR(255) NULL,
+    `sekolah_kabupaten_kode` VARCHAR(255) NULL,
+    `sekolah_provinsi_kode` VARCHAR(255) NULL,
+
+    INDEX `ID`(`sekolah_id`),
+    INDEX `NAME`(`sekolah_npsn`, `sekolah_nama`, `sekolah_type`, `sekolah_jenis`),
+    PRIMARY KEY (`sekolah_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_sekolah_sd` (
+    `sekolah_sd_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sekolah_sd_npsn` VARCHAR(255) NULL,
+    `sekolah_sd_nama` VARCHAR(255) NULL,
+    `sekolah_sd_alamat` VARCHAR(255) NULL,
+    `sekolah_sd_kelurahan_id` VARCHAR(10) NULL,
+    `sekolah_sd_type` INTEGER NULL,
+    `sekolah_sd_jenis` VARCHAR(255) NULL,
+    `sekolah_sd_sk_pendirian` VARCHAR(255) NULL,
+    `sekolah_sd_tanggal_sk_pendirian` VARCHAR(255) NULL,
+    `sekolah_sd_sk_izin_operasional` VARCHAR(255) NULL,
+    `sekolah_sd_tanggal_sk_izin_operasional` VARCHAR(255) NULL,
+    `sekolah_sd_create_by` INTEGER NULL,
+    `sekolah_sd_create_date` DATETIME(0) NULL,
+    `sekolah_sd_status` INTEGER NULL,
+
+    PRIMARY KEY (`sekolah_sd_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_sekolah_sma` (
+    `sekolah_sma_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sekolah_sma_npsn` VARCHAR(255) NULL,
+    `sekolah_sma_nama` VARCHAR(255) NULL,
+    `sekolah_sma_alamat` VARCHAR(255) NULL,
+    `sekolah_sma_kelurahan_id` VARCHAR(10) NULL,
+    `sekolah_sma_type` INTEGER NULL,
+    `sekolah_sma_jenis` VARCHAR(255) NULL,
+    `sekolah_sma_sk_pendirian` VARCHAR(255) NULL,
+    `sekolah_sma_tanggal_sk_pendirian` VARCHAR(255) NULL,
+    `sekolah_sma_sk_izin_operasional` VARCHAR(255) NULL,
+    `sekolah_sma_tanggal_sk_izin_operasional` VARCHAR(255) NULL,
+    `sekolah_sma_create_by` INTEGER NULL,
+    `sekolah_sma_create_date` DATETIME(0) NULL,
+    `sekolah_sma_status` INTEGER NULL,
+    `kab` VARCHAR(255) NULL,
+    `kab_kode` VARCHAR(255) NULL,
+
+    PRIMARY KEY (`sekolah_sma_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_sekolah_smp` (
+    `sekolah_smp_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sekolah_smp_npsn` VARCHAR(255) NULL,
+    `sekolah_smp_nama` VARCHAR(255) NULL,
+    `sekolah_smp_alamat` VARCHAR(255) NULL,
+    `sekolah_smp_kelurahan_id` VARCHAR(10) NULL,
+    `sekolah_smp_type` INTEGER NULL,
+    `sekolah_smp_jenis` VARCHAR(255) NULL,
+    `sekolah_smp_sk_pendirian` VARCHAR(255) NULL,
+    `sekolah_smp_tanggal_sk_pendirian` VARCHAR(255) NULL,
+    `sekolah_smp_sk_izin_operasional` VARCHAR(255) NULL,
+    `sekolah_smp_tanggal_sk_izin_operasional` VARCHAR(255) NULL,
+    `sekolah_smp_create_by` INTEGER NULL,
+    `sekolah_smp_create_date` DATETIME(0) NULL,
+    `sekolah_smp_status` INTEGER NULL,
+
+    PRIMARY KEY (`sekolah_smp_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_sekolah_type` (
+    `sekolah_type_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `sekolah_type_kode` VARCHAR(255) NULL,
+    `sekolah_type_nama` VARCHAR(255) NULL,
+    `sekolah_type_create_by` INTEGER NULL,
+    `sekolah_type_create_date` DATETIME(0) NULL,
+    `sekolah_type_status` INTEGER NULL,
+
+    PRIMARY KEY (`sekolah_type_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_service` (
+    `service_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `service_name` VARCHAR(255) NULL,
+    `service_icon` VARCHAR(255) NULL,
+    `service_create_date` DATETIME(0) NULL,
+    `service_create_by` INTEGER NULL,
+    `service_update_date` DATETIME(0) NULL,
+    `service_update_by` INTEGER NULL,
+    `service_status` INTEGER NULL,
+    `service_kode` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`service_id`),
+    INDEX `NAMA`(`service_name`),
+    PRIMARY KEY (`service_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_shift` (
+    `shift_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shift_nama` VARCHAR(255) NULL,
+    `shift_deskripsi` VARCHAR(255) NULL,
+    `shift_create_date` DATETIME(0) NULL,
+    `shift_create_by` INTEGER NULL,
+    `shift_update_date` DATETIME(0) NULL,
+    `shift_update_by` INTEGER NULL,
+    `shift_status` INTEGER NULL,
+    `shift_unit_id` INTEGER NULL,
+
+    PRIMARY KEY (`shift_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_shift_hari` (
+    `hari_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hari_shift_id` INTEGER NULL,
+    `hari_ke` VARCHAR(255) NULL,
+    `hari_jam_masuk` VARCHAR(255) NULL,
+    `hari_jam_pulang` VARCHAR(255) NULL,
+    `hari_pagi_awal` VARCHAR(255) NULL,
+    `hari_pagi_akhir` VARCHAR(255) NULL,
+    `hari_sore_awal` VARCHAR(255) NULL,
+    `hari_sore_akhir` VARCHAR(255) NULL,
+    `hari_kerja` TINYINT NULL,
+    `hari_create_by` INTEGER NULL,
+    `hari_create_date` DATETIME(0) NULL,
+    `hari_update_by` INTEGER NULL,
+    `hari_update_date` DATETIME(0) NULL,
+
+    PRIMARY KEY (`hari_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_status_hukuman` (
+    `status_hukuman_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `status_hukuman_kode` VARCHAR(255) NULL,
+    `status_hukuman_nama` VARCHAR(255) NULL,
+    `status_hukuman_create_by` INTEGER NULL,
+    `status_hukuman_create_date` DATETIME(0) NULL,
+    `status_hukuman_status` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`status_hukuman_id`),
+    INDEX `IDS`(`status_hukuman_nama`),
+    PRIMARY KEY (`status_hukuman_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_univ` (
+    `univ_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `univ_npsn` VARCHAR(255) NULL,
+    `univ_lembaga_pembina` VARCHAR(255) NULL,
+    `univ_nama` VARCHAR(255) NULL,
+    `univ_alamat` VARCHAR(255) NULL,
+    `univ_kota_id` VARCHAR(255) NULL,
+    `univ_create_by` INTEGER NULL,
+    `univ_create_date` DATETIME(0) NULL,
+    `univ_status` INTEGER NULL,
+    `prov` VARCHAR(255) NULL,
+    `univ_jenis` VARCHAR(255) NULL,
+    `univ_tempat` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`univ_id`, `univ_npsn`),
+    INDEX `NAME`(`univ_lembaga_pembina`, `univ_nama`),
+    PRIMARY KEY (`univ_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_config` (
+    `config_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `config_code` VARCHAR(255) NULL,
+    `config_name` VARCHAR(255) NULL,
+    `config_value` VARCHAR(255) NULL,
+    `config_create_by` INTEGER NULL,
+    `config_create_date` DATETIME(0) NULL,
+    `config_update_by` INTEGER NULL,
+    `config_update_date` DATETIME(0) NULL,
+    `config_status` INTEGER NULL,
+    `config_log_code` VARCHAR(255) NULL,
+    `config_type` INTEGER NULL,
+
+    PRIMARY KEY (`config_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_menu` (
+    `menuId` INTEGER NOT NULL AUTO_INCREMENT,
+    `menuParentId` INTEGER NOT NULL,
+    `menuName` VARCHAR(255) NOT NULL,
+    `menuUrl` VARCHAR(255) NOT NULL,
+    `menuType` BOOLEAN NOT NULL,
+    `menuIcon` VARCHAR(255) NOT NULL,
+    `menuSort` BOOLEAN NOT NULL,
+    `menuCreateBy` INTEGER NOT NULL,
+    `menuCreateDate` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `menuUpdateBy` INTEGER NULL,
+    `menuUpdateDate` DATETIME(0) NULL,
+    `menuStatus` BOOLEAN NOT NULL,
+
+    UNIQUE INDEX `menu_id`(`menuId`),
+    INDEX `menu_ids`(`menuParentId`, `menuType`, `menuSort`, `menuStatus`),
+    INDEX `menu_name`(`menuName`, `menuUrl`, `menuIcon`),
+    PRIMARY KEY (`menuId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_notif` (
+    `notif_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `notif_text` VARCHAR(255) NULL,
+    `notif_from` INTEGER NULL,
+    `notif_to` INTEGER NULL,
+    `notif_link` VARCHAR(255) NULL,
+    `notif_status` INTEGER NULL,
+    `notif_date` DATETIME(0) NULL,
+    `notif_data_id` INTEGER NULL,
+    `notif_status_show` INTEGER NULL,
+    `notif_access_id` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`notif_id`),
+    INDEX `IDS`(`notif_from`, `notif_to`),
+    PRIMARY KEY (`notif_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_permission` (
+    `permissionId` INTEGER NOT NULL AUTO_INCREMENT,
+    `permissionRoleId` INTEGER NOT NULL,
+    `permissionMenuId` INTEGER NOT NULL,
+    `permissionCanRead` BOOLEAN NOT NULL,
+    `permissionCanCreate` BOOLEAN NOT NULL,
+    `permissionCanUpdate` BOOLEAN NOT NULL,
+    `permissionCanDelete` BOOLEAN NOT NULL,
+    `permissionCanApprove` BOOLEAN NOT NULL,
+    `permissionCanPrint` BOOLEAN NOT NULL,
+
+    PRIMARY KEY (`permissionId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_role` (
+    `roleId` INTEGER NOT NULL AUTO_INCREMENT,
+    `roleName` VARCHAR(255) NOT NULL,
+    `roleDefaultMenuId` INTEGER NOT NULL,
+    `roleCreateBy` INTEGER NOT NULL,
+    `roleCreateDate` DATETIME(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `roleUpdateBy` INTEGER NULL,
+    `roleUpdateDate` DATETIME(0) NULL,
+    `roleStatus` BOOLEAN NOT NULL,
+
+    UNIQUE INDEX `role_id`(`roleId`),
+    INDEX `role_ids`(`roleDefaultMenuId`, `roleStatus`),
+    INDEX `role_name`(`roleName`),
+    PRIMARY KEY (`roleId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_token` (
+    `tokenId` INTEGER NOT NULL AUTO_INCREMENT,
+    `token` VARCHAR(255) NOT NULL,
+    `tokenRefresh` VARCHAR(255) NOT NULL,
+    `tokenUserId` INTEGER NOT NULL,
+
+    UNIQUE INDEX `token_id`(`tokenId`),
+    PRIMARY KEY (`tokenId`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_user` (
+    `user_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `user_nip` VARCHAR(255) NULL,
+    `user_name` VARCHAR(255) NULL,
+    `user_password` VARCHAR(255) NULL,
+    `user_access_id` INTEGER NULL,
+    `user_is_online` INTEGER NULL,
+    `user_last_login` DATETIME(0) NULL,
+    `user_last_online` DATETIME(0) NULL,
+    `user_ip_address` VARCHAR(255) NULL,
+    `user_create_by` INTEGER NULL,
+    `user_create_date` DATETIME(0) NULL,
+    `user_update_by` INTEGER NULL,
+    `user_update_date` DATETIME(0) NULL,
+    `user_status` TINYINT NULL,
+    `user_log_code` VARCHAR(255) NULL,
+    `user_default_role_id` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`user_id`),
+    UNIQUE INDEX `NIP UNIQUE`(`user_nip`),
+    INDEX `IDS`(`user_access_id`, `user_default_role_id`, `user_status`),
+    INDEX `NAME`(`user_nip`, `user_name`),
+    PRIMARY KEY (`user_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `sys_userrole` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `userId` INTEGER NOT NULL,
+    `roleId` INTEGER NOT NULL,
+
+    UNIQUE INDEX `USER_ROLE_UNIQUE`(`userId`, `roleId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `token` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `token` LONGTEXT NULL,
+    `refreshToken` LONGTEXT NULL,
+    `user_id` INTEGER NOT NULL,
+
+    INDEX `token_user_id_fkey`(`user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_absensi` (
+    `absensi_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `absensi_employee_id` INTEGER NULL,
+    `absensi_tanggal` DATETIME(0) NULL,
+    `absensi_waktu` DATETIME(0) NULL,
+    `absensi_create_by` INTEGER NULL,
+    `absensi_create_date` DATETIME(0) NULL,
+    `absensi_koordinat` VARCHAR(255) NULL,
+    `absensi_device` VARCHAR(255) NULL,
+
+    PRIMARY KEY (`absensi_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_absensi_face` (
+    `absensi_face_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `absensi_face_employee_id` INTEGER NULL,
+    `absensi_face_status` INTEGER NULL,
+    `absensi_face_create_date` DATETIME(0) NULL,
+    `absensi_face_create_by` INTEGER NULL,
+    `absensi_face_update_date` DATETIME(0) NULL,
+    `absensi_face_update_by` INTEGER NULL,
+
+    PRIMARY KEY (`absensi_face_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_absensi_rekap` (
+    `rekap_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `rekap_employee_id` INTEGER NULL,
+    `rekap_tanggal` DATE NULL,
+    `rekap_hari_kerja` TINYINT NULL,
+    `rekap_nama_shift` VARCHAR(255) NULL,
+    `rekap_jadwal_masuk` VARCHAR(255) NULL,
+    `rekap_jadwal_keluar` VARCHAR(255) NULL,
+    `rekap_aktual_masuk` DATETIME(0) NULL,
+    `rekap_aktual_keluar` DATETIME(0) NULL,
+    `rekap_terlambat` INTEGER NULL,
+    `rekap_pulang_cepat` INTEGER NULL,
+    `rekap_durasi_kerja` INTEGER NULL,
+    `rekap_hadir_pagi` TINYINT NULL,
+    `rekap_hadir_sore` TINYINT NULL,
+    `rekap_izin_id` INTEGER NULL,
+    `rekap_cuti_id` INTEGER NULL,
+    `rekap_ket` VARCHAR(255) NULL,
+
+    PRIMARY KEY (`rekap_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_api_token` (
+    `api_token_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `api_token_device_id` INTEGER NULL,
+    `api_token_code` VARCHAR(255) NULL,
+    `api_token_valid_date` DATETIME(0) NULL,
+    `api_token_ip_address` VARCHAR(255) NULL,
+
+    PRIMARY KEY (`api_token_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_belajar` (
+    `belajar_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `belajar_employee_id` INTEGER NULL,
+    `belajar_univ_id` INTEGER NULL,
+    `belajar_prodi_id` INTEGER NULL,
+    `belajar_nomor` VARCHAR(255) NULL,
+    `belajar_pejabat` VARCHAR(255) NULL,
+    `belajar_tanggal` DATE NULL,
+    `belajar_jenjang_id` INTEGER NULL,
+    `belajar_lokasi` VARCHAR(255) NULL,
+    `belajar_create_date` DATETIME(0) NULL,
+    `belajar_create_by` INTEGER NULL,
+    `belajar_update_date` DATETIME(0) NULL,
+    `belajar_update_by` INTEGER NULL,
+    `belajar_status` INTEGER NULL,
+    `belajar_jenis` INTEGER NULL,
+    `belajar_mulai` YEAR NULL,
+    `belajar_selesai` YEAR NULL,
+    `belajar_sponsor` VARCHAR(255) NULL,
+    `belajar_file_id` INTEGER NULL,
+    `belajar_status_proses` INTEGER NULL,
+    `belajar_ket` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`belajar_id`),
+    INDEX `IDS`(`belajar_employee_id`, `belajar_univ_id`, `belajar_prodi_id`, `belajar_jenjang_id`, `belajar_lokasi`, `belajar_jenis`, `belajar_mulai`, `belajar_selesai`, `belajar_status_proses`, `belajar_status`, `belajar_file_id`),
+    PRIMARY KEY (`belajar_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_cuti` (
+    `cuti_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `cuti_jenis_id` INTEGER NULL,
+    `cuti_tanggal_mulai` DATE NULL,
+    `cuti_tanggal_selesai` DATE NULL,
+    `cuti_nomor` VARCHAR(255) NULL,
+    `cuti_tanggal` DATE NULL,
+    `cuti_pejabat` VARCHAR(255) NULL,
+    `cuti_anak_ke` INTEGER NULL,
+    `cuti_employee_id` INTEGER NULL,
+    `cuti_create_date` DATETIME(0) NULL,
+    `cuti_create_by` INTEGER NULL,
+    `cuti_update_date` DATETIME(0) NULL,
+    `cuti_update_by` INTEGER NULL,
+    `cuti_status` INTEGER NULL,
+    `cuti_file_id` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`cuti_id`),
+    INDEX `IDS`(`cuti_jenis_id`, `cuti_file_id`),
+    PRIMARY KEY (`cuti_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_diklat` (
+    `diklat_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `diklat_employee_id` INTEGER NULL,
+    `diklat_type_id` INTEGER NULL,
+    `diklat_jenis_id` INTEGER NULL,
+    `diklat_angkatan` VARCHAR(11) NULL,
+    `diklat_penyelenggara` VARCHAR(255) NULL,
+    `diklat_jumlah_jam` INTEGER NULL,
+    `diklat_tanggal_mulai` DATE NULL,
+    `diklat_tanggal_selesai` DATE NULL,
+    `diklat_predikat` VARCHAR(255) NULL,
+    `diklat_lokasi` VARCHAR(255) NULL,
+    `diklat_nomor_sertifikat` VARCHAR(255) NULL,
+    `diklat_tanggal_sertifikat` DATE NULL,
+    `diklat_create_by` INTEGER NULL,
+    `diklat_create_date` DATETIME(0) NULL,
+    `diklat_update_by` INTEGER NULL,
+    `diklat_update_date` DATETIME(0) NULL,
+    `diklat_status` INTEGER NULL,
+    `diklat_nama` VARCHAR(255) NULL,
+    `diklat_file_id` INTEGER NULL,
+    `diklat_ket` VARCHAR(255) NULL,
+    `diklat_rumpun` INTEGER NULL,
+    `diklat_nama_id` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`diklat_id`),
+    INDEX `IDS`(`diklat_employee_id`, `diklat_type_id`, `diklat_jenis_id`, `diklat_penyelenggara`, `diklat_predikat`, `diklat_nomor_sertifikat`, `diklat_file_id`, `diklat_status`),
+    PRIMARY KEY (`diklat_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_cpns` (
+    `cpns_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `cpns_employee_id` INTEGER NULL,
+    `cpns_tmt` DATE NULL,
+    `cpns_tgl_sk` DATE NULL,
+    `cpns_no_sk` VARCHAR(255) NULL,
+    `cpns_create_by` INTEGER NULL,
+    `cpns_create_date` DATETIME(0) NULL,
+    `cpns_update_by` INTEGER NULL,
+    `cpns_update_date` DATETIME(0) NULL,
+
+    UNIQUE INDEX `ID`(`cpns_id`),
+    INDEX `NAME`(`cpns_employee_id`, `cpns_tmt`, `cpns_tgl_sk`, `cpns_no_sk`),
+    PRIMARY KEY (`cpns_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_cpns_history` (
+    `cpns_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `cpns_employee_id` INTEGER NULL,
+    `cpns_tmt` DATE NULL,
+    `cpns_tgl_sk` DATE NULL,
+    `cpns_no_sk` VARCHAR(255) NULL,
+    `cpns_create_by` INTEGER NULL,
+    `cpns_create_date` DATETIME(0) NULL,
+    `cpns_update_by` INTEGER NULL,
+    `cpns_update_date` DATETIME(0) NULL,
+
+    UNIQUE INDEX `ID`(`cpns_id`),
+    INDEX `NAME`(`cpns_employee_id`, `cpns_tmt`, `cpns_tgl_sk`, `cpns_no_sk`),
+    PRIMARY KEY (`cpns_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_file` (
+    `file_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `file_employee_id` INTEGER NULL,
+    `file_name` VARCHAR(255) NULL,
+    `file_type` INTEGER NULL,
+    `file_path` VARCHAR(255) NULL,
+    `file_status` INTEGER NULL,
+    `file_create_by` INTEGER NULL,
+    `file_create_date` DATETIME(0) NULL,
+    `file_update_by` INTEGER NULL,
+    `file_update_date` DATETIME(0) NULL,
+    `file_log_id` INTEGER NULL,
+    `file_size` DOUBLE NULL,
+    `file_ext` VARCHAR(255) NULL,
+    `file_ket` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`file_id`),
+    INDEX `IDS`(`file_employee_id`),
+    INDEX `NAME`(`file_name`, `file_type`, `file_path`, `file_ket`),
+    PRIMARY KEY (`file_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_pensiun` (
+    `trx_pensiun_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `trx_pensiun_employee_id` INTEGER NULL,
+    `trx_pensiun_pensiun_id` INTEGER NULL,
+    `trx_pensiun_tanggal` DATE NULL,
+    `trx_pensiun_nomor` VARCHAR(255) NULL,
+    `trx_pensiun_pejabat` VARCHAR(255) NULL,
+    `trx_pensiun_status` INTEGER NULL,
+    `trx_pensiun_create_date` DATETIME(0) NULL,
+    `trx_pensiun_create_by` INTEGER NULL,
+    `trx_pensiun_update_date` DATETIME(0) NULL,
+    `trx_pensiun_update_by` INTEGER NULL,
+    `trx_pensiun_file_id` INTEGER NULL,
+    `trx_pensiun_tmt` DATE NULL,
+    `trx_pensiun_instansi_id` INTEGER NULL,
+    `trx_pensiun_instansi_type` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`trx_pensiun_id`),
+    INDEX `IDS`(`trx_pensiun_employee_id`, `trx_pensiun_pensiun_id`, `trx_pensiun_file_id`, `trx_pensiun_instansi_id`),
+    PRIMARY KEY (`trx_pensiun_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_pns` (
+    `pns_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `pns_employee_id` INTEGER NULL,
+    `pns_tmt` DATE NULL,
+    `pns_tgl_sk` DATE NULL,
+    `pns_no_sk` VARCHAR(255) NULL,
+    `pns_create_by` INTEGER NULL,
+    `pns_create_date` DATETIME(0) NULL,
+    `pns_update_by` INTEGER NULL,
+    `pns_update_date` DATETIME(0) NULL,
+
+    UNIQUE INDEX `ID`(`pns_id`),
+    INDEX `NAME`(`pns_employee_id`, `pns_tmt`, `pns_tgl_sk`, `pns_no_sk`),
+    PRIMARY KEY (`pns_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_pns_history` (
+    `pns_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `pns_employee_id` INTEGER NULL,
+    `pns_tmt` DATE NULL,
+    `pns_tgl_sk` DATE NULL,
+    `pns_no_sk` VARCHAR(255) NULL,
+    `pns_create_by` INTEGER NULL,
+    `pns_create_date` DATETIME(0) NULL,
+    `pns_update_by` INTEGER NULL,
+    `pns_update_date` DATETIME(0) NULL,
+
+    UNIQUE INDEX `ID`(`pns_id`),
+    INDEX `NAME`(`pns_employee_id`, `pns_tmt`, `pns_tgl_sk`, `pns_no_sk`),
+    PRIMARY KEY (`pns_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_pppk` (
+    `pppk_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `pppk_employee_id` INTEGER NULL,
+    `pppk_tmt_start` DATE NULL,
+    `pppk_tgl_sk` DATE NULL,
+    `pppk_no_sk` VARCHAR(255) NULL,
+    `pppk_create_by` INTEGER NULL,
+    `pppk_create_date` DATETIME(0) NULL,
+    `pppk_update_by` INTEGER NULL,
+    `pppk_update_date` DATETIME(0) NULL,
+    `pppk_tmt_end` DATE NULL,
+
+    UNIQUE INDEX `ID`(`pppk_id`),
+    INDEX `NAME`(`pppk_employee_id`, `pppk_tmt_start`, `pppk_tgl_sk`, `pppk_no_sk`),
+    PRIMARY KEY (`pppk_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_employee_pppk_history` (
+    `pppk_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `pppk_employee_id` INTEGER NULL,
+    `pppk_tmt_start` DATE NULL,
+    `pppk_tgl_sk` DATE NULL,
+    `pppk_no_sk` VARCHAR(255) NULL,
+    `pppk_create_by` INTEGER NULL,
+    `pppk_create_date` DATETIME(0) NULL,
+    `pppk_update_by` INTEGER NULL,
+    `pppk_update_date` DATETIME(0) NULL,
+    `pppk_tmt_end` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`pppk_id`),
+    INDEX `NAME`(`pppk_employee_id`, `pppk_tmt_start`, `pppk_tgl_sk`, `pppk_no_sk`),
+    PRIMARY KEY (`pppk_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_hukuman` (
+    `hukuman_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `hukuman_peraturan_id` INTEGER NULL,
+    `hukuman_jenis_hukuman` INTEGER NULL,
+    `hukuman_nomor_sk` VARCHAR(255) NULL,
+    `hukuman_tanggal_sk` DATE NULL,
+    `hukuman_tanggal_berlaku` DATE NULL,
+    `hukuman_pejabat_sk` VARCHAR(255) NULL,
+    `hukuman_nama_pejabat_sk` VARCHAR(255) NULL,
+    `hukuman_penyampaian` INTEGER NULL,
+    `hukuman_upaya_adm` INTEGER NULL,
+    `hukuman_catatan` VARCHAR(255) NULL,
+    `hukuman_create_date` DATETIME(0) NULL,
+    `hukuman_create_by` INTEGER NULL,
+    `hukuman_update_date` DATETIME(0) NULL,
+    `hukuman_update_by` INTEGER NULL,
+    `hukuman_status` INTEGER NULL,
+    `hukuman_file_id` INTEGER NULL,
+    `hukuman_employee_id` INTEGER NULL,
+    `hukuman_status_hukuman` INTEGER NULL,
+    `hukuman_alasan_id` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`hukuman_id`),
+    INDEX `IDS`(`hukuman_peraturan_id`, `hukuman_jenis_hukuman`, `hukuman_tanggal_berlaku`, `hukuman_penyampaian`, `hukuman_upaya_adm`, `hukuman_status_hukuman`, `hukuman_employee_id`, `hukuman_status`, `hukuman_file_id`),
+    PRIMARY KEY (`hukuman_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_inc_no` (
+    `trx_inc_no_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `trx_inc_no_service_id` INTEGER NULL,
+    `trx_inc_no_value` INTEGER NULL,
+    `trx_inc_no_year` YEAR NULL,
+    `trx_inc_no_gol` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`trx_inc_no_id`),
+    INDEX `IDS`(`trx_inc_no_service_id`, `trx_inc_no_value`, `trx_inc_no_year`, `trx_inc_no_gol`),
+    PRIMARY KEY (`trx_inc_no_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_informal` (
+    `trx_informal_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `trx_informal_employee_id` INTEGER NULL,
+    `trx_informal_nama` VARCHAR(255) NULL,
+    `trx_informal_mulai` DATE NULL,
+    `trx_informal_selesai` DATE NULL,
+    `trx_informal_lokasi` VARCHAR(255) NULL,
+    `trx_informal_tempat` INTEGER NULL,
+    `trx_informal_penyelenggara` VARCHAR(255) NULL,
+    `trx_informal_jam_pelajaran` INTEGER NULL,
+    `trx_informal_jenis` INTEGER NULL,
+    `trx_informal_file_id` INTEGER NULL,
+    `trx_informal_create_date` DATETIME(0) NULL,
+    `trx_informal_create_by` INTEGER NULL,
+    `trx_informal_update_date` DATETIME(0) NULL,
+    `trx_informal_update_by` INTEGER NULL,
+    `trx_informal_status` INTEGER NULL,
+    `trx_informal_penerbit_sertifikat` VARCHAR(255) NULL,
+    `trx_informal_nomor_sertifikat` VARCHAR(255) NULL,
+    `trx_informal_tanggal_sertifikat` DATE NULL,
+    `trx_informal_ket` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`trx_informal_id`),
+    INDEX `IDS`(`trx_informal_employee_id`, `trx_informal_nama`, `trx_informal_mulai`, `trx_informal_selesai`, `trx_informal_lokasi`, `trx_informal_jenis`, `trx_informal_status`, `trx_informal_file_id`),
+    PRIMARY KEY (`trx_informal_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_izin` (
+    `izin_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `izin_employee_id` INTEGER NULL,
+    `izin_start_date` DATE NULL,
+    `izin_end_date` DATE NULL,
+    `izin_izin_id` INTEGER NULL,
+    `izin_status` INTEGER NULL,
+    `izin_create_date` DATETIME(0) NULL,
+    `izin_create_by` INTEGER NULL,
+    `izin_update_date` DATETIME(0) NULL,
+    `izin_update_by` INTEGER NULL,
+    `izin_file_path` VARCHAR(255) NULL,
+    `izin_ket` LONGTEXT NULL,
+
+    PRIMARY KEY (`izin_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_jabatan` (
+    `trx_jabatan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `trx_jabatan_employee_id` INTEGER NULL,
+    `trx_jabatan_jabatan_id` INTEGER NULL,
+    `trx_jabatan_organization_id` INTEGER NULL,
+    `trx_jabatan_tmt` DATE NULL,
+    `trx_jabatan_nomor_sk` VARCHAR(255) NULL,
+    `trx_jabatan_tgl_sk` DATE NULL,
+    `trx_jabatan_create_date` DATETIME(0) NULL,
+    `trx_jabatan_create_by` INTEGER NULL,
+    `trx_jabatan_update_date` DATETIME(0) NULL,
+    `trx_jabatan_update_by` INTEGER NULL,
+    `trx_jabatan_status` INTEGER NULL,
+    `trx_jabatan_jenis_sk` INTEGER NULL,
+    `trx_jabatan_angka_kredit` INTEGER NULL,
+    `trx_jabatan_pejabat_sk` VARCHAR(255) NULL,
+    `trx_jabatan_status_jabatan` INTEGER NULL,
+    `trx_jabatan_jabatan_nama` VARCHAR(255) NULL,
+    `trx_jabatan_jabatan_eselon` INTEGER NULL,
+    `trx_jabatan_jabatan_organization` VARCHAR(255) NULL,
+    `trx_jabatan_file_id` INTEGER NULL,
+    `trx_jabatan_instansi_type` INTEGER NULL,
+    `trx_jabatan_instansi` INTEGER NULL,
+    `trx_jabatan_ket` VARCHAR(255) NULL,
+    `trx_jabatan_type` INTEGER NULL,
+    `trx_jabatan_sampai` DATE NULL,
+    `trx_jabatan_bkn_id` VARCHAR(255) NULL,
+    `trx_jabatan_file_spp` INTEGER NULL,
+    `trx_jabatan_file_ba` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`trx_jabatan_id`),
+    UNIQUE INDEX `trx_jabatan_trx_jabatan_employee_id_trx_jabatan_tmt_key`(`trx_jabatan_employee_id`, `trx_jabatan_tmt`),
+    INDEX `IDS`(`trx_jabatan_employee_id`, `trx_jabatan_jabatan_id`, `trx_jabatan_organization_id`, `trx_jabatan_tmt`, `trx_jabatan_file_id`, `trx_jabatan_status`, `trx_jabatan_jenis_sk`, `trx_jabatan_status_jabatan`, `trx_jabatan_type`, `trx_jabatan_sampai`, `trx_jabatan_instansi_type`, `trx_jabatan_instansi`),
+    PRIMARY KEY (`trx_jabatan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_submission` (
+    `submission_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `submission_employee_id` VARCHAR(255) NULL,
+    `submission_service_id` INTEGER NULL,
+    `submission_create_by` INTEGER NULL,
+    `submission_create_date` DATETIME(0) NULL,
+    `submission_update_by` INTEGER NULL,
+    `submission_update_date` DATETIME(0) NULL,
+    `submission_status` INTEGER NULL,
+    `submission_kgb_lama` INTEGER NULL,
+    `submission_kgb_baru` INTEGER NULL,
+    `submission_kgb_tmt` DATE NULL,
+    `submission_kgb_berikutnya` DATE NULL,
+    `submission_kgb_maker_tahun` TINYINT NULL,
+    `submission_ib_rekom` VARCHAR(255) NULL,
+    `submission_ib_rekom_no` VARCHAR(255) NULL,
+    `submission_ib_rekom_tanggal` DATE NULL,
+    `submission_ib_univ` INTEGER NULL,
+    `submission_cuti` INTEGER NULL,
+    `submission_cuti_start` DATE NULL,
+    `submission_cuti_end` DATE NULL,
+    `submission_ib_prodi` INTEGER NULL,
+    `submission_ib_jenjang` INTEGER NULL,
+    `submission_kgb_maker_bulan` TINYINT NULL,
+    `submission_kgb_golongan_id` INTEGER NULL,
+    `submission_cuti_jumlah` INTEGER NULL,
+    `submission_ket` LONGTEXT NULL,
+    `submission_file_id` INTEGER NULL,
+    `submission_penghargaan_id` INTEGER NULL,
+    `submission_ib_mulai` YEAR NULL,
+    `submission_ib_selesai` YEAR NULL,
+    `submission_ib_status_proses` INTEGER NULL,
+    `submission_ib_sponsor` VARCHAR(255) NULL,
+    `submission_ib_lokasi` VARCHAR(255) NULL,
+    `submission_ib_fakultas` VARCHAR(255) NULL,
+    `submission_data_id` INTEGER NULL,
+    `submission_data_nomor` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`submission_id`),
+    INDEX `IDS`(`submission_employee_id`, `submission_service_id`, `submission_file_id`, `submission_status`, `submission_ib_prodi`, `submission_ib_jenjang`, `submission_kgb_golongan_id`, `submission_ib_univ`, `submission_cuti`, `submission_penghargaan_id`, `submission_data_id`, `submission_data_nomor`),
+    PRIMARY KEY (`submission_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_submission_file` (
+    `file_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `file_name` VARCHAR(255) NULL,
+    `file_requirement_id` INTEGER NULL,
+    `file_path` VARCHAR(255) NULL,
+    `file_status` INTEGER NULL,
+    `file_create_by` INTEGER NULL,
+    `file_create_date` DATETIME(0) NULL,
+    `file_update_by` INTEGER NULL,
+    `file_update_date` DATETIME(0) NULL,
+    `file_log_id` INTEGER NULL,
+    `file_size` DOUBLE NULL,
+    `file_ext` VARCHAR(255) NULL,
+    `file_submission_id` INTEGER NULL,
+    `file_ket` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`file_id`),
+    INDEX `IDS`(`file_submission_id`),
+    INDEX `NAME`(`file_name`, `file_requirement_id`, `file_path`, `file_ket`),
+    PRIMARY KEY (`file_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_tukin_disiplin` (
+    `disiplin_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `disiplin_employee_id` INTEGER NULL,
+    `disiplin_periode` DATE NULL,
+    `disiplin_besaran` DECIMAL(10,2) NULL,
+    `disiplin_besaran_hari` DECIMAL(10,2) NULL,
+    `disiplin_tidak_hadir` INTEGER NULL,
+    `disiplin_tidak_hadir_nilai` DECIMAL(10,2) NULL,
+    `disiplin_terlambat` INTEGER NULL,
+    `disiplin_terlambat_nilai` DECIMAL(10,2) NULL,
+    `disiplin_pulang_cepat` INTEGER NULL,
+    `disiplin_pulang_cepat_nilai` DECIMAL(10,2) NULL,
+    `disiplin_tap` INTEGER NULL,
+    `disiplin_tap_nilai` DECIMAL(10,2) NULL,
+    `disiplin_tas` INTEGER NULL,
+    `disiplin_tas_nilai` DECIMAL(10,2) NULL,
+    `disiplin_sanksi` INTEGER NULL,
+    `disiplin_sanksi_nilai` DECIMAL(10,2) NULL,
+    `disiplin_hukuman_id` INTEGER NULL,
+    `disiplin_jumlah` DECIMAL(10,2) NULL,
+    `disiplin_total` DECIMAL(10,2) NULL,
+    `disiplin_create_date` DATETIME(0) NULL,
+    `disiplin_create_by` INTEGER NULL,
+    `disiplin_update_date` DATETIME(0) NULL,
+    `disiplin_update_by` INTEGER NULL,
+    `disiplin_status` INTEGER NULL,
+
+    PRIMARY KEY (`disiplin_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_tukin_kinerja` (
+    `kinerja_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `kinerja_employee_id` INTEGER NULL,
+    `kinerja_periode` DATE NULL,
+    `kinerja_besaran` DECIMAL(10,2) NULL,
+    `kinerja_predikat` VARCHAR(255) NULL,
+    `kinerja_nilai` DECIMAL(10,2) NULL,
+    `kinerja_total` DECIMAL(10,2) NULL,
+    `kinerja_create_date` DATETIME(0) NULL,
+    `kinerja_create_by` INTEGER NULL,
+    `kinerja_update_date` DATETIME(0) NULL,
+    `kinerja_update_by` INTEGER NULL,
+    `kinerja_status` INTEGER NULL,
+
+    PRIMARY KEY (`kinerja_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_tukin_rekap` (
+    `rekap_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `rekap_employee_id` INTEGER NULL,
+    `rekap_periode` DATE NULL,
+    `rekap_besaran` DECIMAL(10,2) NULL,
+    `rekap_besaran_hari` DECIMAL(10,2) NULL,
+    `rekap_kinerja` DECIMAL(10,2) NULL,
+    `rekap_disiplin` DECIMAL(10,2) NULL,
+    `rekap_hadiah_peringkat` INTEGER NULL,
+    `rekap_hadiah_nilai` DECIMAL(10,2) NULL,
+    `rekap_hukuman` INTEGER NULL,
+    `rekap_hukuman_nilai` DECIMAL(10,2) NULL,
+    `rekap_cuti` INTEGER NULL,
+    `rekap_cuti_nilai` DECIMAL(10,2) NULL,
+    `rekap_jumlah` DECIMAL(10,2) NULL,
+    `rekap_pph_persen` FLOAT NULL,
+    `rekap_pph_nilai` DECIMAL(10,2) NULL,
+    `rekap_total` DECIMAL(10,2) NULL,
+    `rekap_create_date` DATETIME(0) NULL,
+    `rekap_create_by` INTEGER NULL,
+    `rekap_update_by` DATETIME(0) NULL,
+    `rekap_update_date` DATETIME(0) NULL,
+    `rekap_status` INTEGER NULL,
+
+    PRIMARY KEY (`rekap_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_pangkat` (
+    `pangkat_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `pangkat_employee_id` INTEGER NULL,
+    `pangkat_golongan_id` INTEGER NULL,
+    `pangkat_tanggal_tmt_golongan` DATE NULL,
+    `pangkat_pejabat_sk` VARCHAR(255) NULL,
+    `pangkat_nomor_sk` VARCHAR(255) NULL,
+    `pangkat_tanggal_sk` DATE NULL,
+    `pangkat_create_date` DATETIME(0) NULL,
+    `pangkat_create_by` INTEGER NULL,
+    `pangkat_status` INTEGER NULL,
+    `pangkat_jenis_sk` INTEGER NULL,
+    `pangkat_update_date` DATETIME(0) NULL,
+    `pangkat_update_by` INTEGER NULL,
+    `pangkat_file_id` INTEGER NULL,
+    `pangkat_nomor_sk_bkn` VARCHAR(255) NULL,
+    `pangkat_tanggal_sk_bkn` DATE NULL,
+    `pangkat_jenis_kenaikan` INTEGER NULL,
+    `pangkat_ket` VARCHAR(255) NULL,
+    `pangkat_masa_kerja_tahun` INTEGER NULL,
+    `pangkat_masa_kerja_bulan` INTEGER NULL,
+    `pangkat_kredit_utama` DECIMAL(10,3) NULL,
+    `pangkat_kredit_tambahan` DECIMAL(10,3) NULL,
+    `pangkat_bkn_id` VARCHAR(255) NULL,
+
+    UNIQUE INDEX `ID`(`pangkat_id`),
+    UNIQUE INDEX `NAMA_SK`(`pangkat_employee_id`, `pangkat_tanggal_tmt_golongan`),
+    INDEX `IDS`(`pangkat_employee_id`, `pangkat_golongan_id`, `pangkat_tanggal_tmt_golongan`, `pangkat_nomor_sk_bkn`, `pangkat_tanggal_sk_bkn`, `pangkat_jenis_kenaikan`, `pangkat_jenis_sk`, `pangkat_file_id`, `pangkat_status`, `pangkat_masa_kerja_tahun`, `pangkat_masa_kerja_bulan`),
+    PRIMARY KEY (`pangkat_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `trx_shift` (
+    `shift_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `shift_employee_id` INTEGER NULL,
+    `shift_shift_id` INTEGER NULL,
+    `shift_tgl_mulai` DATETIME(0) NULL,
+    `shift_create_date` DATETIME(0) NULL,
+    `shift_create_by` INTEGER NULL,
+    `shift_update_date` DATETIME(0) NULL,
+    `shift_update_by` DATETIME(0) NULL,
+    `shift_status` INTEGER NULL,
+
+    PRIMARY KEY (`shift_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `ms_kedudukan_hukum_pns` (
+    `kedudukan_hukum_pns_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `kedudukan_hukum_pns_id_bkn` INTEGER NULL,
+    `kedudukan_hukum_pns_kode` INTEGER NULL,
+    `kedudukan_hukum_pns_nama` VARCHAR(255) NULL,
+    `kedudukan_hukum_pns_status` INTEGER NULL,
+    `kedudukan_hukum_pns_create_by` INTEGER NULL,
+    `kedudukan_hukum_pns_create_date` DATETIME(0) NULL,
+    `kedudukan_hukum_pns_update_by` INTEGER NULL,
+    `kedudukan_hukum_pns_update_date` DATETIME(0) NULL,
+
+    UNIQUE INDEX `KODE`(`kedudukan_hukum_pns_id`, `kedudukan_hukum_pns_id_bkn`, `kedudukan_hukum_pns_kode`),
+    PRIMARY KEY (`kedudukan_hukum_pns_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE `trx_penghargaan` (
+    `penghargaan_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `penghargaan_employee_id` INTEGER NULL,
+    `penghargaan_jenis_id` INTEGER NULL,
+    `penghargaan_nomor_sk` VARCHAR(255) NULL,
+    `penghargaan_tanggal_sk` DATE NULL,
+    `penghargaan_tahun` YEAR NULL,
+    `penghargaan_file_id` INTEGER NULL,
+    `penghargaan_bkn_id` VARCHAR(255) NULL,
+    `penghargaan_status` INTEGER NULL,
+    `penghargaan_create_date` DATETIME(0) NULL,
+    `penghargaan_create_by` INTEGER NULL,
+    `penghargaan_update_date` DATETIME(0) NULL,
+    `penghargaan_update_by` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`penghargaan_id`),
+    UNIQUE INDEX `EMPLOYEE_BKN`(`penghargaan_employee_id`, `penghargaan_bkn_id`),
+    INDEX `IDS`(`penghargaan_employee_id`, `penghargaan_jenis_id`, `penghargaan_tahun`, `penghargaan_file_id`, `penghargaan_status`),
+    PRIMARY KEY (`penghargaan_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE `trx_keluarga` (
+    `keluarga_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `keluarga_employee_id` INTEGER NULL,
+    `keluarga_hubungan_id` INTEGER NULL,
+    `keluarga_nama` VARCHAR(255) NULL,
+    `keluarga_nik` VARCHAR(32) NULL,
+    `keluarga_jenis_kelamin` VARCHAR(1) NULL,
+    `keluarga_tempat_lahir` VARCHAR(255) NULL,
+    `keluarga_tanggal_lahir` DATE NULL,
+    `keluarga_tanggal_menikah` DATE NULL,
+    `keluarga_status_hidup` INTEGER NULL,
+    `keluarga_bkn_id` VARCHAR(255) NULL,
+    `keluarga_status` INTEGER NULL,
+    `keluarga_create_date` DATETIME(0) NULL,
+    `keluarga_create_by` INTEGER NULL,
+    `keluarga_update_date` DATETIME(0) NULL,
+    `keluarga_update_by` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`keluarga_id`),
+    UNIQUE INDEX `EMPLOYEE_BKN`(`keluarga_employee_id`, `keluarga_bkn_id`),
+    INDEX `IDS`(`keluarga_employee_id`, `keluarga_hubungan_id`, `keluarga_status`),
+    PRIMARY KEY (`keluarga_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
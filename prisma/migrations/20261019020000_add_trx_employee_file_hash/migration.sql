@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `trx_employee_file` ADD COLUMN `file_hash` CHAR(64) NULL;
+
+-- CreateIndex
+CREATE INDEX `HASH` ON `trx_employee_file`(`file_employee_id`, `file_hash`);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `trx_jabatan` ADD COLUMN `trx_jabatan_bkn_hash` CHAR(64) NULL,
+    ADD COLUMN `trx_jabatan_sync_date` DATETIME(0) NULL;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE `trx_pangkat` ADD COLUMN `pangkat_sync_date` DATETIME(0) NULL;
+
+-- CreateTable
+CREATE TABLE `trx_sync_conflict` (
+    `conflict_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `conflict_domain` VARCHAR(32) NOT NULL,
+    `conflict_model` VARCHAR(64) NOT NULL,
+    `conflict_row_id` INTEGER NOT NULL,
+    `conflict_employee_id` INTEGER NULL,
+    `conflict_nip` VARCHAR(32) NULL,
+    `conflict_bkn_id` VARCHAR(255) NULL,
+    `conflict_bkn_hash` CHAR(64) NULL,
+    `conflict_reason` VARCHAR(255) NULL,
+    `conflict_local_data` LONGTEXT NULL,
+    `conflict_bkn_data` LONGTEXT NULL,
+    `conflict_status` INTEGER NOT NULL DEFAULT 0,
+    `conflict_create_date` DATETIME(0) NULL,
+    `conflict_update_date` DATETIME(0) NULL,
+    `conflict_resolve_date` DATETIME(0) NULL,
+    `conflict_resolve_by` INTEGER NULL,
+
+    UNIQUE INDEX `ID`(`conflict_id`),
+    INDEX `ROW_STATUS`(`conflict_model`, `conflict_row_id`, `conflict_status`),
+    INDEX `IDS`(`conflict_domain`, `conflict_status`, `conflict_nip`),
+    PRIMARY KEY (`conflict_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
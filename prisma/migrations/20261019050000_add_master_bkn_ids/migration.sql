@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `ms_cuti` ADD COLUMN `cuti_bkn_id` VARCHAR(255) NULL;
+
+-- AlterTable
+ALTER TABLE `ms_jenis_penghargaan` ADD COLUMN `jenis_penghargaan_bkn_id` VARCHAR(255) NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `trx_diklat` ADD COLUMN `diklat_bkn_id` VARCHAR(255) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `EMPLOYEE_BKN` ON `trx_diklat`(`diklat_employee_id`, `diklat_bkn_id`);
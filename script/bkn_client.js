@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const fss = require("fs");
+const { pipeline } = require("stream/promises");
+const axios = require("axios");
+const { URLSearchParams } = require("url");
+const logger = require("./logger");
+const { loadConfig } = require("./config");
+const { INCOMPLETE_DOWNLOAD, resolveRetryPolicy, withRetry } = require("./retry_policy");
+const { createRateLimiter } = require("./rate_limiter");
+
+const DOWNLOAD_PATH = "/download-dok";
+const DOWNLOAD_ENDPOINT = "download-dok";
+// Suffix of in-progress downloads; see removePartialDownloads in document_store.js.
+const PARTIAL_DOWNLOAD_SUFFIX = ".part";
+// Refresh a little before expires_in so requests already in flight don't race the expiry.
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+function downloadError(message) {
+  const error = new Error(message);
+  error.code = INCOMPLETE_DOWNLOAD;
+  return error;
+}
+
+/**
+ * Creates a BKN API client that shares one OAuth token between every caller.
+ *
+ * The token is cached until shortly before `expires_in`, and concurrent refreshes
+ * (e.g. a whole batch hitting 401 at once) collapse into a single token request.
+ * JSON fetches and document downloads are retried on throttling/5xx/network errors
+ * according to `options.retry` (see retry_policy.js for the defaults), and every HTTP
+ * request waits for the shared rate limiter configured by `options.rateLimit` (see rate_limiter.js).
+ * Credentials default to the BKN keys of config.js; callers check them with requireConfig(["bkn"]).
+ * @param {{ apiBaseUrl?: string, tokenUrl?: string, clientId?: string, clientSecret?: string, staticToken?: string, retry?: object, rateLimit?: object }} [options]
+ */
+function createBknClient(options = {}) {
+  const config = loadConfig();
+  const apiBaseUrl = options.apiBaseUrl ?? config.API_BASE_URL;
+  const tokenUrl = options.tokenUrl ?? config.TOKEN_URL;
+  const clientId = options.clientId ?? config.CLIENT_ID;
+  const clientSecret = options.clientSecret ?? config.CLIENT_SECRET;
+  const staticToken = options.staticToken ?? config.STATIC_AUTH_TOKEN;
+  const retryPolicy = resolveRetryPolicy(options.retry);
+  const rateLimiter = createRateLimiter(options.rateLimit);
+
+  let cachedToken = null;
+  let tokenExpiresAt = 0;
+  let pendingRefresh = null;
+
+  async function fetchDynamicToken() {
+    logger.info(`[AUTH] Requesting new dynamic token from: ${tokenUrl}`);
+    const body = new URLSearchParams();
+    body.append("grant_type", "client_credentials");
+    body.append("client_id", clientId);
+    body.append("client_secret", clientSecret);
+
+    try {
+      const response = await axios.post(tokenUrl, body, {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      });
+      logger.info("[AUTH] Successfully fetched dynamic token.");
+      return response.data;
+    } catch (error) {
+      logger.error("[AUTH] ❌ FAILED to fetch dynamic token:");
+      if (error.response) {
+        logger.error(`Status: ${error.response.status}`);
+        logger.error(`Data: ${JSON.stringify(error.response.data)}`);
+      } else {
+        logger.error(`Error: ${error.message}`);
+      }
+      throw new Error("Could not fetch dynamic token. Stopping script.");
+    }
+  }
+
+  function refreshToken() {
+    if (!pendingRefresh) {
+      pendingRefresh = fetchDynamicToken()
+        .then((data) => {
+          const expiresIn = Number(data.expires_in);
+          cachedToken = data.access_token;
+          tokenExpiresAt = Number.isFinite(expiresIn) && expiresIn > 0 ? Date.now() + expiresIn * 1000 - TOKEN_REFRESH_MARGIN_MS : Infinity;
+          return cachedToken;
+        })
+        .finally(() => {
+          pendingRefresh = null;
+        });
+    }
+    return pendingRefresh;
+  }
+
+  /**
+   * Returns the cached token, refreshing it when missing or about to expire.
+   * @returns {Promise<string>}
+   */
+  async function getToken() {
+    if (cachedToken && Date.now() < tokenExpiresAt) {
+      return cachedToken;
+    }
+    return refreshToken();
+  }
+
+  function makeAuthHeaders(token, accept = "application/json") {
+    return {
+      accept,
+      Authorization: `Bearer ${token}`,
+      Auth: `Bearer ${staticToken}`,
+    };
+  }
+
+  /**
+   * Runs the request with the current token and retries once with a fresh token on 401.
+   * @param {(token: string) => Promise<*>} makeRequest
+   * @param {string} context
+   * @returns {Promise<*>}
+   */
+  async function withTokenRetry(makeRequest, context) {
+    const token = await getToken();
+    try {
+      return await makeRequest(token);
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        logger.warn(`[AUTH] Token expired during ${context}. Refreshing token and retrying once.`);
+        // Only drop the token we used; another caller may already have replaced it.
+        if (cachedToken === token) {
+          cachedToken = null;
+        }
+        const freshToken = await getToken();
+        return makeRequest(freshToken);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GETs a JSON endpoint relative to API_BASE_URL and returns the response body.
+   * The rate-limit key is the path without the leading "/pns" and trailing NIP,
+   * e.g. `/pns/rw-jabatan/${nip}` is limited as "rw-jabatan".
+   * @param {string} endpointPath e.g. `/pns/rw-jabatan/${nip}`
+   * @param {string} [context]
+   * @returns {Promise<*>}
+   */
+  async function getJson(endpointPath, context = `GET ${endpointPath}`) {
+    const url = `${apiBaseUrl}${endpointPath}`;
+    const endpoint = endpointPath.split("/").filter(Boolean).slice(1, -1).join("/");
+    const response = await withRetry(
+      () =>
+        withTokenRetry(async (token) => {
+          await rateLimiter.acquire(endpoint);
+          return axios.get(url, { headers: makeAuthHeaders(token) });
+        }, context),
+      retryPolicy,
+      context,
+    );
+    return response.data;
+  }
+
+  function buildDownloadUrl(dokUri) {
+    return `${apiBaseUrl}${DOWNLOAD_PATH}?filePath=${encodeURIComponent(dokUri)}`;
+  }
+
+  function requestDokumen(dokUri, accept) {
+    const url = buildDownloadUrl(dokUri);
+    return withTokenRetry(async (token) => {
+      await rateLimiter.acquire(DOWNLOAD_ENDPOINT);
+      return axios.get(url, {
+        headers: makeAuthHeaders(token, accept),
+        responseType: "stream",
+      });
+    }, `download ${dokUri}`);
+  }
+
+  /**
+   * Requests a document from /download-dok and returns the streaming axios response.
+   * Only the request is retried; errors while consuming the stream are the caller's.
+   * @param {string} dokUri
+   * @param {{ accept?: string }} [options]
+   */
+  async function downloadDokumen(dokUri, { accept = "application/pdf" } = {}) {
+    return withRetry(() => requestDokumen(dokUri, accept), retryPolicy, `download ${dokUri}`);
+  }
+
+  /**
+   * Downloads a document into localFilePath atomically: the body is written to
+   * `${localFilePath}.part`, checked against Content-Length (and expectedSha256 when given)
+   * and only then renamed, so localFilePath either holds a complete download or nothing.
+   * The whole transfer is retried when the connection drops mid-body or comes up short.
+   * @param {string} dokUri
+   * @param {string} localFilePath
+   * @param {{ accept?: string, expectedSha256?: string }} [options]
+   * @returns {Promise<{ size: number, sha256: string }>}
+   */
+  async function downloadDokumenToFile(dokUri, localFilePath, { accept = "application/pdf", expectedSha256 = null } = {}) {
+    const partPath = `${localFilePath}${PARTIAL_DOWNLOAD_SUFFIX}`;
+    try {
+      return await withRetry(
+        async () => {
+          const response = await requestDokumen(dokUri, accept);
+          const hash = crypto.createHash("sha256");
+          let size = 0;
+          response.data.on("data", (chunk) => {
+            size += chunk.length;
+            hash.update(chunk);
+          });
+          await pipeline(response.data, fss.createWriteStream(partPath));
+
+          // axios inflates compressed bodies, so Content-Length only counts for identity encoding.
+          const { "content-length": contentLength, "content-encoding": encoding } = response.headers;
+          if (contentLength !== undefined && (!encoding || encoding === "identity") && Number(contentLength) !== size) {
+            throw downloadError(`Incomplete download of ${dokUri}: got ${size} of ${contentLength} bytes`);
+          }
+          const sha256 = hash.digest("hex");
+          if (expectedSha256 && sha256 !== expectedSha256.toLowerCase()) {
+            throw downloadError(`Checksum mismatch for ${dokUri}: expected ${expectedSha256}, got ${sha256}`);
+          }
+
+          await fss.promises.rename(partPath, localFilePath);
+          return { size, sha256 };
+        },
+        retryPolicy,
+        `download ${dokUri}`,
+      );
+    } catch (error) {
+      await fss.promises.unlink(partPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  return {
+    retryPolicy,
+    rateLimiter,
+    getToken,
+    withTokenRetry,
+    getJson,
+    getRiwayatJabatan: (nip) => getJson(`/pns/rw-jabatan/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatGolongan: (nip) => getJson(`/pns/rw-golongan/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatAngkaKredit: (nip) => getJson(`/pns/rw-angkakredit/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatDiklat: (nip) => getJson(`/pns/rw-diklat/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatKursus: (nip) => getJson(`/pns/rw-kursus/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatPendidikan: (nip) => getJson(`/pns/rw-pendidikan/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatHukuman: (nip) => getJson(`/pns/rw-hukdis/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatCuti: (nip) => getJson(`/pns/rw-cuti/${nip}`, `JSON fetch for ${nip}`),
+    getRiwayatPenghargaan: (nip) => getJson(`/pns/rw-penghargaan/${nip}`, `JSON fetch for ${nip}`),
+    getDataPasangan: (nip) => getJson(`/pns/data-pasangan/${nip}`, `JSON fetch for ${nip}`),
+    getDataAnak: (nip) => getJson(`/pns/data-anak/${nip}`, `JSON fetch for ${nip}`),
+    getDataOrangTua: (nip) => getJson(`/pns/data-ortu/${nip}`, `JSON fetch for ${nip}`),
+    getDataUtama: (nip) => getJson(`/pns/data-utama/${nip}`, `JSON fetch for ${nip}`),
+    getDataUtamaParuhWaktu: (nip) => getJson(`/pns/data-utama/paruhwaktu/${nip}`, `JSON fetch for ${nip}`),
+    buildDownloadUrl,
+    downloadDokumen,
+    downloadDokumenToFile,
+  };
+}
+
+module.exports = {
+  PARTIAL_DOWNLOAD_SUFFIX,
+  createBknClient,
+};
@@ -0,0 +1,584 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const fsp = fs.promises;
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const logger = require("./logger");
+const { loadConfig } = require("./config");
+const { DATASET_DOMAINS } = require("./build_dataset");
+
+// --- Command registry ---
+// Every command runs one of the existing scripts in a child process. The shared flags below
+// are translated into the script's own options; anything after `--` is passed through as-is.
+// --profile, --config and --set are taken by config.js and reach the scripts through the environment.
+//   nips:   "flags" when the script takes --nips-file, "positional" when it takes NIP arguments
+//   writes: "dry-run-flag" (script writes unless --dry-run), "commit-flag" (script needs --commit),
+//           "always" (script has no dry-run mode, so bkn-sync refuses to run it without --commit)
+//   scriptArgs: arguments always passed first, e.g. the domain of a shared script
+const COMMANDS = {
+  "fetch jabatan": {
+    script: "employee_jabatan/fetcher.js",
+    description: "Fetch riwayat jabatan JSON and documents into employee_jabatan staging.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch golongan": {
+    script: "employee_golongan-pangkat/fetcher_golongan.js",
+    description: "Fetch riwayat golongan JSON and documents into staging_golongan.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch angka-kredit": {
+    script: "employee_angka_kredit/fetcher.js",
+    description: "Fetch riwayat angka kredit JSON and documents.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch profile": {
+    script: "employee_profile/fetcher_profile.js",
+    description: "Fetch data utama (paruh waktu) profiles into staging_employee.",
+  },
+  "fetch diklat": {
+    script: "employee_diklat/fetcher_diklat.js",
+    description: "Fetch riwayat diklat and kursus JSON and certificates into staging_diklat.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch pendidikan": {
+    script: "employee_pendidikan/fetcher_pendidikan.js",
+    description: "Fetch riwayat pendidikan JSON and ijazah/transkrip into staging_pendidikan.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch hukuman": {
+    script: "employee_hukuman/fetcher_hukuman.js",
+    description: "Fetch riwayat hukuman disiplin JSON and SK documents into staging_hukuman.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch cuti": {
+    script: "employee_cuti/fetcher_cuti.js",
+    description: "Fetch riwayat cuti JSON and SK documents into employee_cuti staging.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch penghargaan": {
+    script: "employee_penghargaan/fetcher_penghargaan.js",
+    description: "Fetch riwayat penghargaan JSON and SK documents into employee_penghargaan staging.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "fetch keluarga": {
+    script: "employee_keluarga/fetcher_keluarga.js",
+    description: "Fetch data pasangan, anak and orang tua JSON into employee_keluarga staging.",
+    nips: "flags",
+    retryFailed: true,
+    scriptHelp: true,
+  },
+  "import jabatan": {
+    script: "employee_jabatan/importer.js",
+    description: "Upsert staged riwayat jabatan into trx_jabatan and link documents.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import angka-kredit": {
+    script: "employee_angka_kredit/importer.js",
+    description: "Apply staged riwayat angka kredit to trx_jabatan/trx_pangkat and link PAK documents.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import diklat": {
+    script: "employee_diklat/import_diklat.js",
+    description: "Upsert staged diklat/kursus into trx_diklat and link certificates.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import pendidikan": {
+    script: "employee_pendidikan/import_pendidikan.js",
+    description: "Upsert staged pendidikan into trx_belajar, creating missing school/univ/prodi masters.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import hukuman": {
+    script: "employee_hukuman/import_hukuman.js",
+    description: "Upsert staged hukuman disiplin into trx_hukuman and link SK documents.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import cuti": {
+    script: "employee_cuti/import_cuti.js",
+    description: "Upsert staged cuti into trx_cuti and link SK documents.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import penghargaan": {
+    script: "employee_penghargaan/import_penghargaan.js",
+    description: "Upsert staged penghargaan into trx_penghargaan and link SK documents.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import keluarga": {
+    script: "employee_keluarga/import_keluarga.js",
+    description: "Upsert staged family members into trx_keluarga, mapping relationships via ms_keluarga.",
+    nips: "flags",
+    limit: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import golongan": {
+    script: "employee_golongan-pangkat/import_golongan.js",
+    description: "Upsert staged riwayat golongan into trx_pangkat and link documents.",
+    nips: "flags",
+    limit: true,
+    dataset: true,
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import profile": {
+    script: "employee_profile/import_profile.js",
+    description: "Upsert staged profiles into ms_employee and sys_user.",
+    writes: "always",
+  },
+  "import p3k": {
+    script: "employee_profile/import_employee_p3k.js",
+    description: "Upsert staged PPPK contracts (TMT, SK) into trx_employee_pppk.",
+    nips: "positional",
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import p3k-pangkat": {
+    script: "employee_profile/import_pangkat.js",
+    description: "Upsert the staged PPPK golongan (ms_golongan_p3k) into trx_pangkat.",
+    nips: "positional",
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  "import p3k-jabatan": {
+    script: "employee_profile/import_jabatan_p3k.js",
+    description: "Upsert the staged PPPK jabatan into trx_jabatan.",
+    nips: "positional",
+    writes: "dry-run-flag",
+    scriptHelp: true,
+  },
+  ...Object.fromEntries(
+    Object.entries(DATASET_DOMAINS).map(([domain, spec]) => [
+      `build-dataset ${domain}`,
+      {
+        script: "build_dataset.js",
+        scriptArgs: [domain],
+        description: `Merge staged ${domain} <nip>.json files into a numbered snapshot in ${path.basename(spec.dir)}/datasets.`,
+        nips: "flags",
+        scriptHelp: true,
+      },
+    ]),
+  ),
+  ...Object.fromEntries(
+    Object.entries(DATASET_DOMAINS).map(([domain, spec]) => [
+      `diff-dataset ${domain}`,
+      {
+        script: "diff_dataset.js",
+        scriptArgs: [domain],
+        description: `Report added/removed/modified ${domain} records between two snapshots in ${path.basename(spec.dir)}/datasets.`,
+        nips: "flags",
+        scriptHelp: true,
+      },
+    ]),
+  ),
+  "validate config": {
+    script: "config.js",
+    description: "Print the resolved configuration (secrets masked) and where each value comes from.",
+  },
+  "validate staging": {
+    script: "employee_jabatan/validate_staging_data.js",
+    description: "Validate staged jabatan JSON and downloaded documents.",
+    nips: "positional",
+    dataset: true,
+    scriptHelp: true,
+  },
+  "validate files": {
+    script: "employee_jabatan/validate_jabatan_files_db.js",
+    description: "Validate trx_jabatan file links against trx_employee_file and the filesystem.",
+    nips: "flags",
+    dataset: true,
+    scriptHelp: true,
+  },
+  "dedupe jabatan": {
+    script: "employee_jabatan/dedupe_jabatan.js",
+    description: "Remove duplicate trx_jabatan rows per NIP/TMT.",
+    nips: "flags",
+    dataset: true,
+    writes: "commit-flag",
+    scriptHelp: true,
+  },
+  "cleanup files": {
+    script: "employee_jabatan/cleanup_jabatan_files.js",
+    description: "Unlink jabatan files that no longer have a document in the dataset.",
+    nips: "positional",
+    dataset: true,
+    writes: "commit-flag",
+    scriptHelp: true,
+  },
+  "restore files": {
+    script: "employee_jabatan/restore_missing_files.js",
+    description: "Re-download linked jabatan files that are missing on disk.",
+    nips: "positional",
+    dataset: true,
+    writes: "commit-flag",
+    scriptHelp: true,
+  },
+  "review conflicts": {
+    script: "sync_conflicts.js",
+    description: "List rows edited in BAKAS that the importers left untouched, or resolve one.",
+    nips: "positional",
+    writes: "commit-flag",
+    scriptHelp: true,
+  },
+  "export profile": {
+    script: "employee_profile/export_profile.js",
+    description: "POST staged profiles to the BAKAS import endpoint (checkpointed).",
+    writes: "always",
+  },
+};
+
+function parseNipListInput(input) {
+  return input
+    .split(/[\s,]+/)
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+function parseCliArgs(argv) {
+  const options = {
+    words: [],
+    nipValues: [],
+    nipFiles: [],
+    limit: null,
+    commit: false,
+    dryRun: false,
+    datasetPath: null,
+    retryFailed: false,
+    passthrough: [],
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--":
+        options.passthrough = argv.slice(i + 1);
+        i = argv.length;
+        break;
+      case "--nips":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips requires a comma/space separated list of NIPs.");
+        }
+        options.nipValues.push(argv[++i]);
+        break;
+      case "--nips-file":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips-file requires a path to a file containing NIPs.");
+        }
+        options.nipFiles.push(argv[++i]);
+        break;
+      case "--only-nips":
+        throw new Error("--only-nips is no longer supported: --nips and --nips-file always process only the given NIPs.");
+      case "--limit":
+        if (i + 1 >= argv.length) {
+          throw new Error("--limit requires a numeric value.");
+        }
+        {
+          const value = Number.parseInt(argv[++i], 10);
+          if (!Number.isFinite(value) || value <= 0) {
+            throw new Error("--limit must be a positive integer.");
+          }
+          options.limit = value;
+        }
+        break;
+      case "--commit":
+        options.commit = true;
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--dataset":
+        if (i + 1 >= argv.length) {
+          throw new Error("--dataset requires a path argument.");
+        }
+        options.datasetPath = argv[++i];
+        break;
+      case "--retry-failed":
+        options.retryFailed = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("-")) {
+          throw new Error(`Unknown option: ${arg} (pass script-specific options after --)`);
+        }
+        options.words.push(arg);
+        break;
+    }
+  }
+
+  if (options.words[0] === "help") {
+    options.help = true;
+    options.words.shift();
+  }
+
+  // `bkn-sync import jabatan 1990... 1985...` - extra words are NIPs
+  options.commandName = options.words.length >= 2 ? `${options.words[0]} ${options.words[1]}` : null;
+  options.nipValues.push(...options.words.slice(2));
+
+  if (options.commit && options.dryRun) {
+    throw new Error("--commit and --dry-run are mutually exclusive.");
+  }
+
+  return options;
+}
+
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length)) + 1;
+  const lines = [
+    "Usage: bkn-sync <phase> <domain> [options] [NIP ...] [-- script options]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(([name, spec]) => `  ${name.padEnd(width)} ${spec.description}`),
+    "",
+    "Shared options (only where the command supports them):",
+    '  --nips "A,B"          Process only these NIPs (comma/space separated). NIPs may also be given as arguments.',
+    "  --nips-file <path>    Load NIPs from a file (comma/space/line separated).",
+    "  --limit <n>           Process at most <n> NIPs.",
+    "  --dataset <path>      Use a merged dataset JSON instead of per-NIP staging files.",
+    "  --retry-failed        Fetchers: only retry what failed in the last run (fetch journal).",
+    "  --dry-run             Report planned changes without writing (default for every writing command).",
+    "  --commit              Apply changes.",
+    "  --profile <name>      Configuration profile: config/<name>.json and .env.<name> (default: BKN_SYNC_PROFILE).",
+    "  --config <path>       Extra JSON config file, between the environment and the profile file.",
+    "  --set KEY=VALUE       Override one configuration key (repeatable). See `bkn-sync validate config`.",
+    "  --help                Show this message, or the command's help when a command is given.",
+  ];
+  lines.forEach((line) => logger.info(line));
+}
+
+function printCommandHelp(commandName, spec) {
+  const supported = [
+    spec.nips && "--nips, --nips-file, [NIP ...]",
+    (spec.limit || spec.nips) && "--limit",
+    spec.dataset && "--dataset",
+    spec.retryFailed && "--retry-failed",
+    spec.writes && (spec.writes === "always" ? "--commit (required, no dry-run available)" : "--dry-run (default), --commit"),
+  ].filter(Boolean);
+
+  const lines = [
+    `Usage: bkn-sync ${commandName} [options] [-- script options]`,
+    "",
+    spec.description,
+    `Runs script/${spec.script}.`,
+    "",
+    `Shared options: ${supported.length > 0 ? supported.join(", ") : "none"}`,
+  ];
+  lines.forEach((line) => logger.info(line));
+}
+
+async function resolveNipList(options) {
+  const nipSet = new Set();
+
+  for (const chunk of options.nipValues) {
+    parseNipListInput(chunk).forEach((nip) => nipSet.add(nip));
+  }
+
+  for (const filePath of options.nipFiles) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    let contents;
+    try {
+      contents = await fsp.readFile(absolutePath, "utf-8");
+    } catch (err) {
+      throw new Error(`Unable to read NIP list file "${filePath}": ${err.message}`);
+    }
+    parseNipListInput(contents.replace(/\r/g, "\n")).forEach((nip) => nipSet.add(nip));
+  }
+
+  return Array.from(nipSet);
+}
+
+/**
+ * Translates the shared options into the target script's own arguments.
+ * @returns {Promise<{ args: string[], tempFiles: string[] }>}
+ */
+async function buildScriptArgs(commandName, spec, options) {
+  const args = [...(spec.scriptArgs ?? [])];
+  const tempFiles = [];
+  const reject = (flag) => {
+    throw new Error(`"${commandName}" does not support ${flag}.`);
+  };
+
+  let nipList = await resolveNipList(options);
+
+  if (nipList.length > 0 && !spec.nips) reject("NIP selection");
+  if (options.datasetPath && !spec.dataset) reject("--dataset");
+  if (options.retryFailed && !spec.retryFailed) reject("--retry-failed");
+  if ((options.commit || options.dryRun) && !spec.writes) reject(options.commit ? "--commit" : "--dry-run");
+
+  if (options.limit) {
+    if (spec.limit) {
+      args.push("--limit", String(options.limit));
+    } else if (nipList.length > 0) {
+      nipList = nipList.slice(0, options.limit);
+    } else {
+      throw new Error(`"${commandName}" only supports --limit together with --nips/--nips-file.`);
+    }
+  }
+
+  if (nipList.length > 0) {
+    if (spec.nips === "flags") {
+      // Hand the list over as a file so large selections don't hit the argv size limit.
+      const tempFile = path.join(os.tmpdir(), `bkn-sync-nips-${process.pid}.txt`);
+      await fsp.writeFile(tempFile, nipList.join("\n"));
+      tempFiles.push(tempFile);
+      args.push("--nips-file", tempFile);
+    } else {
+      args.push(...nipList);
+    }
+  }
+
+  if (options.datasetPath) {
+    args.push("--dataset", path.resolve(process.cwd(), options.datasetPath));
+  }
+  if (options.retryFailed) {
+    args.push("--retry-failed");
+  }
+
+  switch (spec.writes) {
+    case "dry-run-flag":
+      if (!options.commit) args.push("--dry-run");
+      break;
+    case "commit-flag":
+      if (options.commit) args.push("--commit");
+      break;
+    case "always":
+      if (!options.commit) {
+        throw new Error(`"${commandName}" has no dry-run mode. Pass --commit to run it.`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  args.push(...options.passthrough);
+  return { args, tempFiles };
+}
+
+function runScript(scriptPath, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [scriptPath, ...args], { stdio: "inherit" });
+    child.on("error", reject);
+    child.on("exit", (code, signal) => resolve(signal ? 1 : code));
+  });
+}
+
+async function main() {
+  try {
+    loadConfig();
+  } catch (err) {
+    logger.error(`[CONFIG] ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (err) {
+    logger.error(`[ARGS] ${err.message}`);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  const spec = options.commandName ? COMMANDS[options.commandName] : null;
+
+  if (!spec) {
+    if (options.words.length > 0) {
+      logger.error(`[ARGS] Unknown command: ${options.words.slice(0, 2).join(" ")}`);
+      process.exitCode = 1;
+    }
+    printHelp();
+    return;
+  }
+
+  const scriptPath = path.join(__dirname, spec.script);
+
+  if (options.help) {
+    printCommandHelp(options.commandName, spec);
+    if (spec.scriptHelp) {
+      logger.info("");
+      logger.info("Script options (pass after --):");
+      await runScript(scriptPath, [...(spec.scriptArgs ?? []), "--help"]);
+    }
+    return;
+  }
+
+  let scriptArgs;
+  try {
+    scriptArgs = await buildScriptArgs(options.commandName, spec, options);
+  } catch (err) {
+    logger.error(`[ARGS] ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  logger.info(`[BKN-SYNC] ${options.commandName}: node ${path.relative(process.cwd(), scriptPath)} ${scriptArgs.args.join(" ")}`);
+  try {
+    const exitCode = await runScript(scriptPath, scriptArgs.args);
+    process.exitCode = exitCode;
+  } finally {
+    await Promise.allSettled(scriptArgs.tempFiles.map((file) => fsp.unlink(file)));
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(`[FATAL] bkn-sync failed: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  COMMANDS,
+  parseCliArgs,
+  buildScriptArgs,
+  main,
+};
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const logger = require("./logger");
+const { loadConfig } = require("./config");
+const { datasetRecordNip, isDatasetIndexFile } = require("./dataset_stream");
+const { parseCliArgs, resolveNipFilter } = require("./domain_pipeline");
+
+// --- Dataset domains ---
+// The domain specs (defineDomain) of the riwayat fetchers, keyed by their name with dashes
+// ("angka kredit" -> angka-kredit). They give the staging folder, the endpoints and how records
+// are read from a staged payload (diklat records get `_source` set to diklat or kursus).
+// Keluarga and profile are not listed: their staged payloads are not lists of BKN records with ids.
+const datasetName = (domain) => domain.name.replace(/\s+/g, "-");
+
+const DATASET_DOMAINS = Object.fromEntries(
+  [
+    require("./employee_jabatan/domain"),
+    require("./employee_golongan-pangkat/domain"),
+    require("./employee_angka_kredit/domain"),
+    require("./employee_diklat/domain"),
+    require("./employee_pendidikan/domain"),
+    require("./employee_hukuman/domain"),
+    require("./employee_cuti/domain"),
+    require("./employee_penghargaan/domain"),
+  ].map((domain) => [datasetName(domain), domain]),
+);
+
+const SNAPSHOT_DIR = "datasets";
+const SNAPSHOT_PATTERN = /^(\d+)\.json$/;
+// Staged per-NIP files; anything else in the staging folder (1-final.json, indexes) is not a NIP.
+const NIP_FILE_PATTERN = /^(\d+)\.json$/;
+const METADATA_PREFIX = '{"metadata":';
+
+/**
+ * @param {string | object} domain key of DATASET_DOMAINS, or a defineDomain spec
+ */
+function resolveDomain(domain) {
+  const spec = typeof domain === "string" ? DATASET_DOMAINS[domain] : domain;
+  if (!spec) {
+    throw new Error(`Unknown dataset domain "${domain}". Known: ${Object.keys(DATASET_DOMAINS).join(", ")}.`);
+  }
+  return {
+    ...spec,
+    name: datasetName(spec),
+    stagingPath: path.join(spec.dir, spec.stagingDir),
+    snapshotPath: path.join(spec.dir, SNAPSHOT_DIR),
+  };
+}
+
+/**
+ * Snapshots of a domain, oldest first.
+ * @param {string | object} domainName key of DATASET_DOMAINS, or a defineDomain spec
+ * @returns {Promise<{ number: number, path: string }[]>}
+ */
+async function listSnapshots(domainName) {
+  const { snapshotPath } = resolveDomain(domainName);
+  let files;
+  try {
+    files = await fsp.readdir(snapshotPath);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  return files
+    .map((file) => SNAPSHOT_PATTERN.exec(file))
+    .filter(Boolean)
+    .map((match) => ({ number: Number(match[1]), path: path.join(snapshotPath, match[0]) }))
+    .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Metadata of a snapshot written by buildDataset, without reading its records: the writer
+ * keeps `{"metadata":{...},` alone on the first line.
+ * @param {string} snapshotPath
+ * @returns {Promise<object>}
+ */
+async function readSnapshotMetadata(snapshotPath) {
+  const stream = fs.createReadStream(snapshotPath, { encoding: "utf8" });
+  let head = "";
+  try {
+    for await (const chunk of stream) {
+      head += chunk;
+      if (head.includes("\n")) break;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  const firstLine = head.split("\n", 1)[0];
+  if (!firstLine.startsWith(METADATA_PREFIX) || !firstLine.endsWith(",")) {
+    throw new Error(`${snapshotPath} is not a snapshot written by build_dataset.js (no metadata line).`);
+  }
+  return JSON.parse(firstLine.slice(METADATA_PREFIX.length, -1));
+}
+
+async function listNipFiles(domain, nipFilter) {
+  const files = (await fsp.readdir(domain.stagingPath)).filter((file) => !isDatasetIndexFile(file));
+  return files
+    .map((file) => NIP_FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map((match) => match[1])
+    .filter((nip) => !nipFilter || nipFilter.has(nip))
+    .sort();
+}
+
+/**
+ * Merges staging/<nip>.json of a domain into the next numbered snapshot,
+ * <domain dir>/datasets/<NNNN>.json:
+ *
+ *   {"metadata":{...},
+ *   "data":[
+ *   <record>,
+ *   ...
+ *   ]}
+ *
+ * Every record's nipBaru is set to the NIP of the file it was staged in. A BKN record id
+ * that was already taken (from an earlier NIP file, or earlier in the same file) is dropped.
+ * metadata.checksum is the SHA-256 of the data array as written, so two snapshots with the
+ * same checksum hold the same records. The output can be passed to the importers as --dataset.
+ *
+ * Records are written one NIP file at a time, so memory stays bounded by the largest file
+ * plus the set of record ids seen.
+ * @param {string | object} domainName key of DATASET_DOMAINS, or a defineDomain spec
+ * @param {{ nipFilter?: Set<string> | null, dryRun?: boolean }} [options]
+ * @returns {Promise<{ path: string | null, metadata: object }>}
+ */
+async function buildDataset(domainName, { nipFilter = null, dryRun = false } = {}) {
+  const domain = resolveDomain(domainName);
+  const nips = await listNipFiles(domain, nipFilter);
+  if (nips.length === 0) {
+    throw new Error(`No staged <nip>.json files in ${domain.stagingPath}${nipFilter ? " for the selected NIPs" : ""}.`);
+  }
+
+  const snapshots = await listSnapshots(domain);
+  const previous = snapshots[snapshots.length - 1] ?? null;
+  const number = previous ? previous.number + 1 : 1;
+  const targetPath = path.join(domain.snapshotPath, `${String(number).padStart(4, "0")}.json`);
+  const recordsPath = `${targetPath}.records.tmp`;
+
+  const seenIds = new Map();
+  const stats = { nipCount: 0, recordCount: 0, duplicateRecords: 0, recordsWithoutId: 0, nipMismatches: 0, skippedFiles: [] };
+  let fetchedFrom = null;
+  let fetchedTo = null;
+  const checksum = crypto.createHash("sha256");
+
+  if (!dryRun) await fsp.mkdir(domain.snapshotPath, { recursive: true });
+  const output = dryRun ? null : await fsp.open(recordsPath, "w");
+  const write = async (text) => {
+    checksum.update(text);
+    if (output) await output.write(text);
+  };
+
+  try {
+    for (const nip of nips) {
+      const filePath = path.join(domain.stagingPath, `${nip}.json`);
+      let payload;
+      let fileStats;
+      try {
+        fileStats = await fsp.stat(filePath);
+        payload = JSON.parse(await fsp.readFile(filePath, "utf8"));
+      } catch (err) {
+        logger.warn(`[SKIP] ${nip}.json: ${err.message}`);
+        stats.skippedFiles.push(nip);
+        continue;
+      }
+
+      // The staged file is written once per fetch, so its mtime is when BKN was asked.
+      if (!fetchedFrom || fileStats.mtime < fetchedFrom) fetchedFrom = fileStats.mtime;
+      if (!fetchedTo || fileStats.mtime > fetchedTo) fetchedTo = fileStats.mtime;
+      stats.nipCount += 1;
+
+      for (const record of domain.extractRecords(payload)) {
+        if (!record || typeof record !== "object" || Array.isArray(record)) continue;
+
+        const recordNip = datasetRecordNip(record);
+        if (recordNip && recordNip !== nip) {
+          logger.warn(`[NIP] Record ${record.id ?? "<no-id>"} in ${nip}.json carries NIP ${recordNip}; using ${nip}.`);
+          stats.nipMismatches += 1;
+        }
+
+        if (record.id === undefined || record.id === null || record.id === "") {
+          stats.recordsWithoutId += 1;
+        } else if (seenIds.has(record.id)) {
+          logger.warn(`[DUPLICATE] Record ${record.id} in ${nip}.json was already taken from ${seenIds.get(record.id)}.json. Skipping.`);
+          stats.duplicateRecords += 1;
+          continue;
+        } else {
+          seenIds.set(record.id, nip);
+        }
+
+        await write(`${stats.recordCount > 0 ? ",\n" : ""}${JSON.stringify({ ...record, nipBaru: nip })}`);
+        stats.recordCount += 1;
+      }
+    }
+  } finally {
+    if (output) await output.close();
+  }
+
+  const config = loadConfig();
+  const metadata = {
+    domain: domain.name,
+    snapshot: number,
+    previousSnapshot: previous ? path.basename(previous.path) : null,
+    builtAt: new Date().toISOString(),
+    fetchedFrom: fetchedFrom ? fetchedFrom.toISOString() : null,
+    fetchedTo: fetchedTo ? fetchedTo.toISOString() : null,
+    source: {
+      baseUrl: config.API_BASE_URL ?? null,
+      endpoints: domain.endpoints,
+      stagingDir: path.relative(path.join(__dirname, ".."), domain.stagingPath),
+    },
+    nipFilter: nipFilter ? nipFilter.size : null,
+    ...stats,
+    checksum: `sha256:${checksum.digest("hex")}`,
+  };
+
+  if (dryRun) {
+    return { path: null, metadata };
+  }
+
+  const tempPath = `${targetPath}.tmp`;
+  const target = await fsp.open(tempPath, "w");
+  try {
+    await target.write(`${METADATA_PREFIX}${JSON.stringify(metadata)},\n"data":[\n`);
+    for await (const chunk of fs.createReadStream(recordsPath)) {
+      await target.write(chunk);
+    }
+    await target.write(`${stats.recordCount > 0 ? "\n" : ""}]}\n`);
+  } finally {
+    await target.close();
+  }
+  await fsp.rename(tempPath, targetPath);
+  await fsp.unlink(recordsPath);
+
+  return { path: targetPath, metadata };
+}
+
+/**
+ * The domain comes first; the rest is parsed like the importers' arguments, of which only
+ * the NIP selection applies here.
+ * @param {string[]} argv
+ */
+function parseBuildArgs(argv) {
+  const domain = argv.length > 0 && !argv[0].startsWith("-") ? argv[0] : null;
+  const options = parseCliArgs(domain ? argv.slice(1) : argv);
+  const unsupported = [
+    options.datasetPath && "--dataset",
+    !options.useDefaultDataset && "--no-default-dataset",
+    options.incremental && "--incremental",
+    options.limit && "--limit",
+  ].filter(Boolean);
+  if (unsupported.length > 0) {
+    throw new Error(`Unknown option: ${unsupported.join(", ")}`);
+  }
+  return { ...options, domain };
+}
+
+function printHelp() {
+  const lines = [
+    "Usage: node script/build_dataset.js <domain> [options] [NIP ...]",
+    "",
+    "Merges the staged <nip>.json files of a domain into the next numbered snapshot,",
+    "<domain dir>/datasets/<NNNN>.json, with metadata (fetch time, endpoints, counts, checksum).",
+    `Domains: ${Object.keys(DATASET_DOMAINS).join(", ")}`,
+    "",
+    "Options:",
+    "  --nips <list>       Only include these NIPs (comma/space separated).",
+    "  --nips-file <path>  Only include the NIPs listed in a file.",
+    "  --dry-run           Report what the snapshot would contain without writing it.",
+    "  --help              Show this message.",
+  ];
+  lines.forEach((line) => logger.info(line));
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseBuildArgs(process.argv.slice(2));
+  } catch (err) {
+    logger.error(`[ARGS] ${err.message}`);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help || !options.domain) {
+    printHelp();
+    if (!options.help) process.exitCode = 1;
+    return;
+  }
+
+  const nipFilter = await resolveNipFilter(options);
+  const { path: snapshotPath, metadata } = await buildDataset(options.domain, { nipFilter, dryRun: options.dryRun });
+
+  logger.info(
+    `[DATASET] ${metadata.domain} snapshot ${metadata.snapshot}: ${metadata.recordCount} record(s) from ${metadata.nipCount} NIP(s), ` +
+      `${metadata.duplicateRecords} duplicate(s) dropped, ${metadata.skippedFiles.length} unreadable file(s).`,
+  );
+  logger.info(`[DATASET] Checksum ${metadata.checksum}`);
+  if (snapshotPath) {
+    logger.info(`[DATASET] Written to ${snapshotPath}`);
+  } else {
+    logger.info("[DRY-RUN] No snapshot written.");
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(`[FATAL] build_dataset failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  DATASET_DOMAINS,
+  listSnapshots,
+  readSnapshotMetadata,
+  buildDataset,
+};
@@ -0,0 +1,284 @@
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// --- Configuration sources ---
+// Values are resolved per key, first match wins:
+//   1. --set KEY=VALUE on the command line (repeatable)
+//   2. the process environment, .env.<profile> and .env (current directory, like dotenv)
+//   3. --config <file> or BKN_SYNC_CONFIG_FILE (JSON)
+//   4. config/<profile>.json
+//   5. config/default.json
+// The profile comes from --profile <name> or BKN_SYNC_PROFILE. The CLI flags are removed from
+// process.argv when this module is first required, so the scripts' own argument parsers never
+// see them, and are written back to the environment so child processes (bkn_sync) inherit them.
+const ROOT_DIR = path.join(__dirname, "..");
+const CONFIG_DIR = path.join(ROOT_DIR, "config");
+const DEFAULT_CONFIG_FILE = path.join(CONFIG_DIR, "default.json");
+const PROFILE_VARIABLE = "BKN_SYNC_PROFILE";
+const CONFIG_FILE_VARIABLE = "BKN_SYNC_CONFIG_FILE";
+
+/**
+ * Every key the scripts read through this module. `groups` is what requireConfig checks:
+ *   bkn     BKN API credentials (fetchers, restore tools)
+ *   storage where documents end up on the BAKAS server (file_path is stored relative to STORAGE_ROOT)
+ *   s3      object storage, required when STORAGE_BACKEND is "s3"
+ *   import  ids written by the importers
+ *   export  the export_profile endpoint
+ * Keys without a group are optional tuning; the modules reading them fall back to their defaults:
+ *   BKN_RETRY_*           retry policy of the BKN client (retry_policy.js)
+ *   BKN_RATE_LIMIT_*      requests per second sent to BKN (rate_limiter.js)
+ *   DOCUMENT_MAPPING_FILE replaces config/document_mapping.json (document_mapping.js)
+ */
+const SCHEMA = {
+  API_BASE_URL: { type: "url", groups: ["bkn"] },
+  TOKEN_URL: { type: "url", groups: ["bkn"] },
+  CLIENT_ID: { type: "string", groups: ["bkn"] },
+  CLIENT_SECRET: { type: "string", groups: ["bkn"], secret: true },
+  STATIC_AUTH_TOKEN: { type: "string", groups: ["bkn"], secret: true },
+  STORAGE_ROOT: { type: "path", groups: ["storage"] },
+  FINAL_FILE_DESTINATION_BASE: { type: "path", groups: ["storage"] },
+  STORAGE_BACKEND: { type: "string", groups: ["storage"] },
+  S3_ENDPOINT: { type: "url", groups: ["s3"] },
+  S3_REGION: { type: "string", groups: ["s3"] },
+  S3_BUCKET: { type: "string", groups: ["s3"] },
+  S3_ACCESS_KEY_ID: { type: "string", groups: ["s3"] },
+  S3_SECRET_ACCESS_KEY: { type: "string", groups: ["s3"], secret: true },
+  S3_PREFIX: { type: "string", groups: [] },
+  S3_FORCE_PATH_STYLE: { type: "bool", groups: ["s3"] },
+  SUPERADMIN_ID: { type: "int", groups: ["import"] },
+  STATUS_SYNC_BKN: { type: "int", groups: ["import"] },
+  EXPORT_PROFILE_URL: { type: "url", groups: ["export"] },
+  EXPORT_ACCESS_TOKEN: { type: "string", groups: ["export"], secret: true },
+  EXPORT_PROFILE_TIMEOUT_MS: { type: "int", groups: ["export"] },
+  EXPORT_PROFILE_CONCURRENCY: { type: "int", groups: ["export"] },
+  BKN_RETRY_MAX_ATTEMPTS: { type: "int", groups: [] },
+  BKN_RETRY_BASE_DELAY_MS: { type: "int", groups: [] },
+  BKN_RETRY_MAX_DELAY_MS: { type: "int", groups: [] },
+  BKN_RETRY_STATUSES: { type: "string", groups: [] },
+  BKN_RATE_LIMIT_RPS: { type: "number", groups: [] },
+  BKN_RATE_LIMIT_BURST: { type: "int", groups: [] },
+  BKN_RATE_LIMIT_ENDPOINTS: { type: "string", groups: [] },
+  DOCUMENT_MAPPING_FILE: { type: "path", groups: [] },
+};
+
+/**
+ * Removes --profile, --config and --set from argv (up to a `--` separator) and returns them.
+ * @param {string[]} argv process.argv, modified in place
+ * @returns {{ profile: string | null, configFile: string | null, values: Record<string, string> }}
+ */
+function extractCliOverrides(argv) {
+  const overrides = { profile: null, configFile: null, values: {} };
+  const takeValue = (flag, i) => {
+    if (i + 1 >= argv.length || argv[i + 1] === "--") {
+      throw new Error(`${flag} requires a value.`);
+    }
+    return argv[i + 1];
+  };
+
+  let i = 2;
+  while (i < argv.length && argv[i] !== "--") {
+    const arg = argv[i];
+    const equals = arg.startsWith("--") ? arg.indexOf("=") : -1;
+    const flag = equals > 0 ? arg.slice(0, equals) : arg;
+    const inlineValue = equals > 0 ? arg.slice(equals + 1) : undefined;
+    if (!["--profile", "--config", "--set"].includes(flag)) {
+      i++;
+      continue;
+    }
+    const value = inlineValue ?? takeValue(flag, i);
+    argv.splice(i, inlineValue === undefined ? 2 : 1);
+
+    if (flag === "--profile") {
+      overrides.profile = value;
+    } else if (flag === "--config") {
+      overrides.configFile = path.resolve(process.cwd(), value);
+    } else {
+      const separator = value.indexOf("=");
+      if (separator <= 0) {
+        throw new Error(`--set expects KEY=VALUE (got "${value}").`);
+      }
+      overrides.values[value.slice(0, separator)] = value.slice(separator + 1);
+    }
+  }
+  return overrides;
+}
+
+function readEnvFile(filePath) {
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Unable to read config file ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Loads the env files into process.env. Works whether or not a script already called
+ * dotenv.config(): values that still equal the .env entry count as coming from .env,
+ * so .env.<profile> can replace them while real environment variables are left alone.
+ * @returns {Record<string, string>} env file each applied key came from
+ */
+function applyEnvFiles(baseEnv, profileEnv, profileEnvName) {
+  const origins = {};
+  for (const [key, value] of Object.entries(profileEnv)) {
+    if (process.env[key] === undefined || process.env[key] === baseEnv[key]) {
+      process.env[key] = value;
+      origins[key] = profileEnvName;
+    }
+  }
+  for (const [key, value] of Object.entries(baseEnv)) {
+    if (process.env[key] === undefined || (process.env[key] === value && !origins[key])) {
+      process.env[key] = value;
+      origins[key] = ".env";
+    }
+  }
+  return origins;
+}
+
+function parseValue(key, rawValue, source) {
+  const { type } = SCHEMA[key];
+  const value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+  const fail = (expected) => {
+    throw new Error(`${key} must be ${expected} (got ${JSON.stringify(rawValue)} from ${source}).`);
+  };
+
+  switch (type) {
+    case "int": {
+      const parsed = typeof value === "number" ? value : Number(value);
+      if (!Number.isInteger(parsed)) fail("an integer");
+      return parsed;
+    }
+    case "number": {
+      const parsed = typeof value === "number" ? value : Number(value);
+      if (!Number.isFinite(parsed)) fail("a number");
+      return parsed;
+    }
+    case "bool":
+      if (value === true || value === "true" || value === "1") return true;
+      if (value === false || value === "false" || value === "0") return false;
+      return fail("true or false");
+    case "url":
+      try {
+        new URL(value);
+      } catch {
+        fail("an absolute URL");
+      }
+      return value;
+    case "path":
+      if (typeof value !== "string" || !path.isAbsolute(value)) fail("an absolute path");
+      return value;
+    default:
+      if (typeof value !== "string") fail("a string");
+      return value;
+  }
+}
+
+// Malformed flags are reported by loadConfig rather than at require time, so the caller can log them.
+let cliOverrides = { profile: null, configFile: null, values: {} };
+let cliError = null;
+try {
+  cliOverrides = extractCliOverrides(process.argv);
+} catch (err) {
+  cliError = err;
+}
+let cachedConfig = null;
+
+/**
+ * Resolves every key in SCHEMA once per process. Unset keys are undefined; values that are
+ * set but malformed (e.g. a non-numeric SUPERADMIN_ID) throw with the file they came from.
+ * @returns {Readonly<{ profile: string | null, sources: Record<string, string> } & Record<string, string | number | undefined>>}
+ */
+function loadConfig() {
+  if (cachedConfig) return cachedConfig;
+  if (cliError) throw cliError;
+
+  const baseEnv = readEnvFile(path.resolve(process.cwd(), ".env"));
+  const profile = cliOverrides.profile || process.env[PROFILE_VARIABLE] || baseEnv[PROFILE_VARIABLE] || null;
+  const profileEnvFile = profile ? path.resolve(process.cwd(), `.env.${profile}`) : null;
+  const profileJsonFile = profile ? path.join(CONFIG_DIR, `${profile}.json`) : null;
+  if (profile && !fs.existsSync(profileJsonFile) && !fs.existsSync(profileEnvFile)) {
+    throw new Error(`Unknown profile "${profile}": neither ${profileJsonFile} nor ${profileEnvFile} exists.`);
+  }
+
+  const envOrigins = applyEnvFiles(baseEnv, profileEnvFile ? readEnvFile(profileEnvFile) : {}, `.env.${profile}`);
+  Object.assign(process.env, cliOverrides.values);
+  if (cliOverrides.profile) process.env[PROFILE_VARIABLE] = cliOverrides.profile;
+  if (cliOverrides.configFile) process.env[CONFIG_FILE_VARIABLE] = cliOverrides.configFile;
+
+  const layers = [
+    { source: "--set", values: cliOverrides.values },
+    { source: "environment", values: process.env },
+  ];
+  const configFile = process.env[CONFIG_FILE_VARIABLE];
+  if (configFile) layers.push({ source: configFile, values: readJsonFile(configFile) });
+  if (profileJsonFile && fs.existsSync(profileJsonFile)) {
+    layers.push({ source: path.relative(ROOT_DIR, profileJsonFile), values: readJsonFile(profileJsonFile) });
+  }
+  layers.push({ source: path.relative(ROOT_DIR, DEFAULT_CONFIG_FILE), values: readJsonFile(DEFAULT_CONFIG_FILE) });
+
+  const config = { profile, sources: {} };
+  for (const key of Object.keys(SCHEMA)) {
+    const layer = layers.find(({ values }) => values[key] !== undefined && values[key] !== null && values[key] !== "");
+    if (!layer) continue;
+    config[key] = parseValue(key, layer.values[key], layer.source);
+    config.sources[key] = layer.source === "environment" ? envOrigins[key] || layer.source : layer.source;
+  }
+
+  cachedConfig = Object.freeze(config);
+  return cachedConfig;
+}
+
+/**
+ * Returns the config after checking that every key of the given groups is set, e.g.
+ * requireConfig(["bkn"]) before talking to the BKN API.
+ * @param {string[]} groups
+ * @returns {ReturnType<typeof loadConfig>}
+ */
+function requireConfig(groups) {
+  const config = loadConfig();
+  const missing = Object.entries(SCHEMA)
+    .filter(([key, spec]) => spec.groups.some((group) => groups.includes(group)) && config[key] === undefined)
+    .map(([key]) => key);
+
+  if (missing.length > 0) {
+    const where = config.profile ? `.env, .env.${config.profile}, config/${config.profile}.json` : ".env, config/default.json";
+    throw new Error(`Missing required configuration: ${missing.join(", ")}. Set them in ${where} or with --set KEY=VALUE.`);
+  }
+  return config;
+}
+
+/**
+ * Resolved values with their source, secrets masked. Used by `node script/config.js`.
+ * @returns {string[]}
+ */
+function describeConfig() {
+  const config = loadConfig();
+  const lines = [`Profile: ${config.profile || "(none)"}`];
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const value = config[key];
+    const shown = value === undefined ? "(unset)" : spec.secret ? "********" : value;
+    lines.push(`  ${key.padEnd(28)} ${String(shown).padEnd(50)} ${config.sources[key] || ""}`.trimEnd());
+  }
+  return lines;
+}
+
+if (require.main === module) {
+  const logger = require("./logger");
+  try {
+    describeConfig().forEach((line) => logger.info(line));
+  } catch (err) {
+    logger.error(`[CONFIG] ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  SCHEMA,
+  loadConfig,
+  requireConfig,
+  describeConfig,
+};
@@ -0,0 +1,307 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = fs.promises;
+const logger = require("./logger");
+
+const INDEX_VERSION = 1;
+const INDEX_SUFFIX = ".index.json";
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+const COMMA = 0x2c;
+const COLON = 0x3a;
+const isWhitespace = (byte) => byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09;
+
+/**
+ * NIP of a dataset record, from whichever field BKN filled in.
+ * @param {object} record
+ * @returns {string | null}
+ */
+function datasetRecordNip(record) {
+  const value = record?.nipBaru ?? record?.nip ?? record?.employee_nip ?? record?.employeeNip ?? record?.nipbaru ?? null;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed.length > 0 ? trimmed : null;
+  }
+  return typeof value === "number" ? String(value) : null;
+}
+
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 of a record's content with object keys sorted, so the same BKN payload hashes the
+ * same however its keys were ordered.
+ * @param {object} record
+ * @returns {string}
+ */
+const recordHash = (record) => crypto.createHash("sha256").update(canonicalJson(record)).digest("hex");
+
+// U+FFFD shows up in some BKN text fields; the importers have always dropped it.
+const parseRecord = (bytes) => JSON.parse(bytes.toString("utf8").replace(/\uFFFD/g, ""));
+
+/**
+ * Reads the records of a merged dataset one at a time: either a top-level array or an object
+ * with a `data` array, like 1-final.json. Only the record being parsed is held in memory.
+ *
+ * The scanner works on raw bytes; every JSON structural character is ASCII and can never be
+ * part of a multi-byte UTF-8 sequence, so byte offsets can be used to re-read a record later.
+ * Array elements that are not objects or arrays are skipped.
+ * @param {string} datasetPath
+ * @returns {AsyncGenerator<{ record: object, offset: number, length: number }>}
+ */
+async function* streamDatasetRecords(datasetPath) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let recordsDepth = null;
+  let finished = false;
+  // Top-level keys are tracked only to find "data" in the object form.
+  let expectingKey = false;
+  let keyParts = null;
+  let lastKey = null;
+  let element = null;
+  let position = 0;
+
+  const stream = fs.createReadStream(datasetPath);
+  try {
+    for await (const chunk of stream) {
+      let elementFrom = element ? 0 : -1;
+      let keyFrom = keyParts ? 0 : -1;
+
+      for (let i = 0; i < chunk.length; i++) {
+        const byte = chunk[i];
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (byte === BACKSLASH) {
+            escaped = true;
+          } else if (byte === QUOTE) {
+            inString = false;
+            if (keyParts) {
+              keyParts.push(chunk.subarray(keyFrom, i + 1));
+              lastKey = JSON.parse(Buffer.concat(keyParts).toString("utf8"));
+              keyParts = null;
+            }
+          }
+          continue;
+        }
+
+        if (stack.length === recordsDepth && !element) {
+          if (isWhitespace(byte) || byte === COMMA) continue;
+          if (byte === CLOSE_BRACKET) {
+            finished = true;
+            break;
+          }
+          if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+            element = { offset: position + i, parts: [] };
+            elementFrom = i;
+          }
+        }
+
+        if (byte === QUOTE) {
+          inString = true;
+          if (expectingKey && stack.length === 1 && recordsDepth === null) {
+            keyParts = [];
+            keyFrom = i;
+          }
+        } else if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+          stack.push(byte);
+          if (recordsDepth === null && byte === OPEN_BRACKET) {
+            if (stack.length === 1) recordsDepth = 1;
+            else if (stack.length === 2 && stack[0] === OPEN_BRACE && lastKey === "data") recordsDepth = 2;
+          }
+          expectingKey = stack.length === 1 && byte === OPEN_BRACE;
+        } else if (byte === CLOSE_BRACE || byte === CLOSE_BRACKET) {
+          stack.pop();
+          if (element && stack.length === recordsDepth) {
+            element.parts.push(chunk.subarray(elementFrom, i + 1));
+            const bytes = Buffer.concat(element.parts);
+            const { offset } = element;
+            element = null;
+            elementFrom = -1;
+            let record;
+            try {
+              record = parseRecord(bytes);
+            } catch (err) {
+              throw new Error(`${datasetPath}: invalid record at byte ${offset}: ${err.message}`);
+            }
+            yield { record, offset, length: bytes.length };
+          }
+        } else if (stack.length === 1 && stack[0] === OPEN_BRACE) {
+          if (byte === COMMA) expectingKey = true;
+          else if (byte === COLON) expectingKey = false;
+        }
+      }
+
+      if (finished) break;
+      if (element) element.parts.push(chunk.subarray(elementFrom));
+      if (keyParts) keyParts.push(chunk.subarray(keyFrom));
+      position += chunk.length;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (recordsDepth === null) {
+    throw new Error(`${datasetPath} does not contain an array or an object with a 'data' array.`);
+  }
+  if (!finished) {
+    throw new Error(`${datasetPath} ends before its records array is closed (truncated?).`);
+  }
+}
+
+/**
+ * True for the index files openDataset writes next to a dataset, so directory scans for
+ * per-NIP <nip>.json files can skip them.
+ * @param {string} fileName
+ */
+const isDatasetIndexFile = (fileName) => fileName.endsWith(INDEX_SUFFIX);
+
+async function readIndexFile(indexPath, stats) {
+  try {
+    const index = JSON.parse(await fsp.readFile(indexPath, "utf8"));
+    if (index.version === INDEX_VERSION && index.size === stats.size && index.mtimeMs === stats.mtimeMs) {
+      return index;
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") logger.warn(`[DATASET] Ignoring unreadable index ${indexPath}: ${err.message}`);
+  }
+  return null;
+}
+
+/**
+ * Scans the dataset once and records where each NIP's records are: [offset, length, id].
+ */
+async function buildIndex(datasetPath, stats) {
+  const nips = {};
+  const missingNip = [];
+  let recordCount = 0;
+
+  for await (const { record, offset, length } of streamDatasetRecords(datasetPath)) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) continue;
+    recordCount += 1;
+    const nip = datasetRecordNip(record);
+    if (!nip) {
+      missingNip.push(record.id ?? null);
+      continue;
+    }
+    (nips[nip] ??= []).push([offset, length, record.id ?? null]);
+  }
+
+  return { version: INDEX_VERSION, size: stats.size, mtimeMs: stats.mtimeMs, recordCount, missingNip, nips };
+}
+
+/**
+ * Opens a merged dataset for per-NIP processing with bounded memory.
+ *
+ * The first open scans the file once and writes `<dataset>.index.json` next to it with the
+ * byte range of every record, grouped by NIP; later opens reuse it while the dataset's size
+ * and mtime are unchanged. Records are then read back one NIP at a time.
+ * @param {string} datasetPath
+ * @param {{ writeIndex?: boolean }} [options] writeIndex: false keeps the index in memory only
+ */
+async function openDataset(datasetPath, { writeIndex = true } = {}) {
+  const stats = await fsp.stat(datasetPath);
+  const indexPath = `${datasetPath}${INDEX_SUFFIX}`;
+
+  let index = await readIndexFile(indexPath, stats);
+  if (index) {
+    logger.info(`[DATASET] Using index ${indexPath}`);
+  } else {
+    logger.info(`[DATASET] Indexing ${datasetPath} (${stats.size} bytes)...`);
+    index = await buildIndex(datasetPath, stats);
+    if (writeIndex) {
+      try {
+        await fsp.writeFile(`${indexPath}.tmp`, JSON.stringify(index));
+        await fsp.rename(`${indexPath}.tmp`, indexPath);
+      } catch (err) {
+        logger.warn(`[DATASET] Could not write index ${indexPath}: ${err.message}`);
+      }
+    }
+  }
+
+  for (const id of index.missingNip) {
+    logger.warn(`[DATASET] Record ${id || "<no-id>"} missing NIP. Skipping.`);
+  }
+
+  const entriesOf = (nip) => index.nips[nip] || [];
+
+  /**
+   * Records of one NIP, in dataset order.
+   * @param {string} nip
+   * @param {{ recordIds?: Set<string> | null }} [options] only read records with these ids
+   * @returns {Promise<object[]>}
+   */
+  async function readNip(nip, { recordIds = null } = {}) {
+    const entries = entriesOf(nip).filter(([, , id]) => !recordIds || recordIds.has(id));
+    if (entries.length === 0) return [];
+
+    const handle = await fsp.open(datasetPath, "r");
+    try {
+      const records = [];
+      for (const [offset, length] of entries) {
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, offset);
+        records.push(parseRecord(buffer));
+      }
+      return records;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * NIPs in first-seen order, optionally restricted to a NIP set and/or record ids.
+   * @param {{ nipFilter?: Set<string> | null, recordIds?: Set<string> | null }} [filters]
+   * @returns {string[]}
+   */
+  function listNips({ nipFilter = null, recordIds = null } = {}) {
+    return Object.keys(index.nips).filter(
+      (nip) => (!nipFilter || nipFilter.has(nip)) && (!recordIds || entriesOf(nip).some(([, , id]) => recordIds.has(id))),
+    );
+  }
+
+  /**
+   * Yields [nip, records] one NIP at a time; only that NIP's records are in memory.
+   * @param {{ nipFilter?: Set<string> | null, recordIds?: Set<string> | null }} [filters]
+   * @returns {AsyncGenerator<[string, object[]]>}
+   */
+  async function* groups(filters = {}) {
+    for (const nip of listNips(filters)) {
+      yield [nip, await readNip(nip, filters)];
+    }
+  }
+
+  return {
+    path: datasetPath,
+    recordCount: index.recordCount,
+    nipCount: Object.keys(index.nips).length,
+    countRecords: (nip) => entriesOf(nip).length,
+    listNips,
+    readNip,
+    groups,
+  };
+}
+
+module.exports = {
+  datasetRecordNip,
+  recordHash,
+  streamDatasetRecords,
+  openDataset,
+  isDatasetIndexFile,
+};
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+const fsp = require("fs").promises;
+const path = require("path");
+const logger = require("./logger");
+const { openDataset, recordHash } = require("./dataset_stream");
+const { resolveNipFilter } = require("./domain_pipeline");
+const { DATASET_DOMAINS, listSnapshots, readSnapshotMetadata } = require("./build_dataset");
+
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Leaf values of a record by dotted path, e.g. "path.872.dok_uri". Empty objects and arrays
+ * are leaves themselves so that emptying a field still shows up.
+ */
+function flattenFields(value, prefix = "", out = new Map()) {
+  if (value && typeof value === "object" && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenFields(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out.set(prefix, value);
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two versions of a record, in the order the fields appear.
+ * A field missing on one side is reported with `undefined` there.
+ * @param {object} before
+ * @param {object} after
+ * @returns {{ field: string, before: any, after: any }[]}
+ */
+function diffRecordFields(before, after) {
+  const beforeFields = flattenFields(before);
+  const afterFields = flattenFields(after);
+  const changes = [];
+  for (const field of new Set([...beforeFields.keys(), ...afterFields.keys()])) {
+    const oldValue = beforeFields.get(field);
+    const newValue = afterFields.get(field);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+  return changes;
+}
+
+// Records without a BKN id can only be matched on their content.
+const recordKey = (record, hash) => (record.id !== undefined && record.id !== null && record.id !== "" ? String(record.id) : `hash:${hash}`);
+
+function keyRecords(records) {
+  const keyed = new Map();
+  for (const record of records) {
+    const hash = recordHash(record);
+    keyed.set(recordKey(record, hash), { record, hash });
+  }
+  return keyed;
+}
+
+/**
+ * Compares the records of one NIP in two snapshots by BKN record id.
+ * @param {object[]} beforeRecords
+ * @param {object[]} afterRecords
+ * @returns {{ added: object[], removed: object[], modified: object[], unchanged: number }}
+ */
+function diffNipRecords(beforeRecords, afterRecords) {
+  const before = keyRecords(beforeRecords);
+  const after = keyRecords(afterRecords);
+  const result = { added: [], removed: [], modified: [], unchanged: 0 };
+
+  for (const [key, current] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      result.added.push({ id: key, hash: current.hash });
+    } else if (previous.hash === current.hash) {
+      result.unchanged += 1;
+    } else {
+      result.modified.push({
+        id: key,
+        hashBefore: previous.hash,
+        hashAfter: current.hash,
+        changes: diffRecordFields(previous.record, current.record),
+      });
+    }
+  }
+  for (const [key, previous] of before) {
+    if (!after.has(key)) result.removed.push({ id: key, hash: previous.hash });
+  }
+  return result;
+}
+
+async function describeSnapshot(snapshotPath, dataset) {
+  let metadata = null;
+  try {
+    metadata = await readSnapshotMetadata(snapshotPath);
+  } catch {
+    // Hand-built datasets such as 1-final.json have no metadata line.
+  }
+  return {
+    path: snapshotPath,
+    snapshot: metadata?.snapshot ?? null,
+    builtAt: metadata?.builtAt ?? null,
+    fetchedTo: metadata?.fetchedTo ?? null,
+    checksum: metadata?.checksum ?? null,
+    recordCount: dataset.recordCount,
+    nipCount: dataset.nipCount,
+  };
+}
+
+/**
+ * Diffs two datasets (snapshots from build_dataset.js or any merged dataset) NIP by NIP.
+ * Only NIPs with changes are listed in `nips`; both datasets are read one NIP at a time.
+ * @param {string} fromPath older dataset
+ * @param {string} toPath newer dataset
+ * @param {{ nipFilter?: Set<string> | null }} [options]
+ */
+async function diffDatasets(fromPath, toPath, { nipFilter = null } = {}) {
+  const fromDataset = await openDataset(fromPath);
+  const toDataset = await openDataset(toPath);
+  const from = await describeSnapshot(fromPath, fromDataset);
+  const to = await describeSnapshot(toPath, toDataset);
+
+  const summary = {
+    nipsCompared: 0,
+    nipsChanged: 0,
+    nipsAdded: 0,
+    nipsRemoved: 0,
+    added: 0,
+    removed: 0,
+    modified: 0,
+    unchanged: 0,
+  };
+  const nips = {};
+
+  const toNips = toDataset.listNips({ nipFilter });
+  const toNipSet = new Set(toNips);
+  const allNips = [...toNips, ...fromDataset.listNips({ nipFilter }).filter((nip) => !toNipSet.has(nip))];
+
+  for (const nip of allNips) {
+    const beforeRecords = await fromDataset.readNip(nip);
+    const afterRecords = await toDataset.readNip(nip);
+    const result = diffNipRecords(beforeRecords, afterRecords);
+
+    summary.nipsCompared += 1;
+    if (beforeRecords.length === 0) summary.nipsAdded += 1;
+    if (afterRecords.length === 0) summary.nipsRemoved += 1;
+    summary.added += result.added.length;
+    summary.removed += result.removed.length;
+    summary.modified += result.modified.length;
+    summary.unchanged += result.unchanged;
+
+    if (result.added.length + result.removed.length + result.modified.length > 0) {
+      summary.nipsChanged += 1;
+      nips[nip] = { added: result.added, removed: result.removed, modified: result.modified };
+    }
+  }
+
+  return { from, to, comparedAt: new Date().toISOString(), nipFilter: nipFilter ? nipFilter.size : null, summary, nips };
+}
+
+const formatValue = (value) => {
+  if (value === undefined) return "(none)";
+  const text = JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...` : text;
+};
+
+/**
+ * Readable version of a diffDatasets result, one block per changed NIP.
+ * @returns {string[]}
+ */
+function formatDiffReport(diff) {
+  const { summary } = diff;
+  const lines = [
+    `Dataset diff ${diff.from.path} -> ${diff.to.path}`,
+    `  from: snapshot ${diff.from.snapshot ?? "-"}, fetched up to ${diff.from.fetchedTo ?? "-"}, ${diff.from.recordCount} record(s)`,
+    `  to:   snapshot ${diff.to.snapshot ?? "-"}, fetched up to ${diff.to.fetchedTo ?? "-"}, ${diff.to.recordCount} record(s)`,
+    `  ${summary.nipsChanged}/${summary.nipsCompared} NIP(s) changed (${summary.nipsAdded} new, ${summary.nipsRemoved} gone): ` +
+      `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.unchanged} unchanged record(s).`,
+  ];
+
+  for (const [nip, changes] of Object.entries(diff.nips)) {
+    lines.push("", `NIP ${nip}: +${changes.added.length} -${changes.removed.length} ~${changes.modified.length}`);
+    changes.added.forEach(({ id }) => lines.push(`  + ${id}`));
+    changes.removed.forEach(({ id }) => lines.push(`  - ${id}`));
+    for (const { id, changes: fields } of changes.modified) {
+      lines.push(`  ~ ${id}`);
+      fields.forEach(({ field, before, after }) => lines.push(`      ${field}: ${formatValue(before)} -> ${formatValue(after)}`));
+    }
+  }
+  return lines;
+}
+
+/** Snapshot number or path as given on the command line. */
+function resolveSnapshotArg(value, snapshots) {
+  if (/^\d+$/.test(value)) {
+    const found = snapshots.find((snapshot) => snapshot.number === Number(value));
+    if (!found) throw new Error(`Snapshot ${value} does not exist.`);
+    return found.path;
+  }
+  return path.resolve(process.cwd(), value);
+}
+
+function parseCliArgs(argv) {
+  const options = {
+    domain: null,
+    from: null,
+    to: null,
+    output: null,
+    nipValues: [],
+    nipFiles: [],
+    help: false,
+  };
+
+  const takeValue = (flag, i) => {
+    if (i + 1 >= argv.length) throw new Error(`${flag} requires a value.`);
+    return argv[i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--from":
+        options.from = takeValue(arg, i++);
+        break;
+      case "--to":
+        options.to = takeValue(arg, i++);
+        break;
+      case "--output":
+        options.output = takeValue(arg, i++);
+        break;
+      case "--nips":
+        options.nipValues.push(takeValue(arg, i++));
+        break;
+      case "--nips-file":
+        options.nipFiles.push(takeValue(arg, i++));
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("--")) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        if (!options.domain) {
+          options.domain = arg;
+        } else {
+          options.nipValues.push(arg);
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  const lines = [
+    "Usage: node script/diff_dataset.js <domain> [options] [NIP ...]",
+    "",
+    "Compares two dataset snapshots by BKN record id and reports added, removed and modified",
+    "records per NIP with field-level changes.",
+    `Domains: ${Object.keys(DATASET_DOMAINS).join(", ")}`,
+    "",
+    "Options:",
+    "  --from <n|path>     Older snapshot number or dataset path (default: the one before --to).",
+    "  --to <n|path>       Newer snapshot number or dataset path (default: the latest snapshot).",
+    "  --output <path>     Where to write the JSON diff (default: datasets/diff-<from>-<to>.json).",
+    "                      The readable report goes next to it as .txt, the changed NIPs as .nips.txt",
+    "                      (usable as --nips-file for the importers).",
+    "  --nips <list>       Only compare these NIPs (comma/space separated).",
+    "  --nips-file <path>  Only compare the NIPs listed in a file.",
+    "  --help              Show this message.",
+  ];
+  lines.forEach((line) => logger.info(line));
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (err) {
+    logger.error(`[ARGS] ${err.message}`);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help || !options.domain) {
+    printHelp();
+    if (!options.help) process.exitCode = 1;
+    return;
+  }
+
+  const snapshots = await listSnapshots(options.domain);
+  const toPath = options.to ? resolveSnapshotArg(options.to, snapshots) : snapshots[snapshots.length - 1]?.path;
+  const toIndex = snapshots.findIndex((snapshot) => snapshot.path === toPath);
+  const fromPath = options.from ? resolveSnapshotArg(options.from, snapshots) : snapshots[toIndex - 1]?.path;
+  if (!fromPath || !toPath) {
+    throw new Error(`Need two snapshots to compare; build them with \`bkn-sync build-dataset ${options.domain}\` or pass --from and --to.`);
+  }
+
+  const nipFilter = await resolveNipFilter(options);
+  const diff = await diffDatasets(fromPath, toPath, { nipFilter });
+  const report = formatDiffReport(diff);
+
+  const name = `diff-${path.basename(fromPath, ".json")}-${path.basename(toPath, ".json")}`;
+  const jsonPath = options.output ? path.resolve(process.cwd(), options.output) : path.join(path.dirname(toPath), `${name}.json`);
+  const basePath = jsonPath.replace(/\.json$/, "");
+  await fsp.mkdir(path.dirname(jsonPath), { recursive: true });
+  await fsp.writeFile(jsonPath, JSON.stringify(diff, null, 2));
+  await fsp.writeFile(`${basePath}.txt`, `${report.join("\n")}\n`);
+  await fsp.writeFile(`${basePath}.nips.txt`, Object.keys(diff.nips).join("\n"));
+
+  report.slice(0, 4).forEach((line) => logger.info(line));
+  logger.info(`[DIFF] JSON: ${jsonPath}`);
+  logger.info(`[DIFF] Report: ${basePath}.txt`);
+  logger.info(`[DIFF] Changed NIPs: ${basePath}.nips.txt`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(`[FATAL] diff_dataset failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  diffRecordFields,
+  diffNipRecords,
+  diffDatasets,
+  formatDiffReport,
+};
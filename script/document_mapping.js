@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const { loadConfig } = require("./config");
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, "..", "config", "document_mapping.json");
+const SUPPORTED_VERSION = 1;
+
+let cachedMapping = null;
+
+/**
+ * Checks the shape of a parsed mapping file and throws with every problem found, so a bad
+ * edit fails at startup instead of silently dropping documents during an import.
+ * @param {object} mapping
+ * @param {string} source file name used in the error message
+ */
+function assertValidMapping(mapping, source) {
+  const problems = [];
+  if (!mapping || typeof mapping !== "object") {
+    throw new Error(`${source}: mapping must be a JSON object.`);
+  }
+  if (mapping.version !== SUPPORTED_VERSION) {
+    problems.push(`version must be ${SUPPORTED_VERSION} (got ${JSON.stringify(mapping.version)})`);
+  }
+  if (!mapping.domains || typeof mapping.domains !== "object") {
+    problems.push(`"domains" must be an object`);
+  }
+
+  for (const [domain, config] of Object.entries(mapping.domains || {})) {
+    if (!config.documents || typeof config.documents !== "object") {
+      problems.push(`${domain}: "documents" must be an object`);
+      continue;
+    }
+    const seenDokIds = new Map();
+    for (const [fileKey, entry] of Object.entries(config.documents)) {
+      const where = `${domain}.${fileKey}`;
+      if (!Array.isArray(entry.dokIds) || entry.dokIds.some((dokId) => typeof dokId !== "string")) {
+        problems.push(`${where}: "dokIds" must be an array of strings`);
+      } else {
+        for (const dokId of entry.dokIds) {
+          if (seenDokIds.has(dokId)) {
+            problems.push(`${where}: dok_id ${dokId} is already mapped to ${seenDokIds.get(dokId)}`);
+          }
+          seenDokIds.set(dokId, fileKey);
+        }
+      }
+      const hasId = Number.isInteger(entry.fileType);
+      const hasName = typeof entry.fileTypeName === "string" && entry.fileTypeName.length > 0;
+      if (hasId === hasName) {
+        problems.push(`${where}: set exactly one of "fileType" (ms_jenis_file id) or "fileTypeName"`);
+      }
+      if (entry.field !== null && typeof entry.field !== "string") {
+        problems.push(`${where}: "field" must be a column name or null`);
+      }
+      if (entry.sync !== undefined && typeof entry.sync !== "boolean") {
+        problems.push(`${where}: "sync" must be a boolean`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`${source} is invalid:\n  - ${problems.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Loads config/document_mapping.json (or DOCUMENT_MAPPING_FILE) once per process.
+ * @param {string} [filePath]
+ * @returns {object}
+ */
+function loadDocumentMapping(filePath = loadConfig().DOCUMENT_MAPPING_FILE || DEFAULT_MAPPING_FILE) {
+  if (cachedMapping && cachedMapping.filePath === filePath) {
+    return cachedMapping.mapping;
+  }
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Unable to read document mapping ${filePath}: ${err.message}`);
+  }
+  assertValidMapping(mapping, path.basename(filePath));
+  cachedMapping = { filePath, mapping };
+  return mapping;
+}
+
+/**
+ * @param {string} domain key under "domains", e.g. "jabatan"
+ * @returns {Record<string, { dokIds: string[], fileType?: number, fileTypeName?: string, field: string | null, sync?: boolean }>}
+ */
+function getDomainDocuments(domain) {
+  const config = loadDocumentMapping().domains[domain];
+  if (!config) {
+    throw new Error(`Document mapping has no "${domain}" domain.`);
+  }
+  return config.documents;
+}
+
+const isSynced = (entry) => entry.sync !== false;
+
+/**
+ * BKN dok_id → local file key, e.g. { 872: "SK_JABATAN" }. Only synced documents are included
+ * unless includeUnsynced is set.
+ * @param {string} domain
+ * @param {{ includeUnsynced?: boolean }} [options]
+ * @returns {Record<string, string>}
+ */
+function buildDocIdToFileKey(domain, { includeUnsynced = false } = {}) {
+  const result = {};
+  for (const [fileKey, entry] of Object.entries(getDomainDocuments(domain))) {
+    if (!includeUnsynced && !isSynced(entry)) continue;
+    for (const dokId of entry.dokIds) result[dokId] = fileKey;
+  }
+  return result;
+}
+
+/**
+ * Local file key → { fileType, fileTypeName, field }, the shape the importers link files with.
+ * @param {string} domain
+ * @param {{ includeUnsynced?: boolean }} [options]
+ * @returns {Record<string, { fileType: number | null, fileTypeName: string | null, field: string | null }>}
+ */
+function buildFileKeyMapping(domain, { includeUnsynced = false } = {}) {
+  const result = {};
+  for (const [fileKey, entry] of Object.entries(getDomainDocuments(domain))) {
+    if (!includeUnsynced && !isSynced(entry)) continue;
+    result[fileKey] = {
+      fileType: entry.fileType ?? null,
+      fileTypeName: entry.fileTypeName ?? null,
+      field: entry.field,
+    };
+  }
+  return result;
+}
+
+/**
+ * Checks the mapping of the given domains against ms_jenis_file. Fixed ids that don't exist
+ * abort the run; names that match nothing are only warned about, since those documents are
+ * then simply not linked (as before the mapping file existed).
+ * @param {object} prisma
+ * @param {string[]} domains
+ * @returns {Promise<Record<string, Record<string, number | null>>>} resolved file type id per domain and file key
+ */
+async function validateDocumentMapping(prisma, domains) {
+  const resolved = {};
+  const missingIds = [];
+
+  for (const domain of domains) {
+    resolved[domain] = {};
+    for (const [fileKey, entry] of Object.entries(getDomainDocuments(domain))) {
+      if (isSynced(entry) && entry.dokIds.length === 0) {
+        logger.warn(`[CONFIG] ${domain}.${fileKey} has no dokIds; its documents will not be linked.`);
+      }
+      if (entry.fileType !== undefined) {
+        const fileType = await prisma.ms_jenis_file.findUnique({ where: { file_type_id: entry.fileType } });
+        if (!fileType) missingIds.push(`${domain}.${fileKey} -> ${entry.fileType}`);
+        resolved[domain][fileKey] = fileType ? entry.fileType : null;
+        continue;
+      }
+
+      const fileType = await prisma.ms_jenis_file.findFirst({
+        where: { file_type_nama: { contains: entry.fileTypeName } },
+      });
+      if (!fileType) {
+        logger.warn(`[CONFIG] No ms_jenis_file entry matching "${entry.fileTypeName}". ${domain} ${fileKey} documents will not be linked.`);
+      }
+      resolved[domain][fileKey] = fileType ? fileType.file_type_id : null;
+    }
+  }
+
+  if (missingIds.length > 0) {
+    throw new Error(`Document mapping references ms_jenis_file ids that do not exist: ${missingIds.join(", ")}`);
+  }
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_MAPPING_FILE,
+  loadDocumentMapping,
+  getDomainDocuments,
+  buildDocIdToFileKey,
+  buildFileKeyMapping,
+  validateDocumentMapping,
+};
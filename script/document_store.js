@@ -0,0 +1,201 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const logger = require("./logger");
+const { PARTIAL_DOWNLOAD_SUFFIX } = require("./bkn_client");
+
+const OBJECTS_DIR = "objects";
+const DOWNLOAD_SUFFIX = ".download";
+
+/**
+ * SHA-256 of a file, hex encoded.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  return hashStream(fs.createReadStream(filePath));
+}
+
+async function hashStream(stream) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * SHA-256 of a document that is already in final storage, for file rows written without one.
+ * @param {{ read: Function }} fileStorage see file_storage.js
+ * @param {string} storageKey
+ * @returns {Promise<string>}
+ */
+async function hashStoredDocument(fileStorage, storageKey) {
+  return hashStream(await fileStorage.read(storageKey));
+}
+
+async function replaceWithLink(objectPath, stagedPath) {
+  await fsp.unlink(stagedPath).catch((err) => {
+    if (err.code !== "ENOENT") throw err;
+  });
+  try {
+    await fsp.link(objectPath, stagedPath);
+  } catch (err) {
+    // Filesystems without hard links still get a working (if not deduplicated) staging file.
+    if (!["EPERM", "ENOTSUP", "EXDEV"].includes(err.code)) throw err;
+    await fsp.copyFile(objectPath, stagedPath);
+  }
+}
+
+/**
+ * Content-addressed store for downloaded BKN documents in a temp_downloads directory.
+ *
+ * Every document is kept once as objects/<first 2 hex chars>/<sha256>. The per-record names
+ * the importers look up (stagedDownloadName) stay in place as hard links to those objects, so
+ * an SK referenced by several history rows takes its disk space once.
+ * @param {string} downloadDir
+ */
+function createDocumentStore(downloadDir) {
+  const objectPath = (hash) => path.join(downloadDir, OBJECTS_DIR, hash.slice(0, 2), hash);
+
+  /**
+   * Moves a downloaded file into the store and points its staged name at the stored object.
+   * @param {string} sourcePath downloaded file, moved or removed by this call
+   * @param {string} [stagedPath] name in downloadDir from stagedDownloadName (defaults to sourcePath)
+   * @returns {Promise<{ hash: string, size: number, deduplicated: boolean }>}
+   */
+  async function ingest(sourcePath, stagedPath = sourcePath) {
+    const hash = await hashFile(sourcePath);
+    const target = objectPath(hash);
+    const { size } = await fsp.stat(sourcePath);
+
+    const deduplicated = await fsp.access(target).then(() => true, () => false);
+    if (!deduplicated) {
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.rename(sourcePath, target);
+    } else if (sourcePath !== stagedPath) {
+      await fsp.unlink(sourcePath);
+    }
+    await replaceWithLink(target, stagedPath);
+    return { hash, size, deduplicated };
+  }
+
+  /**
+   * Downloads next to the staged name and ingests the result. Writing straight to the staged
+   * name would overwrite the stored object (and every other name linked to it).
+   * @param {string} stagedPath
+   * @param {(filePath: string) => Promise<void>} download writes the document to filePath
+   */
+  async function downloadAndIngest(stagedPath, download) {
+    const downloadPath = `${stagedPath}${DOWNLOAD_SUFFIX}`;
+    try {
+      await download(downloadPath);
+    } catch (err) {
+      await fsp.unlink(downloadPath).catch(() => {});
+      throw err;
+    }
+    return ingest(downloadPath, stagedPath);
+  }
+
+  /**
+   * Deletes what an interrupted run left behind: *.part files of unfinished transfers and
+   * *.download files that were never ingested. Call once at startup, before any download starts.
+   * @returns {Promise<number>} number of files removed
+   */
+  async function removePartialDownloads() {
+    let entries;
+    try {
+      entries = await fsp.readdir(downloadDir);
+    } catch (err) {
+      if (err.code === "ENOENT") return 0;
+      throw err;
+    }
+
+    const partials = entries.filter((name) => name.endsWith(PARTIAL_DOWNLOAD_SUFFIX) || name.endsWith(DOWNLOAD_SUFFIX));
+    for (const name of partials) {
+      await fsp.unlink(path.join(downloadDir, name)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    }
+    if (partials.length > 0) {
+      logger.info(`[CLEANUP] Removed ${partials.length} partial download(s) from ${downloadDir}`);
+    }
+    return partials.length;
+  }
+
+  return {
+    objectPath,
+    ingest,
+    downloadAndIngest,
+    removePartialDownloads,
+  };
+}
+
+const contentKey = (storageKey, hash) => {
+  const ext = path.posix.extname(storageKey);
+  return `${storageKey.slice(0, storageKey.length - ext.length)}_${hash.slice(0, 12)}${ext}`;
+};
+
+/**
+ * Storage key of an active file of the employee with the given content, if it is still stored.
+ * Files are only shared within one employee, since BAKAS keeps every employee's uploads in
+ * their own directory.
+ * @param {object} prisma client or transaction
+ * @param {{ stat: Function, describe: Function }} fileStorage see file_storage.js
+ * @param {{ employeeId: number, hash: string }} document
+ * @returns {Promise<string | null>}
+ */
+async function findStoredDocument(prisma, fileStorage, { employeeId, hash }) {
+  const stored = await prisma.trx_employee_file.findFirst({
+    where: { file_employee_id: employeeId, file_hash: hash, file_status: 1, file_path: { not: null } },
+    select: { file_id: true, file_path: true },
+  });
+  if (!stored || !(await fileStorage.stat(stored.file_path))) return null;
+
+  logger.info(`[FILE_DEDUP] Same content as file ${stored.file_id}; reusing ${fileStorage.describe(stored.file_path)}`);
+  return stored.file_path;
+}
+
+/**
+ * Stores a staged document for an employee, unless one of the employee's active files already
+ * has the same content: then that file is reused and nothing is copied.
+ * @param {object} prisma client or transaction
+ * @param {{ put: Function, stat: Function, describe: Function }} fileStorage see file_storage.js
+ * @param {{ employeeId: number, sourcePath: string, storageKey: string, hash: string }} document
+ * @returns {Promise<{ storageKey: string, copied: boolean }>}
+ */
+async function placeDocument(prisma, fileStorage, { employeeId, sourcePath, storageKey, hash }) {
+  const reused = await findStoredDocument(prisma, fileStorage, { employeeId, hash });
+  if (reused) {
+    return { storageKey: reused, copied: false };
+  }
+
+  // Other rows may have been deduplicated onto this key; changed content gets a key of its own.
+  const previousContent = await prisma.trx_employee_file.count({
+    where: { file_path: storageKey, file_status: 1, file_hash: { not: hash } },
+  });
+  const target = previousContent > 0 ? contentKey(storageKey, hash) : storageKey;
+
+  await fileStorage.put(target, sourcePath);
+  return { storageKey: target, copied: true };
+}
+
+/**
+ * Logs when an existing file record is about to get different content than it had.
+ * @returns {boolean} true when the recorded hash differs from the new one
+ */
+function detectChangedDocument(previousHash, hash, label) {
+  if (!previousHash || !hash || previousHash === hash) return false;
+  logger.info(`[CHANGED] ${label}: BKN document changed (sha256 ${previousHash.slice(0, 12)} -> ${hash.slice(0, 12)}).`);
+  return true;
+}
+
+module.exports = {
+  hashFile,
+  hashStoredDocument,
+  createDocumentStore,
+  findStoredDocument,
+  placeDocument,
+  detectChangedDocument,
+};
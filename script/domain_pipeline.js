@@ -0,0 +1,1091 @@
+const fs = require("fs");
+const fsp = require("fs").promises;
+const path = require("path");
+const logger = require("./logger");
+const { loadConfig, requireConfig } = require("./config");
+const { getStoragePaths } = require("./storage_paths");
+const { getFileStorage } = require("./file_storage");
+const { createBknClient } = require("./bkn_client");
+const { runWorkerPool } = require("./worker_pool");
+const { createFetchJournal } = require("./fetch_journal");
+const { createDocumentStore, detectChangedDocument, hashFile, hashStoredDocument, placeDocument } = require("./document_store");
+const { assertValidDocument } = require("./pdf_validator");
+const { buildDocIdToFileKey, buildFileKeyMapping, validateDocumentMapping } = require("./document_mapping");
+const { isDatasetIndexFile, openDataset } = require("./dataset_stream");
+const { SYNCED_MODELS, detectManualEdit, syncedState, queueConflict } = require("./sync_conflicts");
+
+const { SUPERADMIN_ID, STATUS_SYNC_BKN } = loadConfig();
+const storagePaths = getStoragePaths();
+const fileStorage = getFileStorage();
+const DEFAULT_CONCURRENCY = 100;
+const MAX_CONCURRENCY = 100;
+
+/**
+ * Name under which the fetcher stores a downloaded document in temp_downloads and the
+ * importer looks it up again.
+ * @param {string | number} recordId
+ * @param {string} docKey key of record.path (the BKN document id)
+ * @param {string} dokUri
+ * @returns {string}
+ */
+const stagedDownloadName = (recordId, docKey, dokUri) => `${recordId}_${docKey}_${path.basename(dokUri)}`;
+
+const toNullIfEmpty = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed.length === 0 ? null : trimmed;
+  }
+  return value;
+};
+
+/**
+ * Parses "DD-MM-YYYY" string to a Date object.
+ * @param {string} value
+ * @returns {Date | null}
+ */
+const parseDate = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  if (!cleaned || cleaned === "01-01-0001") return null;
+  const [day, month, year] = cleaned.split("-");
+  if (!day || !month || !year || year.length !== 4) return null;
+  const parsed = new Date(`${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Parses "DD-MM-YYYY" to local midnight. The jabatan and angka kredit importers have always
+ * parsed dates this way, and trx_jabatan rows are keyed on TMT dates parsed like this.
+ * @param {string} value
+ * @returns {Date | null}
+ */
+const parseLocalDate = (value) => {
+  if (!value || typeof value !== "string") return null;
+  const [dayString, monthString, yearString] = value.split("-");
+  if (!dayString || !monthString || !yearString || yearString.length !== 4) return null;
+
+  const day = Number.parseInt(dayString, 10);
+  const month = Number.parseInt(monthString, 10);
+  const year = Number.parseInt(yearString, 10);
+  const parsed = new Date(year, month - 1, day);
+  if (Number.isNaN(parsed.getTime()) || parsed.getFullYear() !== year || parsed.getMonth() !== month - 1 || parsed.getDate() !== day) {
+    return null;
+  }
+  return parsed;
+};
+
+const toInt = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  if (cleaned === null) return null;
+  const numeric = Number(cleaned);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+/** Drops U+FFFD, which shows up in some BKN text fields. */
+const sanitizeString = (value) => (value ? value.replace(/\uFFFD/g, "") : null);
+
+/** Upper-case A-Z/0-9/_ version of a name for document file names. */
+const sanitizeFileName = (name, maxLength = Infinity) => {
+  if (!name) return "UNKNOWN";
+  return name
+    .toUpperCase()
+    .replace(/\s+/g, "_")
+    .replace(/[^A-Z0-9_]/g, "")
+    .slice(0, maxLength);
+};
+
+const pickFirst = (record, keys) => {
+  for (const key of keys) {
+    const value = toNullIfEmpty(record[key]);
+    if (value !== null) return value;
+  }
+  return null;
+};
+
+/** Formats a date as DDMMYYYY, the date part of the document file names. */
+const toDatePart = (date) => `${String(date.getDate()).padStart(2, "0")}${String(date.getMonth() + 1).padStart(2, "0")}${date.getFullYear()}`;
+
+const createReport = () => ({
+  created: 0,
+  updated: 0,
+  skipped: 0,
+  unchanged: 0,
+  conflicts: 0,
+  failed: 0,
+  files: 0,
+  changedDocuments: 0,
+  missingEmployees: 0,
+});
+
+/** Default record extraction for riwayat payloads: `{ data: [...] }` or a bare array. */
+const extractDataArray = (payload) => {
+  if (payload && Array.isArray(payload.data)) return payload.data;
+  if (Array.isArray(payload)) return payload;
+  return [];
+};
+
+/**
+ * Declares a BKN domain for the shared fetch → stage → import pipeline.
+ *
+ * Fetch side:
+ *   name        label used in logs and reports, e.g. "cuti"
+ *   dir         the domain folder (__dirname); staging/download/checkpoint dirs live under it
+ *   fetch       (bkn, nip) => payload, usually a bkn_client getter
+ *   endpoints   BKN paths fetch calls, e.g. ["/pns/rw-cuti/{nip}"]; recorded in dataset snapshots
+ *   stagingDir  folder name for <nip>.json (default "staging_data")
+ *   extractRecords(payload) => records (default: payload.data array)
+ *
+ * Import side (only needed by createDomainImporter):
+ *   model       target Prisma model, e.g. "trx_cuti"
+ *   prefix      column prefix of the model; <prefix>_id, _employee_id, _create_by, ... are derived from it
+ *   normalize(record) => data
+ *   validate(data, record, { prisma }) => reason string to skip the record, or null; may be
+ *               async, e.g. to look up the master rows the record needs
+ *   toPayload(data, { tx, nip, employee, record }) => column values written on create and update
+ *   uniqueKey(employeeId, data, payload) => findUnique where, for models with a unique key
+ *   match(employeeId, data, payload) => findFirst where, for models without one
+ *   describe(data, record) => short label for logs
+ *   sortRecords(records) => records in the order they must be applied (default: as staged)
+ *   apply(data, { tx, nip, employee, record, now }) replaces the create/update of `model` for
+ *               domains that only update rows other importers own (angka kredit); model,
+ *               prefix, toPayload and the key are then not needed
+ *   changeHash(record) => string stored in <prefix>_bkn_hash; with --incremental, records whose
+ *               hash equals the one stored on the row with their <prefix>_bkn_id are skipped
+ *   defaultDataset  file in the staging folder imported instead of the <nip>.json files when it
+ *               exists and no --dataset is given, e.g. "1-final.json"
+ *   document    how the record's downloaded documents are linked; omit when the domain has none:
+ *     mapping   domain in config/document_mapping.json (default: name); a document is linked
+ *               as the entry whose dokIds hold its BKN dok_id
+ *     fileName(nip, data, record, ext, fileKey) => stored file name
+ *     fileKet   prefix of file_ket for entries whose "field" is null; those documents are
+ *               linked through file_ket = <fileKet><record id> instead of a column
+ *
+ * Rows of the models in sync_conflicts.js SYNCED_MODELS also get their sync date written, and
+ * rows edited in BAKAS since their last sync are queued as conflicts instead of overwritten.
+ * Their key is looked up before toPayload runs, so it must not depend on the payload.
+ * @param {object} spec
+ * @returns {object}
+ */
+function defineDomain(spec) {
+  for (const key of ["name", "dir", "fetch"]) {
+    if (!spec[key]) throw new Error(`Domain spec is missing "${key}".`);
+  }
+  return {
+    stagingDir: "staging_data",
+    extractRecords: extractDataArray,
+    describe: (data, record) => String(record.id),
+    validate: () => null,
+    ...spec,
+  };
+}
+
+const stagingPath = (domain) => path.join(domain.dir, domain.stagingDir);
+const downloadPath = (domain) => path.join(domain.dir, "temp_downloads");
+const journalPath = (domain) => path.join(domain.dir, "checkpoints", "fetch_journal.json");
+
+/**
+ * Stages <nip>.json and downloads the documents its records reference. Outcomes are written to
+ * the fetch journal. When retryDocuments is given, only those temp_downloads filenames are
+ * (re)downloaded; forceJson and forceFiles ignore what is already staged.
+ */
+async function fetchNip(domain, nip, bkn, journal, { retryDocuments = null, forceJson = false, forceFiles = false } = {}) {
+  const jsonFilePath = path.join(stagingPath(domain), `${nip}.json`);
+
+  let data;
+  try {
+    if (forceJson) await fsp.unlink(jsonFilePath);
+    await fsp.access(jsonFilePath);
+    logger.info(`[SKIP JSON] File ${nip}.json already exists. Reading from local...`);
+    data = JSON.parse(await fsp.readFile(jsonFilePath, "utf8"));
+  } catch (err) {
+    try {
+      logger.info(`[FETCH JSON] Fetching history ${domain.name} for ${nip}...`);
+      data = await domain.fetch(bkn, nip);
+      await fsp.writeFile(jsonFilePath, JSON.stringify(data, null, 2));
+      logger.info(`[SAVE JSON] Successfully saved ${nip}.json`);
+    } catch (error) {
+      let errorMsg = error.message;
+      if (error.response) {
+        errorMsg = `STATUS ${error.response.status} : ${JSON.stringify(error.response.data)}`;
+      }
+      logger.error(`[FAIL JSON] Failed to process ${nip}: ${errorMsg}`);
+      journal.recordNip(nip, "failed", { attempts: error.attempts ?? 1, error });
+      await journal.flush();
+      return;
+    }
+  }
+  journal.recordNip(nip, "success");
+
+  const documentStore = createDocumentStore(downloadPath(domain));
+  for (const record of domain.extractRecords(data)) {
+    if (!record.path || Object.keys(record.path).length === 0) continue;
+    for (const docKey in record.path) {
+      const fileInfo = record.path[docKey];
+      const filePath = fileInfo.dok_uri;
+      if (!filePath) continue;
+
+      const safeFilename = stagedDownloadName(record.id, docKey, filePath);
+      const localFilePath = path.join(downloadPath(domain), safeFilename);
+      const journalDocument = { nip, recordId: record.id, docKey, dokUri: filePath };
+
+      if (retryDocuments && !retryDocuments.has(safeFilename)) continue;
+      if (retryDocuments || forceFiles) {
+        // A failed document may have been rejected by the validator after it was saved
+        await fsp.unlink(localFilePath).catch(() => {});
+      }
+
+      try {
+        await fsp.access(localFilePath);
+        logger.info(`[SKIP FILE] File ${safeFilename} already exists.`);
+        continue;
+      } catch (e) {
+        // File doesn't exist, proceed to download
+      }
+
+      const docLabel = (fileInfo.dok_nama || docKey).replaceAll("/", "-");
+      try {
+        logger.info(`[DOWNLOAD] Downloading: ${docLabel} (NIP: ${nip})`);
+        const { hash, deduplicated } = await documentStore.downloadAndIngest(localFilePath, async (target) => {
+          await bkn.downloadDokumenToFile(filePath, target);
+          await assertValidDocument(target, filePath);
+        });
+        detectChangedDocument(journal.getDocument(safeFilename)?.hash, hash, safeFilename);
+        logger.info(`[SAVE FILE] Saved file to: ${localFilePath}` + (deduplicated ? " (same content as an earlier download)" : ""));
+        journal.recordDocument(safeFilename, { ...journalDocument, hash }, "success");
+      } catch (err) {
+        journal.recordDocument(safeFilename, journalDocument, "failed", { attempts: err.attempts ?? 1, error: err });
+        logger.error(`[FAIL FILE] Failed to download ${docLabel} (NIP: ${nip}): ${err.message}`);
+      }
+    }
+  }
+
+  await journal.flush();
+}
+
+function parseFetchArgs(argv) {
+  const options = {
+    nipValues: [],
+    nipFiles: [],
+    extraNipValues: [],
+    extraNipFiles: [],
+    forceJson: false,
+    forceFiles: false,
+    concurrency: null,
+    maxAttempts: null,
+    rps: null,
+    retryFailed: false,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--nips":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips requires a comma/space separated list of NIPs.");
+        }
+        options.nipValues.push(argv[++i]);
+        break;
+      case "--nips-file":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips-file requires a file path containing NIPs.");
+        }
+        options.nipFiles.push(argv[++i]);
+        break;
+      case "--extra-nips":
+        if (i + 1 >= argv.length) {
+          throw new Error("--extra-nips requires a comma/space separated list of NIPs.");
+        }
+        options.extraNipValues.push(argv[++i]);
+        break;
+      case "--extra-nips-file":
+        if (i + 1 >= argv.length) {
+          throw new Error("--extra-nips-file requires a file path containing NIPs.");
+        }
+        options.extraNipFiles.push(argv[++i]);
+        break;
+      case "--force-json":
+        options.forceJson = true;
+        break;
+      case "--force-files":
+        options.forceFiles = true;
+        break;
+      case "--concurrency":
+        if (i + 1 >= argv.length) {
+          throw new Error("--concurrency requires a numeric value.");
+        }
+        {
+          const value = Number.parseInt(argv[++i], 10);
+          if (!Number.isFinite(value) || value <= 0) {
+            throw new Error("--concurrency must be a positive integer.");
+          }
+          options.concurrency = Math.min(value, MAX_CONCURRENCY);
+        }
+        break;
+      case "--max-attempts":
+        if (i + 1 >= argv.length) {
+          throw new Error("--max-attempts requires a numeric value.");
+        }
+        {
+          const value = Number.parseInt(argv[++i], 10);
+          if (!Number.isFinite(value) || value <= 0) {
+            throw new Error("--max-attempts must be a positive integer.");
+          }
+          options.maxAttempts = value;
+        }
+        break;
+      case "--rps":
+        if (i + 1 >= argv.length) {
+          throw new Error("--rps requires a numeric value.");
+        }
+        {
+          const value = Number(argv[++i]);
+          if (!Number.isFinite(value) || value < 0) {
+            throw new Error("--rps must be a non-negative number (0 disables the limit).");
+          }
+          options.rps = value;
+        }
+        break;
+      case "--retry-failed":
+        options.retryFailed = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const hasExtraNips = options.extraNipValues.length > 0 || options.extraNipFiles.length > 0;
+  if (hasExtraNips && (options.nipValues.length > 0 || options.nipFiles.length > 0)) {
+    throw new Error("--extra-nips adds to ms_employee.json; use --nips/--nips-file alone to fetch only the given NIPs.");
+  }
+  if (hasExtraNips && options.retryFailed) {
+    throw new Error("--extra-nips cannot be combined with --retry-failed; restrict a retry with --nips/--nips-file.");
+  }
+  return options;
+}
+
+function printFetchHelp(domain, concurrency) {
+  const lines = [
+    `Usage: node ${path.relative(path.join(__dirname, ".."), process.argv[1] ?? "")} [options]`,
+    "",
+    "Options:",
+    '  --nips "A,B"              Fetch only these NIPs instead of every NIP in ms_employee.json.',
+    "  --nips-file <path>        Load NIPs from a file (one per line or comma separated).",
+    '  --extra-nips "A,B"        Fetch these NIPs in addition to ms_employee.json.',
+    "  --extra-nips-file <path>  Load extra NIPs from a file.",
+    "  --force-json              Re-fetch JSON even when a staged file exists.",
+    "  --force-files             Re-download documents even when already downloaded.",
+    `  --retry-failed            Only retry NIPs/documents that failed in the last run (${path.relative(domain.dir, journalPath(domain))}).`,
+    "                            Combine with --nips/--nips-file to restrict the retry further.",
+    `  --concurrency <n>         NIPs fetched in parallel (default ${concurrency}, max ${MAX_CONCURRENCY}).`,
+    "  --max-attempts <n>        Attempts per request on 429/5xx/network errors (default BKN_RETRY_MAX_ATTEMPTS or 5).",
+    "  --rps <n>                 Max BKN requests per second, JSON and downloads combined (default BKN_RATE_LIMIT_RPS or 20).",
+    "  --help                    Show this message.",
+  ];
+  lines.forEach((line) => logger.info(line));
+}
+
+/**
+ * Fetcher entry point: stages <nip>.json for every NIP in ms_employee.json (or only the NIPs
+ * given with --nips/--nips-file) and downloads the documents referenced by the records. Pass
+ * --retry-failed to re-run only what failed last time.
+ * @param {object} domain result of defineDomain
+ * @param {{ argv?: string[], concurrency?: number }} [options] concurrency is the default for --concurrency
+ */
+async function runDomainFetch(domain, { argv = process.argv.slice(2), concurrency = DEFAULT_CONCURRENCY } = {}) {
+  let options;
+  let nipFilter;
+  let extraNips;
+  try {
+    options = parseFetchArgs(argv);
+    nipFilter = await resolveNipFilter(options);
+    extraNips = await resolveNipFilter({ nipValues: options.extraNipValues, nipFiles: options.extraNipFiles });
+  } catch (err) {
+    logger.error(`[ARGS] ${err.message}`);
+    printFetchHelp(domain, concurrency);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.help) {
+    printFetchHelp(domain, concurrency);
+    return;
+  }
+
+  try {
+    requireConfig(["bkn"]);
+  } catch (err) {
+    logger.error("--- ❌ FAILED! ---");
+    logger.error(`Error: ${err.message}`);
+    logger.error("--- Script Aborted ---");
+    process.exitCode = 1;
+    return;
+  }
+
+  await fsp.mkdir(stagingPath(domain), { recursive: true });
+  await fsp.mkdir(downloadPath(domain), { recursive: true });
+  await createDocumentStore(downloadPath(domain)).removePartialDownloads();
+
+  const bkn = createBknClient({
+    retry: { maxAttempts: options.maxAttempts },
+    rateLimit: { ratePerSecond: options.rps ?? undefined },
+  });
+  if (!(await bkn.getToken())) return;
+
+  const journal = createFetchJournal(journalPath(domain));
+  await journal.load();
+  const retryPlan = options.retryFailed ? journal.buildRetryPlan(nipFilter ?? undefined) : null;
+
+  logger.info(`--- Starting batch processing ---`);
+  let queue;
+  if (retryPlan) {
+    queue = Array.from(retryPlan.keys());
+    logger.info(`Total NIPs to retry from journal: ${queue.length}`);
+  } else if (nipFilter) {
+    queue = Array.from(nipFilter);
+    logger.info(`Total NIPs to process: ${queue.length} (from --nips/--nips-file)`);
+  } else {
+    queue = Array.from(new Set([...require("../ms_employee.json").map((emp) => emp["employee_nip"]), ...(extraNips ?? [])]));
+    logger.info(`Total NIPs to process: ${queue.length}` + (extraNips ? ` (including ${extraNips.size} from --extra-nips)` : ""));
+  }
+  const poolSize = options.concurrency ?? concurrency;
+  logger.info(`Concurrency set to: ${poolSize} (max ${MAX_CONCURRENCY})`);
+  logger.info(`Rate limit: ${bkn.rateLimiter.ratePerSecond || "unlimited"} req/s, per endpoint ${JSON.stringify(bkn.rateLimiter.endpointLimits)}`);
+  logger.info(`Retry policy: ${bkn.retryPolicy.maxAttempts} attempt(s), statuses ${bkn.retryPolicy.retryableStatuses.join(",")}`);
+
+  const fetchOptions = { forceJson: options.forceJson, forceFiles: options.forceFiles };
+  await runWorkerPool(
+    queue,
+    poolSize,
+    (nip) => fetchNip(domain, nip, bkn, journal, { ...fetchOptions, retryDocuments: retryPlan ? retryPlan.get(nip) : null }),
+    (nip, result, processedCount) => {
+      if (result.status === "rejected") {
+        logger.error(`[FAIL] Unexpected error while processing ${nip}: ${result.reason?.message}`);
+      }
+      logger.info(`[PROGRESS] ${processedCount}/${queue.length} NIPs processed`);
+    },
+  );
+
+  await journal.flush();
+  logger.info(`[JOURNAL] ${JSON.stringify(journal.summarize())} -> ${journalPath(domain)}`);
+}
+
+function parseCliArgs(argv) {
+  const options = {
+    nipValues: [],
+    nipFiles: [],
+    datasetPath: null,
+    useDefaultDataset: true,
+    dryRun: false,
+    incremental: false,
+    limit: null,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--dataset":
+        if (i + 1 >= argv.length) {
+          throw new Error("--dataset requires a path argument.");
+        }
+        options.datasetPath = argv[++i];
+        break;
+      case "--no-default-dataset":
+        options.useDefaultDataset = false;
+        break;
+      case "--nips":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips requires a comma/space separated list of NIPs.");
+        }
+        options.nipValues.push(argv[++i]);
+        break;
+      case "--nips-file":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips-file requires a file path containing NIPs.");
+        }
+        options.nipFiles.push(argv[++i]);
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--incremental":
+        options.incremental = true;
+        break;
+      case "--limit":
+        if (i + 1 >= argv.length) {
+          throw new Error("--limit requires a numeric value.");
+        }
+        {
+          const value = Number.parseInt(argv[++i], 10);
+          if (!Number.isFinite(value) || value <= 0) {
+            throw new Error("--limit must be a positive integer.");
+          }
+          options.limit = value;
+        }
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("--")) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        if (arg.trim().length > 0) {
+          options.nipValues.push(arg.trim());
+        }
+        break;
+    }
+  }
+
+  return options;
+}
+
+async function resolveNipFilter(options) {
+  const nipSet = new Set();
+  const addNips = (value) =>
+    value
+      .split(/[\s,]+/)
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .forEach((nip) => nipSet.add(nip));
+
+  options.nipValues.forEach(addNips);
+  for (const filePath of options.nipFiles) {
+    let contents;
+    try {
+      contents = await fsp.readFile(path.resolve(process.cwd(), filePath), "utf-8");
+    } catch (err) {
+      throw new Error(`Unable to read NIP list file "${filePath}": ${err.message}`);
+    }
+    addNips(contents.replace(/\r/g, "\n"));
+  }
+
+  return nipSet.size > 0 ? nipSet : null;
+}
+
+/**
+ * Builds the importer for a domain: reads staging/<nip>.json (or a merged dataset), validates
+ * and normalizes each record, copies its documents next to the employee's uploads, links them
+ * through trx_employee_file and creates or updates the target row.
+ * @param {object} domain result of defineDomain
+ * @param {{ prisma: object, script: string, notes?: string[] }} options
+ *   script is the path shown in --help, relative to the repo root
+ */
+function createDomainImporter(domain, { prisma, script, notes = [] }) {
+  for (const key of domain.apply ? ["normalize"] : ["model", "prefix", "normalize", "toPayload"]) {
+    if (!domain[key]) throw new Error(`Domain "${domain.name}" cannot be imported without "${key}".`);
+  }
+  if (!domain.apply && !domain.uniqueKey && !domain.match) {
+    throw new Error(`Domain "${domain.name}" needs either "uniqueKey" or "match" to find existing rows.`);
+  }
+
+  const column = (suffix) => `${domain.prefix}_${suffix}`;
+  const synced = domain.apply ? null : SYNCED_MODELS[domain.model] || null;
+  const documentSpec = domain.document || null;
+  const mappingDomain = documentSpec ? documentSpec.mapping || domain.name : null;
+  const fileKeyMapping = documentSpec ? buildFileKeyMapping(mappingDomain) : {};
+  const docIdToFileKey = documentSpec ? buildDocIdToFileKey(mappingDomain) : {};
+  const knownDocIds = new Set(documentSpec ? Object.keys(buildDocIdToFileKey(mappingDomain, { includeUnsynced: true })) : []);
+  const reportedDocIds = new Set();
+  const mappedFields = Object.values(fileKeyMapping).map((entry) => entry.field);
+  if (mappedFields.includes(null) && !documentSpec.fileKet) {
+    throw new Error(`Domain "${domain.name}" has documents without a link column and needs "document.fileKet".`);
+  }
+  if (domain.apply && mappedFields.some(Boolean)) {
+    throw new Error(`Domain "${domain.name}" writes no row of its own, so its documents can only be linked through file_ket.`);
+  }
+
+  /** ms_jenis_file id per file key; documents whose type did not resolve are not linked. */
+  async function findFileTypes() {
+    if (!documentSpec) return {};
+    const resolved = await validateDocumentMapping(prisma, [mappingDomain]);
+    return resolved[mappingDomain];
+  }
+
+  /** Mapping entry of a BKN dok_id; unknown ids are reported once per run. */
+  const documentFileKey = (docKey, fileInfo) => {
+    if (!knownDocIds.has(docKey) && !reportedDocIds.has(docKey)) {
+      reportedDocIds.add(docKey);
+      logger.warn(`[MAPPING] dok_id ${docKey} (${fileInfo.dok_nama || "-"}) is not in the ${mappingDomain} documents of document_mapping.json; not linked.`);
+    }
+    return docIdToFileKey[docKey] || null;
+  };
+
+  /**
+   * Collects the downloaded documents of a record: the first one in record.path order for each
+   * link column, and one for file_ket. Documents an older importer already moved out of
+   * temp_downloads are linked where they are in final storage.
+   */
+  async function resolveDocuments(nip, record, data, fileTypes) {
+    const documents = [];
+    if (!documentSpec || !record.path || typeof record.path !== "object") return documents;
+
+    for (const [docKey, fileInfo] of Object.entries(record.path)) {
+      if (!fileInfo || !fileInfo.dok_uri || typeof fileInfo.dok_uri !== "string") continue;
+
+      const fileKey = documentFileKey(docKey, fileInfo);
+      const mapping = fileKeyMapping[fileKey];
+      if (!mapping || !fileTypes[fileKey] || documents.some((document) => document.field === mapping.field)) continue;
+
+      const fileExt = (path.extname(fileInfo.dok_uri).toLowerCase() || ".pdf").substring(1);
+      const fileName = documentSpec.fileName(nip, data, record, fileExt, fileKey);
+      const storageKey = storagePaths.employeeFileKey(nip, fileName);
+
+      const safeDownloadedFilename = stagedDownloadName(record.id, docKey, fileInfo.dok_uri);
+      let sourcePath = path.join(downloadPath(domain), safeDownloadedFilename);
+      let fileSize;
+      if (fs.existsSync(sourcePath)) {
+        fileSize = (await fsp.stat(sourcePath)).size;
+      } else {
+        const stored = await fileStorage.stat(storageKey);
+        if (!stored) {
+          logger.warn(`[FILE] File not found in temp_downloads and not in final storage: ${safeDownloadedFilename}`);
+          continue;
+        }
+        logger.info(`[FILE] File already exists in final storage: ${fileStorage.describe(storageKey)}`);
+        sourcePath = null;
+        fileSize = stored.size;
+      }
+
+      documents.push({
+        fileKey,
+        field: mapping.field,
+        fileType: fileTypes[fileKey],
+        sourcePath,
+        storageKey,
+        fileName,
+        fileExt,
+        fileSize,
+        hash: sourcePath ? await hashFile(sourcePath) : await hashStoredDocument(fileStorage, storageKey),
+      });
+    }
+
+    return documents;
+  }
+
+  async function linkDocument(tx, { employee, document, fileId, fileKet, record, now, report }) {
+    const fileData = {
+      file_name: document.fileName,
+      file_type: document.fileType,
+      file_path: document.storageKey,
+      file_hash: document.hash,
+      file_status: 1,
+      file_size: document.fileSize,
+      file_ext: document.fileExt,
+      ...(fileKet ? { file_ket: fileKet } : {}),
+    };
+    const label = `${document.fileKey} of ${domain.name} ${record.id}`;
+    if (fileId) {
+      const previous = await tx.trx_employee_file.findUnique({ where: { file_id: fileId }, select: { file_hash: true } });
+      if (detectChangedDocument(previous?.file_hash, document.hash, label)) {
+        report.changedDocuments++;
+      }
+      await tx.trx_employee_file.update({
+        where: { file_id: fileId },
+        data: { ...fileData, file_update_by: SUPERADMIN_ID, file_update_date: now },
+      });
+      logger.info(`[FILE_DB] Updated existing file record ID ${fileId} for ${label}.`);
+      return fileId;
+    }
+    const newFile = await tx.trx_employee_file.create({
+      data: {
+        ...fileData,
+        file_employee_id: employee.employee_id,
+        file_create_by: SUPERADMIN_ID,
+        file_create_date: now,
+      },
+    });
+    logger.info(`[FILE_DB] Created new file record ID ${newFile.file_id} for ${label}.`);
+    return newFile.file_id;
+  }
+
+  /**
+   * Links the placed documents of a record and returns the link columns to write on its row.
+   * Documents without a link column are found again through their file_ket.
+   */
+  async function linkDocuments(tx, { employee, documents, existing, record, now, report }) {
+    const links = {};
+    for (const document of documents) {
+      if (document.field) {
+        const fileId = existing ? existing[document.field] : null;
+        links[document.field] = await linkDocument(tx, { employee, document, fileId, record, now, report });
+        continue;
+      }
+      const fileKet = `${documentSpec.fileKet}${record.id}`;
+      const linked = await tx.trx_employee_file.findFirst({
+        where: { file_employee_id: employee.employee_id, file_ket: fileKet },
+        select: { file_id: true },
+      });
+      await linkDocument(tx, { employee, document, fileId: linked ? linked.file_id : null, fileKet, record, now, report });
+    }
+    return links;
+  }
+
+  const findExisting = (db, employeeId, data, payload) =>
+    domain.uniqueKey
+      ? db[domain.model].findUnique({ where: domain.uniqueKey(employeeId, data, payload) })
+      : db[domain.model].findFirst({ where: domain.match(employeeId, data, payload) });
+
+  /** <prefix>_bkn_hash of the employee's rows by BKN record id, for --incremental. */
+  async function loadSyncedHashes(employeeId) {
+    const rows = await prisma[domain.model].findMany({
+      where: { [column("employee_id")]: employeeId, [column("bkn_id")]: { not: null }, [column("bkn_hash")]: { not: null } },
+      select: { [column("bkn_id")]: true, [column("bkn_hash")]: true },
+    });
+    return new Map(rows.map((row) => [String(row[column("bkn_id")]), row[column("bkn_hash")]]));
+  }
+
+  /**
+   * Queues a conflict when the row a record would overwrite was edited in BAKAS since its last
+   * sync (sync_conflicts.js), before any master row or file is written for the record. This is
+   * only an early exit; writeRecord checks the row again inside the write transaction.
+   * @returns {Promise<boolean>} true when the record must be left alone
+   */
+  async function holdForConflict({ nip, employee, record, data, label, dryRun, report }) {
+    const current = await findExisting(prisma, employee.employee_id, data, undefined);
+    const reason = current ? detectManualEdit(domain.model, current) : null;
+    if (!reason) return false;
+
+    await reportConflict({ nip, employee, record, label, dryRun, report }, current, reason);
+    return true;
+  }
+
+  async function reportConflict({ nip, employee, record, label, dryRun, report }, current, reason) {
+    report.conflicts++;
+    const row = `${domain.model} ${current[synced.id]} (NIP ${nip} / ${label})`;
+    if (dryRun) {
+      logger.warn(`[DRY-RUN] Would leave ${row} untouched: ${reason}.`);
+      return;
+    }
+    const { conflictId, queued } = await queueConflict(prisma, {
+      model: domain.model,
+      row: current,
+      record,
+      reason,
+      nip,
+      employeeId: employee.employee_id,
+    });
+    logger.warn(
+      `[CONFLICT] ${row} ${reason}; ` + (queued ? `left untouched, queued for review as conflict #${conflictId}.` : `kept local by conflict #${conflictId}.`),
+    );
+  }
+
+
+  /**
+   * Writes one record inside the import transaction. Synced rows are checked for manual edits
+   * again here and only updated while the checked columns still hold the values that were read,
+   * so an edit saved in BAKAS while the record is imported is never overwritten.
+   * @returns {Promise<{ created?: boolean, conflict?: { row: object, reason: string } }>}
+   */
+  async function writeRecord(tx, { nip, employee, record, data, label, documents, changeHash, report }) {
+    const now = new Date();
+    if (domain.apply) {
+      await domain.apply(data, { tx, nip, employee, record, now });
+      await linkDocuments(tx, { employee, documents, existing: null, record, now, report });
+      return { created: false };
+    }
+
+    const payload = { ...(await domain.toPayload(data, { tx, nip, employee, record })) };
+    if (changeHash) payload[column("bkn_hash")] = changeHash;
+    if (synced) payload[synced.syncDate] = now;
+
+    const existing = await findExisting(tx, employee.employee_id, data, payload);
+    const reason = synced && existing ? detectManualEdit(domain.model, existing) : null;
+    if (reason) return { conflict: { row: existing, reason } };
+
+    const links = await linkDocuments(tx, { employee, documents, existing, record, now, report });
+
+    if (existing) {
+      const { count } = await tx[domain.model].updateMany({
+        where: { [column("id")]: existing[column("id")], ...(synced ? syncedState(domain.model, existing) : {}) },
+        data: { ...payload, ...links, [column("update_by")]: SUPERADMIN_ID, [column("update_date")]: now },
+      });
+      if (count === 0) {
+        // Rolls the transaction back; the next run sees the edit and queues the conflict
+        throw new Error(`${domain.model} ${existing[column("id")]} was changed while it was being imported.`);
+      }
+    } else {
+      await tx[domain.model].create({
+        data: {
+          ...payload,
+          ...links,
+          [column("employee_id")]: employee.employee_id,
+          [column("create_by")]: SUPERADMIN_ID,
+          [column("create_date")]: now,
+        },
+      });
+    }
+    logger.info(`[UPSERT] ${existing ? "Updated" : "Created"} ${domain.model} for NIP ${nip} / ${label}.`);
+    return { created: !existing };
+  }
+
+  /** Removes the document copies of a record that was not written. */
+  async function removeCopies(copiedKeys) {
+    for (const storageKey of copiedKeys.splice(0)) {
+      await fileStorage.remove(storageKey).catch(() => {});
+      logger.warn(`[ROLLBACK] Removed orphaned file copy: ${fileStorage.describe(storageKey)}`);
+    }
+  }
+
+  /**
+   * @param {string} nip
+   * @param {Array<object>} records
+   * @param {{ dryRun?: boolean, incremental?: boolean, fileTypes?: Record<string, number | null>, report?: object }} [options]
+   *   fileTypes from findFileTypes; documents are only linked for file keys listed there
+   * @returns {Promise<boolean>}
+   */
+  async function processRecordsForNip(nip, records, { dryRun = false, incremental = false, fileTypes = {}, report = createReport() } = {}) {
+    if (!records || !Array.isArray(records) || records.length === 0) {
+      logger.warn(`No ${domain.name} records found or data is not an array for NIP: ${nip}`);
+      return false;
+    }
+
+    const employee = await prisma.ms_employee.findFirst({
+      where: {
+        employee_nip: nip,
+        employee_status: { notIn: [0] },
+      },
+    });
+    if (!employee) {
+      logger.warn(`[SKIP] NIP ${nip} not found in local ms_employee`);
+      report.missingEmployees++;
+      return false;
+    }
+
+    logger.info(`Processing NIP: ${nip} (${records.length} ${domain.name} records)`);
+
+    const syncedHashes = incremental && domain.changeHash ? await loadSyncedHashes(employee.employee_id) : null;
+    const unchangedBefore = report.unchanged;
+
+    for (const record of domain.sortRecords ? domain.sortRecords(records) : records) {
+      const copiedKeys = [];
+      try {
+        const data = domain.normalize(record);
+        const label = domain.describe(data, record);
+        const skipReason = await domain.validate(data, record, { prisma });
+        if (skipReason) {
+          logger.warn(`[SKIP] Record ${record.id} (NIP ${nip}): ${skipReason}`);
+          report.skipped++;
+          continue;
+        }
+
+        const changeHash = domain.changeHash ? await domain.changeHash(record) : null;
+        if (syncedHashes && syncedHashes.get(String(record.id)) === changeHash) {
+          report.unchanged++;
+          continue;
+        }
+
+        if (synced && (await holdForConflict({ nip, employee, record, data, label, dryRun, report }))) {
+          continue;
+        }
+
+        const documents = await resolveDocuments(nip, record, data, fileTypes);
+
+        if (dryRun) {
+          logger.info(
+            `[DRY-RUN] Would ${domain.apply ? "apply" : "upsert"} ${domain.name} ${label} for NIP ${nip}` +
+              (documents.length > 0 ? ` with ${documents.map((document) => document.fileName).join(", ")}` : ""),
+          );
+          continue;
+        }
+
+        // Copy before the transaction so the DB never points to a file that isn't there
+        for (const document of documents) {
+          if (!document.sourcePath) continue;
+          const placed = await placeDocument(prisma, fileStorage, {
+            employeeId: employee.employee_id,
+            sourcePath: document.sourcePath,
+            storageKey: document.storageKey,
+            hash: document.hash,
+          });
+          document.storageKey = placed.storageKey;
+          if (placed.copied) copiedKeys.push(placed.storageKey);
+        }
+
+        const { created, conflict } = await prisma.$transaction((tx) =>
+          writeRecord(tx, { nip, employee, record, data, label, documents, changeHash, report }),
+        );
+        if (conflict) {
+          await removeCopies(copiedKeys);
+          await reportConflict({ nip, employee, record, label, dryRun, report }, conflict.row, conflict.reason);
+          continue;
+        }
+        report[created ? "created" : "updated"]++;
+        report.files += documents.length;
+      } catch (e) {
+        await removeCopies(copiedKeys);
+        logger.error(`[FAIL] Failed ${domain.name} record ${record.id} for NIP ${nip}: ${e.message}`);
+        report.failed++;
+      }
+    }
+
+    if (report.unchanged > unchangedBefore) {
+      logger.info(`[UNCHANGED] NIP ${nip}: skipped ${report.unchanged - unchangedBefore} record(s) unchanged since their last import.`);
+    }
+    return true;
+  }
+
+  async function processNip(nip, options) {
+    const filePath = path.join(stagingPath(domain), `${nip}.json`);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await fsp.readFile(filePath, "utf-8"));
+    } catch (err) {
+      logger.error(`[FAIL] Unable to read staging file for NIP ${nip}: ${err.message}`);
+      return false;
+    }
+
+    return processRecordsForNip(nip, domain.extractRecords(parsed), options);
+  }
+
+  function printHelp() {
+    const stagingLabel = `${path.basename(domain.dir)}/${domain.stagingDir}`;
+    const lines = [
+      `Usage: node ${script} [options] [NIP ...]`,
+      "",
+      "Options:",
+      '  --nips "A,B"          Import only these NIPs (comma/space separated).',
+      "  --nips-file <path>    Load NIPs from a file (one per line or comma separated).",
+      "  --dataset <path>      Import from a merged dataset instead of the per-NIP JSON files.",
+      `                        \`bkn-sync build-dataset\` writes these as ${path.basename(domain.dir)}/datasets/<NNNN>.json.`,
+      ...(domain.defaultDataset
+        ? [`  --no-default-dataset  Do not use ${stagingLabel}/${domain.defaultDataset} when it exists.`]
+        : []),
+      ...(domain.changeHash
+        ? [`  --incremental         Skip records whose BKN data and documents are unchanged since their`, `                        last import (${column("bkn_hash")}).`]
+        : []),
+      "  --dry-run             Print planned work without writing to DB.",
+      "  --limit <n>           Process at most <n> NIPs.",
+      "  --help                Show this message.",
+      "",
+      `Without --dataset the importer reads per-NIP JSON files under ${stagingLabel}.`,
+      ...notes,
+    ];
+    lines.forEach((line) => logger.info(line));
+  }
+
+  function resolveDatasetPath(options) {
+    if (options.datasetPath) return path.resolve(process.cwd(), options.datasetPath);
+    if (!domain.defaultDataset || !options.useDefaultDataset) return null;
+
+    const candidate = path.join(stagingPath(domain), domain.defaultDataset);
+    if (!fs.existsSync(candidate)) return null;
+    logger.info(`[CONFIG] Detected ${domain.defaultDataset}. Using it as dataset unless --no-default-dataset is provided.`);
+    return candidate;
+  }
+
+  async function main(argv = process.argv.slice(2)) {
+    let options;
+    let nipFilter;
+    try {
+      options = parseCliArgs(argv);
+      nipFilter = await resolveNipFilter(options);
+      if (options.incremental && !domain.changeHash) {
+        throw new Error(`--incremental is not supported by the ${domain.name} importer.`);
+      }
+    } catch (err) {
+      logger.error(`[ARGS] ${err.message}`);
+      printHelp();
+      process.exitCode = 1;
+      return;
+    }
+
+    if (options.help) {
+      printHelp();
+      return;
+    }
+
+    const title = domain.name.charAt(0).toUpperCase() + domain.name.slice(1);
+    logger.info(`--- Starting ${title} Importer ---`);
+    if (options.incremental) {
+      logger.info("[CONFIG] Incremental mode: records unchanged since their last import are skipped.");
+    }
+
+    const report = createReport();
+    const importOptions = { dryRun: options.dryRun, incremental: options.incremental, fileTypes: await findFileTypes(), report };
+    const datasetPath = resolveDatasetPath(options);
+
+    let nips;
+    if (datasetPath) {
+      const dataset = await openDataset(datasetPath);
+      nips = dataset.listNips({ nipFilter });
+      if (options.limit) {
+        nips = nips.slice(0, options.limit);
+      }
+      // One NIP's records in memory at a time; a dataset can be hundreds of MB.
+      for (const nip of nips) {
+        await processRecordsForNip(nip, await dataset.readNip(nip), importOptions);
+      }
+    } else {
+      const files = (await fsp.readdir(stagingPath(domain))).filter(
+        (file) => file.endsWith(".json") && file !== domain.defaultDataset && !isDatasetIndexFile(file),
+      );
+      nips = files.map((file) => path.basename(file, ".json"));
+      if (nipFilter) {
+        nips = nips.filter((nip) => nipFilter.has(nip));
+      }
+      if (options.limit) {
+        nips = nips.slice(0, options.limit);
+      }
+      for (const nip of nips) {
+        await processNip(nip, importOptions);
+      }
+    }
+
+    logger.info(`[REPORT] ${JSON.stringify({ nips: nips.length, ...report })}`);
+    if (report.conflicts > 0 && !options.dryRun) {
+      logger.warn(`[CONFLICT] ${report.conflicts} manually edited row(s) left untouched. Review with script/sync_conflicts.js.`);
+    }
+    if (options.dryRun) {
+      logger.info("[DRY-RUN] No database changes were made.");
+    }
+    logger.info(`--- ${title} Importer Finished ---`);
+  }
+
+  /** Runs main() when the importer script is executed directly. */
+  function run() {
+    main()
+      .catch((e) => {
+        logger.error(`[FATAL] The script encountered a fatal error: ${e.message}`);
+        process.exit(1);
+      })
+      .finally(async () => {
+        await prisma.$disconnect();
+        logger.info("--- Database disconnected ---");
+      });
+  }
+
+  return {
+    main,
+    run,
+    processNip,
+    processRecordsForNip,
+    findFileTypes,
+    printHelp,
+  };
+}
+
+module.exports = {
+  SUPERADMIN_ID,
+  STATUS_SYNC_BKN,
+  toNullIfEmpty,
+  toInt,
+  parseDate,
+  parseLocalDate,
+  pickFirst,
+  sanitizeString,
+  sanitizeFileName,
+  toDatePart,
+  stagedDownloadName,
+  extractDataArray,
+  defineDomain,
+  runDomainFetch,
+  createDomainImporter,
+  parseCliArgs,
+  resolveNipFilter,
+};
@@ -0,0 +1,161 @@
+const logger = require("../logger");
+const { SUPERADMIN_ID, parseLocalDate, sanitizeString, toDatePart, defineDomain } = require("../domain_pipeline");
+const { detectManualEdit } = require("../sync_conflicts");
+
+/**
+ * Parses a BKN kredit value ("12.5", 12.5, "") into a number, or null.
+ * @param {*} value
+ * @returns {number | null}
+ */
+function parseKredit(value) {
+  if (value === null || value === undefined) return null;
+  const cleaned = typeof value === "string" ? value.trim().replace(",", ".") : value;
+  if (cleaned === "") return null;
+  const numeric = Number(cleaned);
+  return Number.isFinite(numeric) ? numeric : null;
+}
+
+/**
+ * Sort key for the assessment period end (tahun/bulan selesai penilaian), falling back to tanggalSk.
+ * @param {object} record
+ * @returns {number}
+ */
+function periodSortKey(record) {
+  const year = Number.parseInt(record.tahunSelesaiPenailan, 10);
+  const month = Number.parseInt(record.bulanSelesaiPenailan, 10);
+  if (Number.isInteger(year) && year > 0) {
+    return year * 100 + (Number.isInteger(month) ? month : 12);
+  }
+  const tanggalSk = parseLocalDate(record.tanggalSk);
+  return tanggalSk ? tanggalSk.getFullYear() * 100 + tanggalSk.getMonth() + 1 : 0;
+}
+
+/**
+ * Maps one BKN angka kredit record to the values stored locally. tanggalSk is compared with
+ * trx_jabatan_tmt, which the jabatan importer parses the same way (local midnight).
+ * @param {object} record
+ */
+function buildAngkaKreditData(record) {
+  const kreditUtama = parseKredit(record.kreditUtamaBaru);
+  const kreditTambahan = parseKredit(record.kreditTambahanBaru);
+  let kreditTotal = parseKredit(record.kreditBaruTotal);
+  if (kreditTotal === null && (kreditUtama !== null || kreditTambahan !== null)) {
+    kreditTotal = (kreditUtama || 0) + (kreditTambahan || 0);
+  }
+
+  return {
+    bknId: record.id,
+    rwJabatanId: typeof record.rwJabatan === "object" && record.rwJabatan !== null ? record.rwJabatan.id : record.rwJabatan,
+    nomorSk: sanitizeString(record.nomorSk),
+    tanggalSk: parseLocalDate(record.tanggalSk),
+    kreditUtama,
+    kreditTambahan,
+    kreditTotal,
+    period: `${record.bulanMulaiPenailan || "?"}/${record.tahunMulaiPenailan || "?"} - ${record.bulanSelesaiPenailan || "?"}/${record.tahunSelesaiPenailan || "?"}`,
+  };
+}
+
+/**
+ * Finds the trx_jabatan row the PAK belongs to: the riwayat jabatan BKN links it to,
+ * or else the jabatan that was active on the SK date.
+ * @param {object} tx
+ * @param {number} employeeId
+ * @param {{ rwJabatanId: string | null, tanggalSk: Date | null }} data
+ */
+async function findLinkedJabatan(tx, employeeId, data) {
+  if (data.rwJabatanId) {
+    const linked = await tx.trx_jabatan.findFirst({
+      where: { trx_jabatan_employee_id: employeeId, trx_jabatan_bkn_id: String(data.rwJabatanId) },
+    });
+    if (linked) return linked;
+  }
+  if (!data.tanggalSk) return null;
+  return tx.trx_jabatan.findFirst({
+    where: { trx_jabatan_employee_id: employeeId, trx_jabatan_tmt: { lte: data.tanggalSk } },
+    orderBy: { trx_jabatan_tmt: "desc" },
+  });
+}
+
+/**
+ * Finds the trx_pangkat row in effect on the SK date.
+ * @param {object} tx
+ * @param {number} employeeId
+ * @param {Date | null} tanggalSk
+ */
+async function findPangkatAt(tx, employeeId, tanggalSk) {
+  if (!tanggalSk) return null;
+  return tx.trx_pangkat.findFirst({
+    where: { pangkat_employee_id: employeeId, pangkat_tanggal_tmt_golongan: { lte: tanggalSk } },
+    orderBy: { pangkat_tanggal_tmt_golongan: "desc" },
+  });
+}
+
+/**
+ * Applies one PAK to the rows the jabatan and golongan importers own.
+ *
+ * trx_jabatan_angka_kredit is an integer in BAKAS, so fractional totals are rounded (and
+ * logged). trx_pangkat kredit columns are only filled when empty, because the golongan
+ * importer sets them from rw-golongan. Rows edited in BAKAS since their last sync (see
+ * sync_conflicts.js) are not written; the jabatan/golongan importers queue them for review.
+ */
+async function applyAngkaKredit(data, { tx, nip, employee, record, now }) {
+  const jabatan = await findLinkedJabatan(tx, employee.employee_id, data);
+  const jabatanEdit = jabatan ? detectManualEdit("trx_jabatan", jabatan) : null;
+  if (!jabatan) {
+    logger.warn(`[LINK] No trx_jabatan found for PAK ${record.id} (NIP ${nip}, rwJabatan ${data.rwJabatanId || "-"}).`);
+  } else if (jabatanEdit) {
+    logger.warn(`[CONFLICT] trx_jabatan ${jabatan.trx_jabatan_id} (NIP ${nip}) ${jabatanEdit}; angka kredit from PAK ${record.id} not applied.`);
+  } else {
+    const angkaKredit = Math.round(data.kreditTotal);
+    if (angkaKredit !== data.kreditTotal) {
+      logger.warn(`[ROUNDED] PAK ${record.id} (NIP ${nip}): total ${data.kreditTotal} stored as ${angkaKredit}, trx_jabatan_angka_kredit is an integer column.`);
+    }
+    await tx.trx_jabatan.update({
+      where: { trx_jabatan_id: jabatan.trx_jabatan_id },
+      data: {
+        trx_jabatan_angka_kredit: angkaKredit,
+        trx_jabatan_update_by: SUPERADMIN_ID,
+        trx_jabatan_update_date: now,
+      },
+    });
+    logger.info(`[UPDATE] trx_jabatan ${jabatan.trx_jabatan_id} angka kredit = ${angkaKredit} (NIP ${nip}).`);
+  }
+
+  const pangkat = await findPangkatAt(tx, employee.employee_id, data.tanggalSk);
+  const pangkatEdit = pangkat ? detectManualEdit("trx_pangkat", pangkat) : null;
+  if (pangkatEdit) {
+    logger.warn(`[CONFLICT] trx_pangkat ${pangkat.pangkat_id} (NIP ${nip}) ${pangkatEdit}; kredit from PAK ${record.id} not applied.`);
+  } else if (pangkat && pangkat.pangkat_kredit_utama === null && pangkat.pangkat_kredit_tambahan === null) {
+    await tx.trx_pangkat.update({
+      where: { pangkat_id: pangkat.pangkat_id },
+      data: {
+        pangkat_kredit_utama: data.kreditUtama,
+        pangkat_kredit_tambahan: data.kreditTambahan,
+        pangkat_update_by: SUPERADMIN_ID,
+        pangkat_update_date: now,
+      },
+    });
+    logger.info(`[UPDATE] trx_pangkat ${pangkat.pangkat_id} kredit utama/tambahan filled from PAK ${record.id}.`);
+  }
+}
+
+module.exports = defineDomain({
+  name: "angka kredit",
+  dir: __dirname,
+  fetch: (bkn, nip) => bkn.getRiwayatAngkaKredit(nip),
+  endpoints: ["/pns/rw-angkakredit/{nip}"],
+  // PAK is the Penetapan Angka Kredit document. trx_employee_file has no link column for it, so
+  // file_ket carries the BKN record id instead.
+  document: {
+    mapping: "angka_kredit",
+    fileName: (nip, data, record, ext) => `${nip}_PAK_${toDatePart(data.tanggalSk || new Date())}_${record.id}.${ext}`,
+    fileKet: "BKN_AK:",
+  },
+
+  normalize: buildAngkaKreditData,
+  validate: (data) => (data.kreditTotal === null ? "no kredit values" : null),
+  describe: (data) => `PAK ${data.nomorSk || "-"} (${data.period}) total ${data.kreditTotal}`,
+  // Oldest period first, so trx_jabatan_angka_kredit ends up holding the latest total for each jabatan
+  sortRecords: (records) => [...records].sort((a, b) => periodSortKey(a) - periodSortKey(b)),
+  apply: applyAngkaKredit,
+});
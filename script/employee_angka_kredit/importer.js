@@ -0,0 +1,24 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const angkaKredit = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(angkaKredit, {
+  prisma,
+  script: "script/employee_angka_kredit/importer.js",
+  notes: [
+    "Records are applied oldest period first to the matching trx_jabatan and trx_pangkat rows.",
+    "PAK documents are linked through file_ket, since neither row has a column for them.",
+  ],
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  buildAngkaKreditData: angkaKredit.normalize,
+  prisma,
+};
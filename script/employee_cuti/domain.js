@@ -0,0 +1,76 @@
+const logger = require("../logger");
+const { STATUS_SYNC_BKN, toNullIfEmpty, parseDate, toDatePart, defineDomain } = require("../domain_pipeline");
+
+const jenisCutiIds = new Map();
+
+/** BKN ids come as numbers or strings; cuti_bkn_id stores them as strings. */
+const toBknId = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  return cleaned === null ? null : String(cleaned);
+};
+
+/**
+ * Finds the ms_cuti row of a BKN jenis cuti id through cuti_bkn_id. Unknown ids are logged
+ * once and return null; ms_cuti is maintained by hand, so nothing is created here.
+ * @param {object} db prisma client or transaction
+ * @param {string} bknId
+ * @param {string | null} nama BKN name, only used in the log
+ * @returns {Promise<number | null>}
+ */
+async function findJenisCuti(db, bknId, nama) {
+  if (!jenisCutiIds.has(bknId)) {
+    const existing = await db.ms_cuti.findFirst({ where: { cuti_bkn_id: bknId } });
+    if (!existing) {
+      logger.warn(`[MASTER] Jenis cuti ${bknId} (${nama || "-"}) has no ms_cuti row with that cuti_bkn_id`);
+    }
+    jenisCutiIds.set(bknId, existing ? existing.cuti_id : null);
+  }
+  return jenisCutiIds.get(bknId);
+}
+
+module.exports = defineDomain({
+  name: "cuti",
+  dir: __dirname,
+  fetch: (bkn, nip) => bkn.getRiwayatCuti(nip),
+  endpoints: ["/pns/rw-cuti/{nip}"],
+  model: "trx_cuti",
+  prefix: "cuti",
+  document: {
+    fileName: (nip, data, record, ext) => `${nip}_SK_CUTI_${toDatePart(data.tanggalMulai || data.tanggalSk || new Date())}.${ext}`,
+  },
+
+  /**
+   * @param {object} record BKN rw-cuti record
+   */
+  normalize: (record) => ({
+    bknId: record.id,
+    jenisCutiBknId: toBknId(record.jenisCutiId),
+    jenisCutiNama: toNullIfEmpty(record.jenisCutiNama),
+    tanggalMulai: parseDate(record.tanggalMulai),
+    tanggalSelesai: parseDate(record.tanggalSelesai),
+    nomorSk: toNullIfEmpty(record.skNomor),
+    tanggalSk: parseDate(record.skTanggal),
+  }),
+  validate: async (data, record, { prisma }) => {
+    if (!data.tanggalMulai) return "no start date";
+    if (!data.jenisCutiBknId) return "no jenis cuti";
+    if (!(await findJenisCuti(prisma, data.jenisCutiBknId, data.jenisCutiNama))) return `unknown jenis cuti ${data.jenisCutiBknId}`;
+    return null;
+  },
+  describe: (data, record) => `${data.jenisCutiNama || "-"} ${record.tanggalMulai || ""}`.trim(),
+
+  toPayload: async (data, { tx }) => ({
+    cuti_jenis_id: await findJenisCuti(tx, data.jenisCutiBknId, data.jenisCutiNama),
+    cuti_tanggal_mulai: data.tanggalMulai,
+    cuti_tanggal_selesai: data.tanggalSelesai,
+    cuti_nomor: data.nomorSk,
+    cuti_tanggal: data.tanggalSk,
+    cuti_status: STATUS_SYNC_BKN,
+  }),
+  // trx_cuti has no unique key, so rows are matched on employee + jenis cuti + tanggal mulai
+  match: (employeeId, data, payload) => ({
+    cuti_employee_id: employeeId,
+    cuti_jenis_id: payload.cuti_jenis_id,
+    cuti_tanggal_mulai: data.tanggalMulai,
+  }),
+});
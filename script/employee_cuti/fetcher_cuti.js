@@ -0,0 +1,5 @@
+require("dotenv").config();
+const { runDomainFetch } = require("../domain_pipeline");
+const cuti = require("./domain");
+
+runDomainFetch(cuti);
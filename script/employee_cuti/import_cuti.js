@@ -0,0 +1,21 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const cuti = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(cuti, {
+  prisma,
+  script: "script/employee_cuti/import_cuti.js",
+  notes: ["Jenis cuti is looked up by ms_cuti.cuti_bkn_id; records with an unknown jenis cuti are skipped."],
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  normalizeRecord: cuti.normalize,
+  prisma,
+};
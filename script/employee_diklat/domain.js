@@ -0,0 +1,147 @@
+const logger = require("../logger");
+const { STATUS_SYNC_BKN, toNullIfEmpty, toInt, parseDate, sanitizeFileName, toDatePart, extractDataArray, defineDomain } = require("../domain_pipeline");
+
+// Diklat (struktural/fungsional) and kursus come from separate endpoints; both are staged
+// together in staging_diklat/<nip>.json as { diklat: <payload>, kursus: <payload> }. Each record
+// gets `_source` set to its key, like the records of a diklat dataset (build_dataset.js).
+const SOURCES = ["diklat", "kursus"];
+
+const extractRecords = (staged) =>
+  SOURCES.flatMap((source) => extractDataArray(staged?.[source]).map((record) => (record && typeof record === "object" ? { ...record, _source: source } : record)));
+
+// ms_diklat_jenis_kode of "Diklat Struktural" (BKN jenis diklat 1); rw-diklat only carries
+// diklat struktural, so its records have no jenisDiklatId of their own.
+const JENIS_DIKLAT_STRUKTURAL = 1;
+
+const toRoundedInt = (value) => {
+  const numeric = toInt(value);
+  return numeric === null ? null : Math.round(numeric);
+};
+
+/**
+ * Normalizes a rw-diklat or rw-kursus record. The two endpoints name the same things
+ * differently (nomor vs noSertipikat, latihanStrukturalNama vs namaKursus, ...); neither
+ * carries a separate certificate date, so the certificate is dated at the end date.
+ * @param {object} record
+ * @param {"diklat" | "kursus"} [source] defaults to the record's `_source`
+ */
+function normalizeRecord(record, source = record._source) {
+  if (source === "kursus") {
+    return {
+      bknId: record.id,
+      source,
+      nama: toNullIfEmpty(record.namaKursus),
+      nomorSertifikat: toNullIfEmpty(record.noSertipikat),
+      tanggalMulai: parseDate(record.tanggalKursus),
+      tanggalSelesai: parseDate(record.tanggalSelesaiKursus),
+      tanggalSertifikat: parseDate(record.tanggalSelesaiKursus),
+      penyelenggara: toNullIfEmpty(record.institusiPenyelenggara),
+      jumlahJam: toRoundedInt(record.jumlahJam),
+      jenisDiklatKode: toRoundedInt(record.jenisDiklatId),
+      jenisKursusSertipikat: toNullIfEmpty(record.jenisKursusSertipikat),
+      rumpunKode: toNullIfEmpty(record.rumpunDiklatId),
+      latihanStrukturalNama: null,
+    };
+  }
+  return {
+    bknId: record.id,
+    source: "diklat",
+    nama: toNullIfEmpty(record.latihanStrukturalNama),
+    nomorSertifikat: toNullIfEmpty(record.nomor),
+    tanggalMulai: parseDate(record.tanggal),
+    tanggalSelesai: parseDate(record.tanggalSelesai),
+    tanggalSertifikat: parseDate(record.tanggalSelesai),
+    penyelenggara: toNullIfEmpty(record.institusiPenyelenggara),
+    jumlahJam: toRoundedInt(record.jumlahJam),
+    jenisDiklatKode: JENIS_DIKLAT_STRUKTURAL,
+    jenisKursusSertipikat: null,
+    rumpunKode: toNullIfEmpty(record.rumpunDiklatId),
+    latihanStrukturalNama: toNullIfEmpty(record.latihanStrukturalNama),
+  };
+}
+
+/**
+ * Resolves the master-data ids of a normalized record. Codes that are not in the
+ * masters are left null rather than created, since they are BKN reference tables.
+ * @param {object} tx
+ * @param {object} data normalized record
+ */
+async function resolveMasters(tx, data) {
+  const [diklatJenis, jenisDiklat, rumpun, latihan] = await Promise.all([
+    data.jenisDiklatKode !== null ? tx.ms_diklat_jenis.findFirst({ where: { ms_diklat_jenis_kode: data.jenisDiklatKode } }) : null,
+    data.jenisKursusSertipikat ? tx.ms_jenis_diklat.findFirst({ where: { jenis_kursus_sertipikat: data.jenisKursusSertipikat } }) : null,
+    data.rumpunKode ? tx.ms_rumpun_diklat.findFirst({ where: { rumpun_diklat_kode: String(data.rumpunKode) } }) : null,
+    data.latihanStrukturalNama ? tx.ms_latihan_struktural.findFirst({ where: { latihan_nama: data.latihanStrukturalNama } }) : null,
+  ]);
+
+  if (data.jenisDiklatKode === null) {
+    logger.warn(`[MASTER] Kursus ${data.bknId} has no jenisDiklatId; diklat_type_id left empty`);
+  } else if (!diklatJenis) {
+    logger.warn(`[MASTER] Jenis diklat kode ${data.jenisDiklatKode} not found in ms_diklat_jenis`);
+  }
+  if (data.jenisKursusSertipikat && !jenisDiklat) {
+    logger.warn(`[MASTER] Jenis kursus sertipikat ${data.jenisKursusSertipikat} not found in ms_jenis_diklat`);
+  }
+  if (data.rumpunKode && !rumpun) {
+    logger.warn(`[MASTER] Rumpun diklat ${data.rumpunKode} not found in ms_rumpun_diklat`);
+  }
+  if (data.latihanStrukturalNama && !latihan) {
+    logger.warn(`[MASTER] Latihan struktural "${data.latihanStrukturalNama}" not found in ms_latihan_struktural`);
+  }
+
+  return {
+    diklat_type_id: diklatJenis ? diklatJenis.ms_diklat_jenis_id : null,
+    diklat_jenis_id: jenisDiklat ? jenisDiklat.jenis_diklat_id : null,
+    diklat_rumpun: rumpun ? rumpun.rumpun_diklat_id : null,
+    diklat_nama_id: latihan ? latihan.latihan_struktural_id : null,
+  };
+}
+
+module.exports = defineDomain({
+  name: "diklat",
+  dir: __dirname,
+  stagingDir: "staging_diklat",
+  fetch: async (bkn, nip) => ({
+    diklat: await bkn.getRiwayatDiklat(nip),
+    kursus: await bkn.getRiwayatKursus(nip),
+  }),
+  endpoints: ["/pns/rw-diklat/{nip}", "/pns/rw-kursus/{nip}"],
+  extractRecords,
+  model: "trx_diklat",
+  prefix: "diklat",
+  document: {
+    fileName: (nip, data, record, ext) =>
+      `${nip}_SERTIFIKAT_DIKLAT_${sanitizeFileName(data.nama, 60)}_${toDatePart(data.tanggalMulai || data.tanggalSertifikat || new Date())}.${ext}`,
+  },
+
+  normalize: normalizeRecord,
+  validate: (data) => {
+    if (!data.bknId) return `${data.source} record has no BKN id`;
+    return data.nama || data.nomorSertifikat ? null : `${data.source} record has no name or sertifikat number`;
+  },
+  describe: (data) => `${data.source} "${data.nama || "-"}" (sertifikat ${data.nomorSertifikat || "-"})`,
+
+  toPayload: async (data, { tx }) => ({
+    ...(await resolveMasters(tx, data)),
+    diklat_nama: data.nama,
+    diklat_penyelenggara: data.penyelenggara,
+    diklat_jumlah_jam: data.jumlahJam,
+    diklat_tanggal_mulai: data.tanggalMulai,
+    diklat_tanggal_selesai: data.tanggalSelesai,
+    diklat_nomor_sertifikat: data.nomorSertifikat,
+    diklat_tanggal_sertifikat: data.tanggalSertifikat,
+    diklat_bkn_id: String(data.bknId),
+    diklat_status: STATUS_SYNC_BKN,
+  }),
+  // Rows are matched on the BKN record id. Rows imported before diklat_bkn_id existed are
+  // found by nomor sertifikat + tanggal mulai instead, and get the id on this update.
+  match: (employeeId, data) => ({
+    diklat_employee_id: employeeId,
+    OR: [
+      { diklat_bkn_id: String(data.bknId) },
+      ...(data.nomorSertifikat
+        ? [{ diklat_bkn_id: null, diklat_nomor_sertifikat: data.nomorSertifikat, diklat_tanggal_mulai: data.tanggalMulai }]
+        : []),
+    ],
+  }),
+});
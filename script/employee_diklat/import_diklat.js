@@ -0,0 +1,21 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const diklat = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(diklat, {
+  prisma,
+  script: "script/employee_diklat/import_diklat.js",
+  notes: ["Diklat and kursus records are both imported into trx_diklat; unknown master codes are left empty."],
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  normalizeRecord: diklat.normalize,
+  prisma,
+};
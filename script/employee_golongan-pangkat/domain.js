@@ -0,0 +1,94 @@
+const { toNullIfEmpty, toInt, parseDate, defineDomain } = require("../domain_pipeline");
+
+/**
+ * Parses tmtGolongan with the Date constructor, which is how every trx_pangkat row synced so
+ * far got its TMT. The TMT is part of the row's unique key, so it must keep parsing the same way.
+ * @param {string} value
+ * @returns {Date | null}
+ */
+const parseTmtGolongan = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  if (!cleaned || cleaned === "01-01-0001" || cleaned === "0001-01-01T00:00:00Z") return null;
+  const parsed = new Date(cleaned);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Finds the ms_golongan and ms_jenis_kenaikan rows of a record. Both are BKN reference
+ * tables maintained by hand, so nothing is created here.
+ * @param {object} db prisma client or transaction
+ * @param {object} data normalized record
+ */
+async function findMasters(db, data) {
+  const [golongan, jenisKp] = await Promise.all([
+    data.golonganKode !== null ? db.ms_golongan.findFirst({ where: { golongan_kode: data.golonganKode } }) : null,
+    data.jenisKpKode !== null ? db.ms_jenis_kenaikan.findFirst({ where: { jenis_kp_kode: data.jenisKpKode } }) : null,
+  ]);
+  return { golongan, jenisKp };
+}
+
+module.exports = defineDomain({
+  name: "golongan",
+  dir: __dirname,
+  stagingDir: "staging_golongan",
+  fetch: (bkn, nip) => bkn.getRiwayatGolongan(nip),
+  endpoints: ["/pns/rw-golongan/{nip}"],
+  model: "trx_pangkat",
+  prefix: "pangkat",
+  // SK pangkat and petikan PPK share pangkat_file_id; the first one in record.path is linked
+  document: {
+    fileName: (nip, data, record, ext, fileKey) => `${nip}_${fileKey}_${(record.golongan || "").replaceAll("/", "")}.${ext}`,
+  },
+
+  /**
+   * @param {object} record BKN rw-golongan record
+   */
+  normalize: (record) => ({
+    bknId: record.id,
+    golonganKode: toNullIfEmpty(record.golonganId),
+    jenisKpKode: toInt(record.jenisKPId),
+    tmtGolongan: parseTmtGolongan(record.tmtGolongan),
+    nomorSk: toNullIfEmpty(record.skNomor),
+    tanggalSk: parseDate(record.skTanggal),
+    nomorPertekBkn: toNullIfEmpty(record.noPertekBkn),
+    tanggalPertekBkn: parseDate(record.tglPertekBkn),
+    masaKerjaTahun: toInt(record.masaKerjaGolonganTahun),
+    masaKerjaBulan: toInt(record.masaKerjaGolonganBulan),
+    // toInt does not round, so fractional kredit is kept
+    kreditUtama: toInt(record.jumlahKreditUtama),
+    kreditTambahan: toInt(record.jumlahKreditTambahan),
+  }),
+  validate: async (data, record, { prisma }) => {
+    if (!data.tmtGolongan) return "no TMT golongan";
+    const { golongan, jenisKp } = await findMasters(prisma, data);
+    if (!golongan || !jenisKp) return `golongan ${data.golonganKode || "-"} / jenis KP ${data.jenisKpKode ?? "-"} not found in ms_golongan or ms_jenis_kenaikan`;
+    return null;
+  },
+  describe: (data, record) => `${record.golongan || data.golonganKode || "-"} TMT ${record.tmtGolongan || "-"}`,
+
+  toPayload: async (data, { tx, record }) => {
+    const { golongan, jenisKp } = await findMasters(tx, data);
+    return {
+      pangkat_golongan_id: golongan.golongan_id,
+      pangkat_jenis_kenaikan: jenisKp.jenis_kp_id,
+      pangkat_tanggal_tmt_golongan: data.tmtGolongan,
+      pangkat_nomor_sk: data.nomorSk,
+      pangkat_tanggal_sk: data.tanggalSk,
+      pangkat_status: 1,
+      pangkat_jenis_sk: 3,
+      pangkat_nomor_sk_bkn: data.nomorPertekBkn,
+      pangkat_tanggal_sk_bkn: data.tanggalPertekBkn,
+      pangkat_masa_kerja_tahun: data.masaKerjaTahun,
+      pangkat_masa_kerja_bulan: data.masaKerjaBulan,
+      pangkat_kredit_utama: data.kreditUtama,
+      pangkat_kredit_tambahan: data.kreditTambahan,
+      pangkat_bkn_id: record.id,
+    };
+  },
+  uniqueKey: (employeeId, data) => ({
+    pangkat_employee_id_pangkat_tanggal_tmt_golongan: {
+      pangkat_employee_id: employeeId,
+      pangkat_tanggal_tmt_golongan: data.tmtGolongan,
+    },
+  }),
+});
@@ -0,0 +1,75 @@
+const logger = require("../logger");
+const { STATUS_SYNC_BKN, toNullIfEmpty, parseDate, toDatePart, defineDomain } = require("../domain_pipeline");
+
+const truncate = (value, length = 255) => (value && value.length > length ? value.slice(0, length) : value);
+
+/**
+ * Resolves jenis hukuman, peraturan and alasan codes to local ids. ms_peraturan is matched on
+ * kode or nama because BKN sends nomorPp either as a code or as the regulation's name.
+ * @param {object} tx
+ * @param {object} data normalized record
+ */
+async function resolveMasters(tx, data) {
+  const [jenisHukuman, peraturan, alasan] = await Promise.all([
+    data.jenisHukumanKode ? tx.ms_jenis_hukuman.findUnique({ where: { jenis_hukuman_kode: String(data.jenisHukumanKode) } }) : null,
+    data.peraturan ? tx.ms_peraturan.findFirst({ where: { OR: [{ peraturan_kode: data.peraturan }, { peraturan_nama: data.peraturan }] } }) : null,
+    data.alasanKode ? tx.ms_alasan_hukuman.findFirst({ where: { alasan_hukuman_kode: String(data.alasanKode) } }) : null,
+  ]);
+
+  if (data.jenisHukumanKode && !jenisHukuman) {
+    logger.warn(`[MASTER] Jenis hukuman ${data.jenisHukumanKode} (${data.jenisHukumanNama || "-"}) not found in ms_jenis_hukuman`);
+  }
+  if (data.peraturan && !peraturan) {
+    logger.warn(`[MASTER] Peraturan ${data.peraturan} not found in ms_peraturan`);
+  }
+
+  return {
+    hukuman_jenis_hukuman: jenisHukuman ? jenisHukuman.jenis_hukuman_id : null,
+    hukuman_peraturan_id: peraturan ? peraturan.peraturan_id : null,
+    hukuman_alasan_id: alasan ? alasan.alasan_hukuman_id : null,
+  };
+}
+
+module.exports = defineDomain({
+  name: "hukuman",
+  dir: __dirname,
+  stagingDir: "staging_hukuman",
+  fetch: (bkn, nip) => bkn.getRiwayatHukuman(nip),
+  endpoints: ["/pns/rw-hukdis/{nip}"],
+  model: "trx_hukuman",
+  prefix: "hukuman",
+  document: {
+    fileName: (nip, data, record, ext) => `${nip}_SK_HUKUMAN_${toDatePart(data.tanggalSk || new Date())}.${ext}`,
+  },
+
+  /**
+   * @param {object} record BKN rw-hukdis record
+   */
+  normalize: (record) => ({
+    bknId: record.id,
+    jenisHukumanKode: toNullIfEmpty(record.jenisHukumanId),
+    jenisHukumanNama: toNullIfEmpty(record.jenisHukumanNama),
+    peraturan: toNullIfEmpty(record.nomorPp),
+    alasanKode: toNullIfEmpty(record.alasanHukumanDisiplinId),
+    nomorSk: toNullIfEmpty(record.skNomor),
+    tanggalSk: parseDate(record.skTanggal),
+    tanggalBerlaku: parseDate(record.hukumanTanggal),
+    catatan: truncate(toNullIfEmpty(record.keterangan) || toNullIfEmpty(record.alasanHukumanDisiplinNama)),
+  }),
+  validate: (data) => (data.nomorSk ? null : "no SK number"),
+  describe: (data) => `${data.jenisHukumanNama || data.jenisHukumanKode || "-"} (SK ${data.nomorSk})`,
+
+  toPayload: async (data, { tx }) => ({
+    ...(await resolveMasters(tx, data)),
+    hukuman_nomor_sk: data.nomorSk,
+    hukuman_tanggal_sk: data.tanggalSk,
+    hukuman_tanggal_berlaku: data.tanggalBerlaku,
+    hukuman_catatan: data.catatan,
+    hukuman_status: STATUS_SYNC_BKN,
+  }),
+  // trx_hukuman has no unique key, so rows are matched on employee + nomor SK
+  match: (employeeId, data) => ({
+    hukuman_employee_id: employeeId,
+    hukuman_nomor_sk: data.nomorSk,
+  }),
+});
@@ -0,0 +1,20 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const hukuman = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(hukuman, {
+  prisma,
+  script: "script/employee_hukuman/import_hukuman.js",
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  normalizeRecord: hukuman.normalize,
+  prisma,
+};
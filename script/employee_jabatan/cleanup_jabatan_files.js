@@ -1,35 +1,27 @@
 #!/usr/bin/env node
 
 const fs = require("fs");
-const fsp = fs.promises;
 const path = require("path");
 const { PrismaClient } = require("@prisma/client");
 const logger = require("../logger");
+const { loadConfig } = require("../config");
+const { getFileStorage } = require("../file_storage");
+const { buildDocIdToFileKey, buildFileKeyMapping, validateDocumentMapping } = require("../document_mapping");
+const { openDataset } = require("../dataset_stream");
 
 const prisma = new PrismaClient();
 
-const STAGING_DATA_DIR = path.join(__dirname, "..", "staging_data");
+const STAGING_DATA_DIR = path.join(__dirname, "staging_data");
 const DEFAULT_DATASET_FILENAME = "1-final.json";
-const SUPERADMIN_ID = 1;
+const { SUPERADMIN_ID } = loadConfig();
+const fileStorage = getFileStorage();
 
-const BKN_DOC_ID_TO_FILE_KEY = {
-  872: "skJabatan",
-  873: "spPelantikan",
-};
-
-const LOCAL_FILE_KEY_MAPPING = {
-  skJabatan: { field: "trx_jabatan_file_id" },
-  spPelantikan: { field: "trx_jabatan_file_spp" },
-  baJabatan: { field: "trx_jabatan_file_ba" },
-};
+// Only synced documents (see config/document_mapping.json) are managed; columns of the others are never unlinked.
+const BKN_DOC_ID_TO_FILE_KEY = buildDocIdToFileKey("jabatan");
+const LOCAL_FILE_KEY_MAPPING = buildFileKeyMapping("jabatan");
 
 const MANAGED_FILE_KEYS = new Set(Object.values(BKN_DOC_ID_TO_FILE_KEY));
 
-function sanitizeString(str) {
-  if (typeof str !== "string") return str;
-  return str.replace(/[\uFFFD]/g, "");
-}
-
 function parseDate(dateString) {
   if (!dateString || typeof dateString !== "string") return null;
   const [dayString, monthString, yearString] = dateString.split("-");
@@ -60,29 +52,6 @@ function parseDate(dateString) {
   return parsedDate;
 }
 
-function normalizeNip(value) {
-  if (value === null || value === undefined) return null;
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    return trimmed.length > 0 ? trimmed : null;
-  }
-  if (typeof value === "number") {
-    return String(value);
-  }
-  return null;
-}
-
-function resolveRecordNip(record) {
-  return (
-    record?.nipBaru ??
-    record?.nip ??
-    record?.employee_nip ??
-    record?.employeeNip ??
-    record?.nipbaru ??
-    null
-  );
-}
-
 function parseCliArgs(argv) {
   const options = {
     datasetPath: null,
@@ -160,49 +129,6 @@ function printHelp() {
   lines.forEach((line) => logger.info(line));
 }
 
-async function loadDatasetRecords(datasetPath) {
-  const raw = await fsp.readFile(datasetPath, "utf-8");
-  const sanitized = sanitizeString(raw) ?? raw;
-  const parsed = JSON.parse(sanitized);
-
-  if (Array.isArray(parsed)) {
-    return parsed;
-  }
-
-  if (parsed && Array.isArray(parsed.data)) {
-    return parsed.data;
-  }
-
-  throw new Error(
-    `${datasetPath} does not contain an array or an object with a 'data' array.`,
-  );
-}
-
-function groupRecordsByNip(records, nipFilterSet) {
-  const groups = new Map();
-
-  for (const record of records) {
-    if (!record || typeof record !== "object") continue;
-
-    const nip = normalizeNip(resolveRecordNip(record));
-    if (!nip) {
-      logger.warn(
-        `[DATASET] Record ${record.id || "<no-id>"} missing NIP. Skipping.`,
-      );
-      continue;
-    }
-
-    if (nipFilterSet && !nipFilterSet.has(nip)) continue;
-
-    if (!groups.has(nip)) {
-      groups.set(nip, []);
-    }
-    groups.get(nip).push(record);
-  }
-
-  return groups;
-}
-
 function determinePresentFileKeys(record) {
   const presentKeys = new Set();
   if (!record.path || typeof record.path !== "object") {
@@ -376,10 +302,19 @@ async function processRecordCleanup(options, nip, record, stats) {
 
       stats.filesDisabled += 1;
 
-      if (options.deleteFiles && fileRecord.file_path) {
+      // Deduplicated documents share one stored file; only delete it once nothing else uses it.
+      const sharedWith = fileRecord.file_path
+        ? await tx.trx_employee_file.count({
+            where: { file_path: fileRecord.file_path, file_status: 1, file_id: { not: action.fileId } },
+          })
+        : 0;
+
+      if (options.deleteFiles && sharedWith > 0) {
+        logger.info(`[FILE] Keeping ${fileRecord.file_path}; still used by ${sharedWith} other file record(s).`);
+      } else if (options.deleteFiles && fileRecord.file_path) {
         try {
-          await fsp.unlink(fileRecord.file_path);
-          logger.info(`[FILE] Deleted ${fileRecord.file_path}`);
+          await fileStorage.remove(fileRecord.file_path);
+          logger.info(`[FILE] Deleted ${fileStorage.describe(fileRecord.file_path)}`);
           stats.filesDeleted += 1;
         } catch (err) {
           logger.warn(
@@ -425,10 +360,11 @@ async function main() {
   logger.info(
     `--- Starting Jabatan File Cleanup (dry-run=${options.dryRun ? "yes" : "no"}) ---`,
   );
+  await validateDocumentMapping(prisma, ["jabatan"]);
 
-  const datasetRecords = await loadDatasetRecords(options.datasetPath);
+  const dataset = await openDataset(options.datasetPath);
   logger.info(
-    `[DATASET] Loaded ${datasetRecords.length} record(s) from ${options.datasetPath}`,
+    `[DATASET] Indexed ${dataset.recordCount} record(s) from ${options.datasetPath}`,
   );
 
   const nipFilter =
@@ -436,8 +372,7 @@ async function main() {
       ? new Set(options.nips.map((nip) => nip.trim()).filter(Boolean))
       : null;
 
-  const grouped = groupRecordsByNip(datasetRecords, nipFilter);
-  if (grouped.size === 0) {
+  if (dataset.listNips({ nipFilter }).length === 0) {
     logger.warn("[DATASET] No records matched the provided filters.");
     return;
   }
@@ -455,7 +390,7 @@ async function main() {
     fileDeleteFailed: 0,
   };
 
-  for (const [nip, records] of grouped.entries()) {
+  for await (const [nip, records] of dataset.groups({ nipFilter })) {
     logger.info(
       `[PROCESS] NIP ${nip} (${records.length} record${records.length === 1 ? "" : "s"})`,
     );
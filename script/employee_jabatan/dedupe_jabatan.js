@@ -7,18 +7,15 @@ const fsp = fs.promises;
 const path = require("path");
 const { PrismaClient, Prisma } = require("@prisma/client");
 
-const logger = require("./logger");
+const logger = require("../logger");
+const { loadConfig } = require("../config");
+const { openDataset } = require("../dataset_stream");
 
 const prisma = new PrismaClient();
 
-const STAGING_DATA_DIR = path.join(__dirname, "..", "staging_data");
+const STAGING_DATA_DIR = path.join(__dirname, "staging_data");
 const DEFAULT_DATASET_FILENAME = "1-final.json";
-const SUPERADMIN_ID = 1;
-
-function sanitizeString(str) {
-  if (typeof str !== "string") return str;
-  return str.replace(/[\uFFFD]/g, "");
-}
+const { SUPERADMIN_ID } = loadConfig();
 
 function parseDate(dateString) {
   if (!dateString || typeof dateString !== "string") return null;
@@ -57,29 +54,6 @@ function formatDateDDMMYYYY(date) {
   return `${dd}-${mm}-${yyyy}`;
 }
 
-function normalizeNip(value) {
-  if (value === null || value === undefined) return null;
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    return trimmed.length > 0 ? trimmed : null;
-  }
-  if (typeof value === "number") {
-    return String(value);
-  }
-  return null;
-}
-
-function resolveRecordNip(record) {
-  return (
-    record?.nipBaru ??
-    record?.nip ??
-    record?.employee_nip ??
-    record?.employeeNip ??
-    record?.nipbaru ??
-    null
-  );
-}
-
 function parseCliArgs(argv) {
   const options = {
     datasetPath: null,
@@ -159,41 +133,6 @@ function printHelp() {
   lines.forEach((line) => logger.info(line));
 }
 
-async function loadDatasetRecords(datasetPath) {
-  const raw = await fsp.readFile(datasetPath, "utf-8");
-  const sanitized = sanitizeString(raw) ?? raw;
-  const parsed = JSON.parse(sanitized);
-
-  if (Array.isArray(parsed)) {
-    return parsed;
-  }
-
-  if (parsed && Array.isArray(parsed.data)) {
-    return parsed.data;
-  }
-
-  throw new Error(
-    `${datasetPath} does not contain an array or an object with a 'data' array.`,
-  );
-}
-
-function buildDatasetIndex(records) {
-  const index = new Map();
-
-  for (const record of records) {
-    if (!record || typeof record !== "object") continue;
-    const nip = normalizeNip(resolveRecordNip(record));
-    if (!nip) continue;
-    const key = `${nip}__${record.tmtJabatan}`;
-    if (!index.has(key)) {
-      index.set(key, []);
-    }
-    index.get(key).push(record);
-  }
-
-  return index;
-}
-
 async function resolveNipFilter(options) {
   const nipSet = new Set();
 
@@ -393,13 +332,12 @@ async function main() {
     datasetPath = path.resolve(process.cwd(), datasetPath);
   }
 
-  let datasetIndex = null;
+  let dataset = null;
   if (datasetPath) {
     try {
-      const datasetRecords = await loadDatasetRecords(datasetPath);
-      datasetIndex = buildDatasetIndex(datasetRecords);
+      dataset = await openDataset(datasetPath);
       logger.info(
-        `[DATASET] Indexed ${datasetIndex.size} record(s) from ${datasetPath}.`,
+        `[DATASET] Indexed ${dataset.recordCount} record(s) from ${datasetPath}.`,
       );
     } catch (err) {
       logger.error(`[DATASET] Failed to load dataset: ${err.message}`);
@@ -444,8 +382,9 @@ async function main() {
 
     if (rows.length < 2) continue;
 
-    const datasetRecords =
-      datasetIndex?.get(`${nip}__${tmtString}`) ?? [];
+    const datasetRecords = dataset
+      ? (await dataset.readNip(nip)).filter((record) => record.tmtJabatan === tmtString)
+      : [];
 
     let keepRow = chooseKeepRow(rows, datasetRecords);
 
@@ -0,0 +1,243 @@
+const path = require("path");
+const { buildDocIdToFileKey } = require("../document_mapping");
+const { recordHash } = require("../dataset_stream");
+const { hashFile } = require("../document_store");
+const { SUPERADMIN_ID, STATUS_SYNC_BKN, parseLocalDate, sanitizeString, sanitizeFileName, toDatePart, stagedDownloadName, defineDomain } = require("../domain_pipeline");
+
+const STAGING_FILES_DIR = path.join(__dirname, "temp_downloads");
+const BKN_DOC_ID_TO_FILE_KEY = buildDocIdToFileKey("jabatan");
+
+/**
+ * Finds the correct Jabatan Kode based on your logic.
+ * @param {object} record - The BKN JSON record
+ * @returns {string | null} The Jabatan Kode
+ */
+function findJabatanKode(record) {
+  switch (record.jenisJabatan) {
+    case "1":
+      return record.unorId;
+    case "2":
+      return record.jabatanFungsionalId;
+    case "4":
+      return record.jabatanFungsionalUmumId;
+    default:
+      return null;
+  }
+}
+
+const findEselon = async (db, record) => {
+  if (!record.eselonId) return null;
+  const eselon = await db.ms_eselon.findFirst({
+    where: {
+      eselon_kode: parseInt(record.eselonId, 10),
+    },
+  });
+  return eselon ? eselon.eselon_id : null;
+};
+
+/**
+ * Resolves where a jabatan sits: the kota/provinsi/instansi pusat row of its satker and, for
+ * kota with a known unor, the organization and ms_jabatan rows. Missing instansi pusat and
+ * fungsional umum jabatan rows are created.
+ * @param {object} db prisma client or transaction
+ * @param {object} record BKN rw-jabatan record
+ */
+const findOrganizationAndJabatan = async (db, record) => {
+  const { instansiKerjaId, satuanKerjaId, unorId, unorIndukNama, unorNama, namaJabatan, satuanKerjaNama } = record;
+  const eselon_id = await findEselon(db, record);
+
+  const instansiID = await db.ms_instansi_pusat.findFirst({
+    where: {
+      AND: [{ ms_instansi_pusat_instansi_id: { startsWith: instansiKerjaId } }, { ms_instansi_pusat_satker_id: { startsWith: satuanKerjaId } }],
+    },
+  });
+
+  const provinsiID = await db.ms_provinsi.findFirst({
+    where: {
+      AND: [{ provinsi_instansi_id: { startsWith: instansiKerjaId } }, { provinsi_satker_id: { startsWith: satuanKerjaId } }],
+    },
+  });
+
+  const kabKotID = await db.ms_kota.findFirst({
+    where: {
+      AND: [{ kota_instansi_id: { startsWith: instansiKerjaId } }, { kota_satker_id: { startsWith: satuanKerjaId } }],
+    },
+  });
+
+  if (kabKotID) {
+    const data = {
+      trx_jabatan_instansi_type: 3,
+      trx_jabatan_instansi: kabKotID.kota_id,
+    };
+    const jabatanKode = findJabatanKode(record);
+    const organization = await db.ms_organization.findFirst({
+      where: {
+        organization_bkn_id: unorId,
+      },
+    });
+    if (organization) {
+      const jabatanID = await db.ms_jabatan.findFirst({
+        where: {
+          jabatan_kode: jabatanKode,
+        },
+      });
+      data.trx_jabatan_jabatan_id = jabatanID ? jabatanID.jabatan_id : null;
+      if (!jabatanID && record.jenisJabatan == "4") {
+        const newFungsionalUmum = await db.ms_jabatan.create({
+          data: {
+            jabatan_nama: record.jabatanFungsionalUmumNama,
+            jabatan_kode: jabatanKode,
+            jabatan_create_by: SUPERADMIN_ID,
+            jabatan_create_date: new Date(),
+            jabatan_tipe: 2,
+            jabatan_status: 0,
+          },
+        });
+        data.trx_jabatan_jabatan_id = newFungsionalUmum.jabatan_id;
+      }
+      data.trx_jabatan_organization_id = organization.organization_id;
+      return data;
+    } else {
+      data.trx_jabatan_jabatan_organization = `${satuanKerjaNama.toUpperCase()}, ${unorIndukNama.toUpperCase()}, ${unorNama.toUpperCase()}`;
+      data.trx_jabatan_jabatan_eselon = eselon_id;
+      data.trx_jabatan_jabatan_nama = record.jabatanFungsionalNama || record.jabatanFungsionalUmumNama || namaJabatan.toUpperCase();
+      return data;
+    }
+  }
+
+  if (provinsiID) {
+    return {
+      trx_jabatan_instansi_type: 2,
+      trx_jabatan_instansi: provinsiID.provinsi_id,
+      trx_jabatan_jabatan_organization: `${satuanKerjaNama.toUpperCase()}, ${unorIndukNama.toUpperCase()}, ${unorNama.toUpperCase()}`,
+      trx_jabatan_jabatan_eselon: eselon_id,
+      trx_jabatan_jabatan_nama: namaJabatan.toUpperCase(),
+    };
+  }
+
+  if (instansiID) {
+    return {
+      trx_jabatan_instansi_type: 1,
+      trx_jabatan_instansi: instansiID.ms_instansi_pusat_id,
+      trx_jabatan_jabatan_organization: `${satuanKerjaNama.toUpperCase()}, ${unorIndukNama.toUpperCase()}, ${unorNama.toUpperCase()}`,
+      trx_jabatan_jabatan_eselon: eselon_id,
+      trx_jabatan_jabatan_nama: namaJabatan.toUpperCase(),
+    };
+  } else {
+    const newInstansiPusat = await db.ms_instansi_pusat.create({
+      data: {
+        ms_instansi_pusat_nama: record.instansiKerjaNama,
+        ms_instansi_pusat_instansi_id: record.instansiKerjaId,
+        ms_instansi_pusat_satker_id: record.satuanKerjaId,
+      },
+    });
+    return {
+      trx_jabatan_instansi_type: 1,
+      trx_jabatan_instansi: newInstansiPusat.ms_instansi_pusat_id,
+      trx_jabatan_jabatan_organization: `${satuanKerjaNama.toUpperCase()} ${unorIndukNama.toUpperCase()} ${unorNama.toUpperCase()}`,
+      trx_jabatan_jabatan_eselon: eselon_id,
+      trx_jabatan_jabatan_nama: namaJabatan.toUpperCase(),
+    };
+  }
+};
+
+/**
+ * Returns true when the value is null/undefined or a string that trims to empty.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+// Records without any of these carry nothing to import
+const METADATA_FIELDS = [
+  "unorId",
+  "namaUnor",
+  "unorIndukId",
+  "unorIndukNama",
+  "jabatanFungsionalId",
+  "jabatanFungsionalNama",
+  "jabatanFungsionalUmumId",
+  "jabatanFungsionalUmumNama",
+  "namaJabatan",
+  "nomorSk",
+  "tanggalSk",
+];
+
+/**
+ * SHA-256 of every staged document the record references, by BKN doc id (null when the
+ * document is not in temp_downloads).
+ * @param {object} record
+ * @returns {Promise<Map<string, string | null>>}
+ */
+async function hashStagedDocuments(record) {
+  const hashes = new Map();
+  if (!record.path || typeof record.path !== "object") return hashes;
+
+  for (const [docKey, fileInfo] of Object.entries(record.path)) {
+    if (!BKN_DOC_ID_TO_FILE_KEY[docKey] || typeof fileInfo?.dok_uri !== "string") continue;
+    const sourcePath = path.join(STAGING_FILES_DIR, stagedDownloadName(record.id, docKey, fileInfo.dok_uri));
+    try {
+      hashes.set(docKey, await hashFile(sourcePath));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      hashes.set(docKey, null);
+    }
+  }
+  return hashes;
+}
+
+module.exports = defineDomain({
+  name: "jabatan",
+  dir: __dirname,
+  fetch: (bkn, nip) => bkn.getRiwayatJabatan(nip),
+  endpoints: ["/pns/rw-jabatan/{nip}"],
+  defaultDataset: "1-final.json",
+  model: "trx_jabatan",
+  prefix: "trx_jabatan",
+  // The "_." before the extension is how jabatan documents have always been named
+  document: {
+    fileName: (nip, data, record, ext, fileKey) =>
+      `${nip}_${fileKey}_${sanitizeFileName(record.namaJabatan)}_${toDatePart(data.tanggalSk || new Date())}_.${ext}`,
+  },
+
+  /**
+   * Dates are parsed to local midnight, which is how trx_jabatan_tmt has always been keyed.
+   * @param {object} record BKN rw-jabatan record
+   */
+  normalize: (record) => ({
+    bknId: record.id,
+    tmt: parseLocalDate(record.tmtJabatan),
+    nomorSk: sanitizeString(record.nomorSk),
+    tanggalSk: parseLocalDate(record.tanggalSk),
+  }),
+  validate: (data, record) => {
+    if (METADATA_FIELDS.every((field) => isBlank(record[field]))) return "missing jabatan/organization metadata";
+    if (!data.tmt) return "invalid or missing TMT";
+    return null;
+  },
+  describe: (data, record) => `TMT ${record.tmtJabatan}`,
+  // Covers the staged documents too, so a replaced document counts as a change
+  changeHash: async (record) => recordHash({ record, documents: Object.fromEntries(await hashStagedDocuments(record)) }),
+
+  toPayload: async (data, { tx, record }) => ({
+    trx_jabatan_tmt: data.tmt,
+    trx_jabatan_nomor_sk: data.nomorSk,
+    trx_jabatan_tgl_sk: data.tanggalSk,
+    trx_jabatan_status: STATUS_SYNC_BKN,
+    trx_jabatan_jenis_sk: 3,
+    trx_jabatan_pejabat_sk: null,
+    trx_jabatan_status_jabatan: 1,
+    trx_jabatan_file_ba: null,
+    trx_jabatan_type: 1,
+    trx_jabatan_bkn_id: record.id,
+    ...(await findOrganizationAndJabatan(tx, record)),
+  }),
+  uniqueKey: (employeeId, data) => ({
+    employeeID_TMT: {
+      trx_jabatan_employee_id: employeeId,
+      trx_jabatan_tmt: data.tmt,
+    },
+  }),
+});
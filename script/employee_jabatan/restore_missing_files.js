@@ -1,39 +1,30 @@
 #!/usr/bin/env node
 
 const fs = require("fs");
+const os = require("os");
 const fsp = fs.promises;
 const path = require("path");
-const axios = require("axios");
-const { URLSearchParams } = require("url");
 const { PrismaClient } = require("@prisma/client");
 require("dotenv").config();
 
-const logger = require("./logger");
+const logger = require("../logger");
+const { loadConfig, requireConfig } = require("../config");
+const { getFileStorage } = require("../file_storage");
+const { createBknClient } = require("../bkn_client");
+const { detectChangedDocument } = require("../document_store");
+const { getDomainDocuments, validateDocumentMapping } = require("../document_mapping");
 
 const prisma = new PrismaClient();
 
-const STAGING_DATA_DIR = path.join(__dirname, "..", "staging_data");
+const STAGING_DATA_DIR = path.join(__dirname, "staging_data");
 const DEFAULT_DATASET_FILENAME = "1-final.json";
-const DOWNLOAD_PATH = "/download-dok";
-const SUPERADMIN_ID = 1;
-
-const API_BASE_URL = process.env.API_BASE_URL;
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const STATIC_AUTH_TOKEN = process.env.STATIC_AUTH_TOKEN;
-
-const COLUMN_TO_DOC_KEY = {
-  trx_jabatan_file_id: "skJabatan",
-  trx_jabatan_file_spp: "spPelantikan",
-  trx_jabatan_file_ba: "baJabatan",
-};
+const { SUPERADMIN_ID } = loadConfig();
+const fileStorage = getFileStorage();
 
-const DOC_KEY_TO_BKN_ID = {
-  skJabatan: "872",
-  spPelantikan: "873",
-  baJabatan: "874",
-};
+// Every jabatan document is restorable, including ones the importer doesn't sync (e.g. BA).
+const JABATAN_DOCUMENTS = Object.entries(getDomainDocuments("jabatan")).filter(([, entry]) => entry.field && entry.dokIds.length > 0);
+const COLUMN_TO_DOC_KEY = Object.fromEntries(JABATAN_DOCUMENTS.map(([fileKey, entry]) => [entry.field, fileKey]));
+const DOC_KEY_TO_BKN_ID = Object.fromEntries(JABATAN_DOCUMENTS.map(([fileKey, entry]) => [fileKey, entry.dokIds[0]]));
 
 function sanitizeString(str) {
   if (typeof str !== "string") return str;
@@ -149,9 +140,7 @@ function parseCliArgs(argv) {
     options.datasetPath = path.resolve(process.cwd(), options.datasetPath);
   }
 
-  if (!API_BASE_URL || !TOKEN_URL || !CLIENT_ID || !CLIENT_SECRET || !STATIC_AUTH_TOKEN) {
-    throw new Error("Missing required API credentials in environment variables.");
-  }
+  requireConfig(["bkn"]);
 
   return options;
 }
@@ -208,78 +197,18 @@ function buildDatasetIndex(records) {
   return index;
 }
 
-async function fetchDynamicToken() {
-  logger.info("[AUTH] Requesting dynamic token");
-  const body = new URLSearchParams();
-  body.append("grant_type", "client_credentials");
-  body.append("client_id", CLIENT_ID);
-  body.append("client_secret", CLIENT_SECRET);
-
-  const response = await axios.post(TOKEN_URL, body, {
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-  });
-  logger.info("[AUTH] Dynamic token acquired");
-  return response.data.access_token;
-}
-
-async function withTokenRetry(makeRequest, tokenRef, context) {
-  try {
-    return await makeRequest(tokenRef.current);
-  } catch (error) {
-    if (error.response && error.response.status === 401) {
-      logger.warn(`[AUTH] Token expired during ${context}, refreshing…`);
-      tokenRef.current = await fetchDynamicToken();
-      return makeRequest(tokenRef.current);
-    }
-    throw error;
-  }
-}
+async function downloadFile({ storageKey, downloadUri, bkn }) {
+  // Download to a local temp file first so an empty or broken download never replaces the stored file.
+  const tempPath = path.join(os.tmpdir(), `restore_${process.pid}_${path.basename(storageKey)}.tmp`);
+  const { size, sha256 } = await bkn.downloadDokumenToFile(downloadUri, tempPath, { accept: "*/*" });
 
-async function ensureDirectoryForFile(filePath) {
-  const dir = path.dirname(filePath);
-  await fsp.mkdir(dir, { recursive: true });
-}
-
-async function downloadFile({ filePath, downloadUri, tokenRef }) {
-  const encoded = encodeURIComponent(downloadUri);
-  const url = `${API_BASE_URL}${DOWNLOAD_PATH}?filePath=${encoded}`;
-
-  const response = await withTokenRetry(
-    (token) =>
-      axios.get(url, {
-        responseType: "stream",
-        headers: {
-          accept: "*/*",
-          Authorization: `Bearer ${token}`,
-          Auth: `Bearer ${STATIC_AUTH_TOKEN}`,
-        },
-      }),
-    tokenRef,
-    `download ${downloadUri}`,
-  );
-
-  const tempPath = `${filePath}.tmp`;
-  await ensureDirectoryForFile(filePath);
-
-  await new Promise((resolve, reject) => {
-    const writer = fs.createWriteStream(tempPath);
-    response.data.pipe(writer);
-    writer.on("finish", resolve);
-    writer.on("error", reject);
-  });
-
-  const stats = await fsp.stat(tempPath);
-  if (stats.size === 0) {
+  if (size === 0) {
     await fsp.unlink(tempPath);
     throw new Error("Downloaded file is empty");
   }
 
-  if (fs.existsSync(filePath)) {
-    await fsp.unlink(filePath);
-  }
-
-  await fsp.rename(tempPath, filePath);
-  return stats.size;
+  await fileStorage.move(storageKey, tempPath);
+  return { size, hash: sha256 };
 }
 
 async function findDatasetRecord(datasetIndex, nip, tmt) {
@@ -325,6 +254,7 @@ async function gatherFileRecords(fileIds) {
       file_id: true,
       file_path: true,
       file_status: true,
+      file_hash: true,
     },
   });
 
@@ -350,6 +280,7 @@ async function main() {
   logger.info(
     `--- Starting Restore Missing Files (dry-run=${options.dryRun ? "yes" : "no"}) ---`,
   );
+  await validateDocumentMapping(prisma, ["jabatan"]);
 
   const datasetRecords = await loadDatasetRecords(options.datasetPath);
   logger.info(
@@ -422,7 +353,7 @@ async function main() {
 
   const fileMap = await gatherFileRecords(Array.from(fileIds));
 
-  const tokenRef = { current: null };
+  const bkn = createBknClient();
 
   const stats = {
     totalLinks: 0,
@@ -436,7 +367,7 @@ async function main() {
   };
 
   if (!options.dryRun) {
-    tokenRef.current = await fetchDynamicToken();
+    await bkn.getToken();
   }
 
   for (const row of jabatanRows) {
@@ -485,7 +416,7 @@ async function main() {
         continue;
       }
 
-      if (fs.existsSync(fileRecord.file_path)) {
+      if (await fileStorage.stat(fileRecord.file_path)) {
         continue;
       }
 
@@ -512,25 +443,27 @@ async function main() {
       }
 
       try {
-        const size = await downloadFile({
-          filePath: fileRecord.file_path,
+        const { size, hash } = await downloadFile({
+          storageKey: fileRecord.file_path,
           downloadUri: pathEntry.dok_uri,
-          tokenRef,
+          bkn,
         });
         logger.info(
           `[RESTORE] Restored file ${fileId} (${docKey}) for NIP ${nip}; ${size} bytes written.`,
         );
         stats.restored += 1;
-
+        detectChangedDocument(fileRecord.file_hash, hash, `file ${fileId} (${docKey}) for NIP ${nip}`);
+
+        await prisma.trx_employee_file.update({
+          where: { file_id: fileId },
+          data: {
+            file_status: 1,
+            file_hash: hash,
+            file_update_by: SUPERADMIN_ID,
+            file_update_date: new Date(),
+          },
+        });
         if (fileRecord.file_status === 0) {
-          await prisma.trx_employee_file.update({
-            where: { file_id: fileId },
-            data: {
-              file_status: 1,
-              file_update_by: SUPERADMIN_ID,
-              file_update_date: new Date(),
-            },
-          });
           stats.reactivated += 1;
         }
       } catch (err) {
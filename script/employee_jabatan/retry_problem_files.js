@@ -4,19 +4,20 @@ require("dotenv").config();
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
-const axios = require("axios");
-const { URLSearchParams } = require("url");
-const logger = require("./logger");
+const logger = require("../logger");
+const { stagedDownloadName } = require("../domain_pipeline");
+const { createBknClient } = require("../bkn_client");
+const { createDocumentStore } = require("../document_store");
+const { assertValidDocument } = require("../pdf_validator");
 
 // === 1. Configuration =======================================================
 const FINAL_JSON_PATH = path.join(
   __dirname,
-  "..",
   "staging_data",
   "1-final.json", // <-- adjust if your file lives elsewhere
 );
-const DOWNLOAD_DIR = path.join(__dirname, "..", "temp_downloads");
-const DOWNLOAD_PATH = "/download-dok";
+const DOWNLOAD_DIR = path.join(__dirname, "temp_downloads");
+const documentStore = createDocumentStore(DOWNLOAD_DIR);
 
 const PROBLEM_RECORD_IDS = [
   "8ae48289367d13ed01369b7cb8ad0986",
@@ -167,49 +168,7 @@ const PROBLEM_RECORD_IDS = [
   "8ae483a57f437fce017f59aee15f32a4",
 ];
 
-const API_BASE_URL = process.env.API_BASE_URL;
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const STATIC_AUTH_TOKEN = process.env.STATIC_AUTH_TOKEN;
-
-// === 2. Token handling ======================================================
-async function fetchDynamicToken() {
-  const body = new URLSearchParams();
-  body.append("grant_type", "client_credentials");
-  body.append("client_id", CLIENT_ID);
-  body.append("client_secret", CLIENT_SECRET);
-
-  logger.info("[AUTH] Requesting new OAuth token…");
-  const response = await axios.post(TOKEN_URL, body, {
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-  });
-  logger.info("[AUTH] Token acquired.");
-  return response.data.access_token;
-}
-
-async function withTokenRetry(makeRequest, tokenRef, ctx) {
-  try {
-    return await makeRequest(tokenRef.current);
-  } catch (error) {
-    if (error.response && error.response.status === 401) {
-      logger.warn(`[AUTH] Token expired during ${ctx}. Refreshing…`);
-      tokenRef.current = await fetchDynamicToken();
-      return makeRequest(tokenRef.current);
-    }
-    throw error;
-  }
-}
-
-function authHeaders(token) {
-  return {
-    accept: "*/*",
-    Authorization: `Bearer ${token}`,
-    Auth: `Bearer ${STATIC_AUTH_TOKEN}`,
-  };
-}
-
-// === 3. Helpers =============================================================
+// === 2. Helpers =============================================================
 async function loadRecordIndex() {
   const raw = await fsp.readFile(FINAL_JSON_PATH, "utf-8");
   const parsed = JSON.parse(raw);
@@ -243,52 +202,30 @@ function safeTempName(recordId, docKey, dokUri) {
       `Record ${recordId} doc ${docKey} has no basename inside dok_uri.`,
     );
   }
-  return `${recordId}_${docKey}_${basename}`;
+  return stagedDownloadName(recordId, docKey, basename);
 }
 
-async function downloadAndSaveFile({ record, docKey, fileInfo }, tokenRef) {
-  const encodedPath = encodeURIComponent(fileInfo.dok_uri);
-  const downloadUrl = `${API_BASE_URL}${DOWNLOAD_PATH}?filePath=${encodedPath}`;
+async function downloadAndSaveFile({ record, docKey, fileInfo }, bkn) {
   const safeName = safeTempName(record.id, docKey, fileInfo.dok_uri);
   const localPath = path.join(DOWNLOAD_DIR, safeName);
-  const tempPath = `${localPath}.tmp`;
 
   logger.info(`[DL] ${record.id} doc ${docKey} → ${safeName}`);
 
-  // make sure target dir exists and previous artifacts are gone
-  await fsp.mkdir(DOWNLOAD_DIR, { recursive: true });
-  await Promise.allSettled([fsp.unlink(localPath), fsp.unlink(tempPath)]);
-
-  const response = await withTokenRetry(
-    (token) =>
-      axios.get(downloadUrl, {
-        responseType: "stream",
-        headers: authHeaders(token),
-      }),
-    tokenRef,
-    `download ${record.id} doc ${docKey}`,
-  );
-
-  await new Promise((resolve, reject) => {
-    const writer = fs.createWriteStream(tempPath);
-    response.data.pipe(writer);
-    writer.on("finish", resolve);
-    writer.on("error", reject);
+  let validation;
+  const { hash } = await documentStore.downloadAndIngest(localPath, async (target) => {
+    await bkn.downloadDokumenToFile(fileInfo.dok_uri, target, { accept: "*/*" });
+    validation = await assertValidDocument(target, safeName);
   });
-
-  const stats = await fsp.stat(tempPath);
-  if (stats.size === 0) {
-    throw new Error(`Downloaded file is 0 bytes (${safeName})`);
-  }
-
-  await fsp.rename(tempPath, localPath);
-  logger.info(`[OK] Saved ${safeName} (${stats.size} bytes)`);
+  const pages = validation.pages === null ? "" : `, ${validation.pages} page(s)`;
+  logger.info(`[OK] Saved ${safeName} (${validation.size} bytes${pages}, sha256 ${hash.slice(0, 12)})`);
 }
 
-// === 4. Main =================================================================
 async function main() {
   const recordIndex = await loadRecordIndex();
-  const tokenRef = { current: await fetchDynamicToken() };
+  await fsp.mkdir(DOWNLOAD_DIR, { recursive: true });
+  await documentStore.removePartialDownloads();
+  const bkn = createBknClient();
+  await bkn.getToken();
 
   let success = 0;
   let skipped = 0;
@@ -310,7 +247,7 @@ async function main() {
 
     for (const [docKey, fileInfo] of Object.entries(record.path)) {
       try {
-        await downloadAndSaveFile({ record, docKey, fileInfo }, tokenRef);
+        await downloadAndSaveFile({ record, docKey, fileInfo }, bkn);
         success += 1;
       } catch (error) {
         failed += 1;
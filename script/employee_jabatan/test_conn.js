@@ -1,15 +1,11 @@
-require("dotenv").config();
 const axios = require("axios");
 const { URLSearchParams } = require("url");
 const fs = require("fs");
 const path = require("path");
+const { loadConfig, requireConfig } = require("../config");
 
 // --- Configuration ---
-const API_BASE_URL = process.env.API_BASE_URL;
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const STATIC_AUTH_TOKEN = process.env.STATIC_AUTH_TOKEN;
+const { API_BASE_URL, TOKEN_URL, CLIENT_ID, CLIENT_SECRET, STATIC_AUTH_TOKEN } = loadConfig();
 const TEST_NIP = "197007241996031003";
 
 // NEW: Define the download endpoint path
@@ -50,18 +46,12 @@ async function fetchDynamicToken() {
 async function testConnection() {
   console.log("--- Starting API Connection Test ---");
 
-  // --- 1. Check if all .env variables loaded ---
-  if (
-    !API_BASE_URL ||
-    !TOKEN_URL ||
-    !CLIENT_ID ||
-    !CLIENT_SECRET ||
-    !STATIC_AUTH_TOKEN
-  ) {
+  // --- 1. Check that the BKN credentials are configured ---
+  try {
+    requireConfig(["bkn"]);
+  } catch (error) {
     console.error("--- ❌ FAILED! ---");
-    console.error(
-      "Error: One or more required variables are missing from .env.",
-    );
+    console.error(`Error: ${error.message}`);
     console.log("--- Test Aborted ---");
     return;
   }
@@ -6,23 +6,16 @@ const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
 const { PrismaClient, Prisma } = require("@prisma/client");
-const logger = require("./logger");
+const logger = require("../logger");
+const { getFileStorage } = require("../file_storage");
+const { getDomainDocuments } = require("../document_mapping");
 
 const prisma = new PrismaClient();
+const fileStorage = getFileStorage();
 
-const FILE_COLUMNS = [
-  { column: "trx_jabatan_file_id", label: "skJabatan", datasetDocs: ["872"] },
-  {
-    column: "trx_jabatan_file_spp",
-    label: "spPelantikan",
-    datasetDocs: ["873"],
-  },
-  {
-    column: "trx_jabatan_file_ba",
-    label: "baJabatan",
-    datasetDocs: ["874"],
-  },
-];
+const FILE_COLUMNS = Object.entries(getDomainDocuments("jabatan"))
+  .filter(([, entry]) => entry.field)
+  .map(([fileKey, entry]) => ({ column: entry.field, label: fileKey, datasetDocs: entry.dokIds }));
 
 function parseArgList(value) {
   if (!value) return [];
@@ -104,7 +97,7 @@ function printHelp() {
     "  --nips-file <path>      Load NIPs from a file (one per line or comma separated).",
     "  --include-all           Scan all jabatan rows (ignore filters).",
     "  --skip-status           Do not flag file_status != 1 as an error.",
-    "  --skip-fs               Skip filesystem existence checks.",
+    "  --skip-fs               Skip file existence checks (local disk or S3, see STORAGE_BACKEND).",
     "  --verbose               Print per-link validation details.",
     "  --dataset <path>        Cross-check dataset documents against DB/filesystem.",
     "  --dataset-only          Only run dataset cross-check (skip DB link scan).",
@@ -375,7 +368,7 @@ async function main() {
             if (!fileRecord.file_path) {
               stats.missingFilePath += 1;
               issues.push("path-empty");
-            } else if (!fs.existsSync(fileRecord.file_path)) {
+            } else if (!(await fileStorage.stat(fileRecord.file_path))) {
               stats.missingFilePath += 1;
               issues.push(`path-missing:${fileRecord.file_path}`);
             }
@@ -482,7 +475,7 @@ async function main() {
           if (
             options.checkFs &&
             fileRecord.file_path &&
-            !fs.existsSync(fileRecord.file_path)
+            !(await fileStorage.stat(fileRecord.file_path))
           ) {
             statsDataset.missingFilePath += 1;
             logger.warn(
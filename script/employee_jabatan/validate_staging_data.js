@@ -3,22 +3,21 @@
 // 1. Imports
 const fsp = require("fs").promises;
 const path = require("path");
-const logger = require("./logger");
-
-// 2. Configuration (keep in sync with importer.js)
-const STAGING_DATA_DIR = path.join(__dirname, "..", "staging_data");
-const STAGING_FILES_DIR = path.join(__dirname, "..", "temp_downloads");
-
-const BKN_DOC_ID_TO_FILE_KEY = {
-  872: "skJabatan",
-  873: "spPelantikan",
-};
-
-const LOCAL_FILE_KEY_MAPPING = {
-  skJabatan: { fileType: 11, field: "trx_jabatan_file_id" },
-  spPelantikan: { fileType: 40, field: "trx_jabatan_file_spp" },
-  baJabatan: { fileType: 41, field: "trx_jabatan_file_ba" },
-};
+const logger = require("../logger");
+const { stagedDownloadName } = require("../domain_pipeline");
+const { buildDocIdToFileKey, buildFileKeyMapping } = require("../document_mapping");
+const { createFetchJournal } = require("../fetch_journal");
+const { openDataset, isDatasetIndexFile } = require("../dataset_stream");
+const { validateDocument } = require("../pdf_validator");
+
+// 2. Configuration (document mapping is shared with importer.js via config/document_mapping.json)
+const STAGING_DATA_DIR = path.join(__dirname, "staging_data");
+const STAGING_FILES_DIR = path.join(__dirname, "temp_downloads");
+// Shared with fetcher.js, so invalid downloads are picked up by `fetcher.js --retry-failed`.
+const JOURNAL_FILE = path.join(__dirname, "checkpoints", "fetch_journal.json");
+
+const BKN_DOC_ID_TO_FILE_KEY = buildDocIdToFileKey("jabatan");
+const LOCAL_FILE_KEY_MAPPING = buildFileKeyMapping("jabatan");
 
 // Populate this array when you want --errors-only to work without --ids.
 const DEFAULT_PROBLEM_RECORD_IDS = [];
@@ -62,45 +61,10 @@ function parseDate(dateString) {
   return parsedDate;
 }
 
-async function checkPdfSignature(filePath) {
-  const fh = await fsp.open(filePath, "r");
-  try {
-    const buffer = Buffer.alloc(5);
-    const { bytesRead } = await fh.read(buffer, 0, 5, 0);
-    if (bytesRead < 4) return false;
-    return buffer.toString("utf-8", 0, 4) === "%PDF";
-  } finally {
-    await fh.close();
-  }
-}
-
 function buildTempFilename(recordId, docKey, dokUri) {
   const basename = path.basename(dokUri || "");
   if (!basename) return null;
-  return `${recordId}_${docKey}_${basename}`;
-}
-
-function resolveRecordNip(record) {
-  return (
-    record?.nipBaru ??
-    record?.nip ??
-    record?.employee_nip ??
-    record?.employeeNip ??
-    record?.nipbaru ??
-    null
-  );
-}
-
-function normalizeNip(value) {
-  if (value === null || value === undefined) return null;
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    return trimmed.length > 0 ? trimmed : null;
-  }
-  if (typeof value === "number") {
-    return String(value);
-  }
-  return null;
+  return stagedDownloadName(recordId, docKey, basename);
 }
 
 function parseCliArgs(argv) {
@@ -109,6 +73,7 @@ function parseCliArgs(argv) {
     errorsOnly: false,
     problemIdsPath: null,
     nips: [],
+    journal: true,
     help: false,
   };
 
@@ -130,6 +95,9 @@ function parseCliArgs(argv) {
       case "--errors-only":
         options.errorsOnly = true;
         break;
+      case "--no-journal":
+        options.journal = false;
+        break;
       case "--help":
       case "-h":
         options.help = true;
@@ -156,10 +124,13 @@ function printHelp() {
     "  --dataset <path>   Validate records from a merged JSON file.",
     "  --errors-only      Restrict validation to problematic record IDs.",
     "  --ids <path>       Load problematic record IDs from a JSON array file.",
+    "  --no-journal       Do not mark missing or invalid documents as failed in checkpoints/fetch_journal.json.",
     "  --help             Show this message.",
     "",
     "Without --dataset the script validates staging_data/<NIP>.json files.",
     "When --errors-only is supplied, records outside the ID list are skipped.",
+    "Documents are checked beyond the %PDF- header (xref/trailer, %%EOF, page count, HTML/JSON",
+    "error bodies). Failing ones are queued for `fetcher.js --retry-failed` via the fetch journal.",
   ];
   lines.forEach((line) => logger.info(line));
 }
@@ -182,57 +153,10 @@ async function getProblemRecordIdSet(idsPath) {
   return null;
 }
 
-async function loadDatasetRecords(datasetPath) {
-  const raw = await fsp.readFile(datasetPath, "utf-8");
-  const sanitized = sanitizeString(raw) ?? raw;
-  const parsed = JSON.parse(sanitized);
-
-  if (Array.isArray(parsed)) {
-    return parsed;
-  }
-
-  if (parsed && Array.isArray(parsed.data)) {
-    return parsed.data;
-  }
-
-  throw new Error(
-    `${datasetPath} does not contain an array or an object with a 'data' array.`,
-  );
-}
-
-function groupRecordsByNip(records, { nipFilterSet, problemIdSet } = {}) {
-  const groups = new Map();
-
-  for (const record of records) {
-    if (!record || typeof record !== "object") continue;
-
-    if (problemIdSet && problemIdSet.size > 0) {
-      if (!record.id || !problemIdSet.has(record.id)) continue;
-    }
-
-    const nip = normalizeNip(resolveRecordNip(record));
-    if (!nip) {
-      logger.warn(
-        `[DATASET] Record ${record.id || "<no-id>"} missing NIP. Skipping.`,
-      );
-      continue;
-    }
-
-    if (nipFilterSet && !nipFilterSet.has(nip)) continue;
-
-    if (!groups.has(nip)) {
-      groups.set(nip, []);
-    }
-    groups.get(nip).push(record);
-  }
-
-  return groups;
-}
-
 async function discoverNipFiles() {
   const files = await fsp.readdir(STAGING_DATA_DIR);
   return files
-    .filter((file) => file.endsWith(".json"))
+    .filter((file) => file.endsWith(".json") && !isDatasetIndexFile(file))
     .map((file) => path.basename(file, ".json"))
     .sort();
 }
@@ -258,13 +182,18 @@ async function validateJsonStructure(filePath) {
   return { parsed, issues };
 }
 
-async function validateRecordFiles(record) {
+/**
+ * Checks the staged documents of one record. Documents that are missing or fail validation are
+ * returned as badDocuments (in fetch journal form) so they can be queued for re-download.
+ */
+async function validateRecordFiles(record, nip) {
   const issues = [];
   const warnings = [];
+  const badDocuments = [];
 
   if (!record.path || Object.keys(record.path).length === 0) {
     warnings.push("No 'path' entries present");
-    return { issues, warnings };
+    return { issues, warnings, badDocuments };
   }
 
   for (const [docKey, fileInfo] of Object.entries(record.path)) {
@@ -291,6 +220,12 @@ async function validateRecordFiles(record) {
     }
 
     const sourcePath = path.join(STAGING_FILES_DIR, tempFilename);
+    const markBad = (error) =>
+      badDocuments.push({
+        fileName: tempFilename,
+        document: { nip, recordId: record.id, docKey, dokUri: fileInfo.dok_uri },
+        error,
+      });
 
     try {
       const stats = await fsp.stat(sourcePath);
@@ -298,39 +233,39 @@ async function validateRecordFiles(record) {
         issues.push(`Doc ${docKey} staging entry is not a regular file`);
         continue;
       }
-      if (stats.size === 0) {
-        issues.push(`Doc ${docKey} file size is zero bytes`);
-        continue;
-      }
     } catch {
       issues.push(`Doc ${docKey} missing staging file (${tempFilename})`);
+      markBad("Missing staging file");
       continue;
     }
 
+    let validation;
     try {
-      const isPdf = await checkPdfSignature(sourcePath);
-      if (!isPdf) {
-        warnings.push(
-          `Doc ${docKey} (${tempFilename}) does not start with %PDF-; check manually`,
-        );
-      }
+      validation = await validateDocument(sourcePath);
     } catch (err) {
-      warnings.push(
-        `Doc ${docKey} (${tempFilename}) could not read header: ${err.message}`,
-      );
+      issues.push(`Doc ${docKey} (${tempFilename}) could not be read: ${err.message}`);
+      continue;
+    }
+
+    if (!validation.valid) {
+      issues.push(`Doc ${docKey} (${tempFilename}) invalid ${validation.type}: ${validation.errors.join(", ")}`);
+      markBad(`Invalid document: ${validation.errors.join("; ")}`);
+    }
+    if (validation.warnings.length > 0) {
+      warnings.push(`Doc ${docKey} (${tempFilename}): ${validation.warnings.join(", ")}`);
     }
   }
 
-  return { issues, warnings };
+  return { issues, warnings, badDocuments };
 }
 
-async function validateRecord(record) {
+async function validateRecord(record, nip) {
   const issues = [];
   const warnings = [];
 
   if (!record || typeof record !== "object") {
     issues.push("Record is missing or not an object");
-    return { issues, warnings };
+    return { issues, warnings, badDocuments: [] };
   }
 
   if (!record.id || !record.tmtJabatan) {
@@ -345,16 +280,17 @@ async function validateRecord(record) {
     warnings.push(`Invalid tanggalSk "${record.tanggalSk}"`);
   }
 
-  const pathCheck = await validateRecordFiles(record);
+  const pathCheck = await validateRecordFiles(record, nip);
   issues.push(...pathCheck.issues);
   warnings.push(...pathCheck.warnings);
 
-  return { issues, warnings };
+  return { issues, warnings, badDocuments: pathCheck.badDocuments };
 }
 
 async function validateRecordsForNip(nip, records, initialProblems = []) {
   const problems = [...initialProblems];
   const warnings = [];
+  const badDocuments = [];
   const processedRecordIds = [];
   let recordCount = 0;
 
@@ -362,8 +298,12 @@ async function validateRecordsForNip(nip, records, initialProblems = []) {
     recordCount += 1;
     if (record && record.id) processedRecordIds.push(record.id);
 
-    const { issues: recordIssues, warnings: recordWarnings } =
-      await validateRecord(record);
+    const {
+      issues: recordIssues,
+      warnings: recordWarnings,
+      badDocuments: recordBadDocuments,
+    } = await validateRecord(record, nip);
+    badDocuments.push(...recordBadDocuments);
 
     if (recordIssues.length > 0) {
       problems.push(
@@ -377,7 +317,7 @@ async function validateRecordsForNip(nip, records, initialProblems = []) {
     }
   }
 
-  return { nip, problems, warnings, recordCount, processedRecordIds };
+  return { nip, problems, warnings, badDocuments, recordCount, processedRecordIds };
 }
 
 async function validateNipFile(nip, filterSet) {
@@ -389,6 +329,7 @@ async function validateNipFile(nip, filterSet) {
       nip,
       problems: jsonIssues,
       warnings: [],
+      badDocuments: [],
       recordCount: 0,
       processedRecordIds: [],
     };
@@ -439,29 +380,26 @@ async function main() {
 
   if (options.datasetPath) {
     const datasetAbsolute = path.resolve(process.cwd(), options.datasetPath);
-    const datasetRecords = await loadDatasetRecords(datasetAbsolute);
+    const dataset = await openDataset(datasetAbsolute);
     logger.info(
-      `[DATASET] Loaded ${datasetRecords.length} record(s) from ${datasetAbsolute}`,
+      `[DATASET] Indexed ${dataset.recordCount} record(s) from ${datasetAbsolute}`,
     );
 
-    const nipFilterSet =
+    const nipFilter =
       options.nips.length > 0
         ? new Set(options.nips.map((nip) => nip.trim()).filter(Boolean))
         : null;
 
-    const grouped = groupRecordsByNip(datasetRecords, {
-      nipFilterSet,
-      problemIdSet,
-    });
-
-    if (grouped.size === 0) {
+    const nips = dataset.listNips({ nipFilter, recordIds: problemIdSet });
+    if (nips.length === 0) {
       logger.warn(
         "[DATASET] No dataset records matched the provided filters; nothing to validate.",
       );
     }
 
-    for (const [nip, records] of grouped.entries()) {
-      targets.push({ nip, records });
+    // Records are read per NIP when validated, so only one NIP is in memory at a time.
+    for (const nip of nips) {
+      targets.push({ nip, dataset });
     }
   } else {
     const nipList =
@@ -485,13 +423,17 @@ async function main() {
 
   let fatalCount = 0;
   let warningCount = 0;
+  const badDocuments = [];
 
   for (const target of targets) {
     let result;
     if (target.fromFile) {
       result = await validateNipFile(target.nip, problemIdSet);
     } else {
-      result = await validateRecordsForNip(target.nip, target.records);
+      const records = await target.dataset.readNip(target.nip, {
+        recordIds: problemIdSet,
+      });
+      result = await validateRecordsForNip(target.nip, records);
     }
 
     const didWork =
@@ -520,6 +462,8 @@ async function main() {
       logger.warn(`  [WARN] ${warning}`);
     }
 
+    badDocuments.push(...result.badDocuments);
+
     if (unresolvedProblemIds && result.processedRecordIds) {
       for (const processedId of result.processedRecordIds) {
         if (processedId && unresolvedProblemIds.has(processedId)) {
@@ -535,6 +479,18 @@ async function main() {
     );
   }
 
+  if (options.journal && badDocuments.length > 0) {
+    const journal = createFetchJournal(JOURNAL_FILE);
+    await journal.load();
+    for (const { fileName, document, error } of badDocuments) {
+      journal.recordDocument(fileName, document, "failed", { error });
+    }
+    await journal.flush();
+    logger.info(
+      `[JOURNAL] Marked ${badDocuments.length} document(s) as failed in ${JOURNAL_FILE}; re-download them with fetcher.js --retry-failed.`,
+    );
+  }
+
   logger.info(
     `Validation finished. ${fatalCount} error(s), ${warningCount} warning(s).`,
   );
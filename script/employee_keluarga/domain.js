@@ -0,0 +1,158 @@
+const logger = require("../logger");
+const { SUPERADMIN_ID, STATUS_SYNC_BKN, toNullIfEmpty, parseDate, pickFirst, defineDomain } = require("../domain_pipeline");
+
+// ms_keluarga has no BKN code, so relationships are matched on hubungan_keluarga_nama.
+// The first name of each list is the one created when none of them exists yet.
+const HUBUNGAN_NAMES = {
+  SUAMI: ["Suami"],
+  ISTRI: ["Istri", "Isteri"],
+  ANAK: ["Anak"],
+  AYAH: ["Ayah", "Bapak"],
+  IBU: ["Ibu"],
+};
+
+const toArray = (value) => {
+  if (Array.isArray(value)) return value;
+  return value && typeof value === "object" ? [value] : [];
+};
+
+/**
+ * Maps one pasangan/anak/orang tua entry to the fields the importer reads. Depending on the
+ * payload version BKN nests the person under "orang"/"dataOrang" and the marriage under
+ * "dataPernikahan"; those are only read for the person and marriage fields, so the id always
+ * comes from the relation record itself (a nested person carries its own, unrelated id).
+ * @param {object} member
+ * @param {string} hubungan key of HUBUNGAN_NAMES
+ */
+function flattenMember(member, hubungan) {
+  const person = member.orang || member.dataOrang || {};
+  const pernikahan = member.dataPernikahan || {};
+  const fromPerson = (keys) => pickFirst(person, keys) ?? pickFirst(member, keys);
+  const tanggalMenikahKeys = ["tgglMenikah", "tglMenikah", "tanggalMenikah"];
+  return {
+    hubungan,
+    id: pickFirst(member, ["id", "orangId"]),
+    nama: fromPerson(["nama", "namaLengkap"]),
+    nik: fromPerson(["nik", "noKtp"]),
+    jenisKelamin: fromPerson(["jenisKelamin"]),
+    tempatLahir: fromPerson(["tempatLahir", "tempatLahirNama"]),
+    tanggalLahir: fromPerson(["tglLahir", "tanggalLahir"]),
+    tanggalMenikah: pickFirst(pernikahan, tanggalMenikahKeys) ?? pickFirst(member, tanggalMenikahKeys),
+    statusHidup: fromPerson(["statusHidup", "isHidup"]),
+  };
+}
+
+const normalizeJenisKelamin = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  if (!cleaned) return null;
+  const upper = String(cleaned).toUpperCase();
+  if (["M", "L", "1", "PRIA", "LAKI-LAKI"].includes(upper)) return "M";
+  if (["F", "P", "2", "WANITA", "PEREMPUAN"].includes(upper)) return "F";
+  return null;
+};
+
+/**
+ * Turns the staged { pasangan, anak, orangTua } payloads into a flat list of family members,
+ * each tagged with its relationship key in HUBUNGAN_NAMES.
+ * @param {object} staged
+ * @returns {Array<object>}
+ */
+function extractMembers(staged) {
+  const members = [];
+  const pasanganData = staged?.pasangan?.data;
+  for (const pasangan of toArray(pasanganData?.listPasangan ?? pasanganData)) {
+    const jenisKelamin = normalizeJenisKelamin((pasangan.orang || pasangan.dataOrang || pasangan).jenisKelamin);
+    members.push(flattenMember(pasangan, jenisKelamin === "M" ? "SUAMI" : "ISTRI"));
+  }
+
+  const anakData = staged?.anak?.data;
+  for (const anak of toArray(anakData?.listAnak ?? anakData)) {
+    members.push(flattenMember(anak, "ANAK"));
+  }
+
+  const orangTuaData = staged?.orangTua?.data || {};
+  for (const [key, hubungan] of [["ayah", "AYAH"], ["ibu", "IBU"]]) {
+    if (orangTuaData[key]) members.push(flattenMember(orangTuaData[key], hubungan));
+  }
+
+  return members;
+}
+
+/**
+ * Matches the relationship against ms_keluarga and creates it (status 0, for review) when
+ * missing, like the masters created by the pendidikan importer.
+ * @param {object} tx
+ * @param {string} hubungan key of HUBUNGAN_NAMES
+ * @returns {Promise<number>}
+ */
+async function findOrCreateHubungan(tx, hubungan) {
+  const names = HUBUNGAN_NAMES[hubungan];
+  const existing = await tx.ms_keluarga.findFirst({
+    where: { OR: names.map((name) => ({ hubungan_keluarga_nama: name })) },
+  });
+  if (existing) return existing.hubungan_keluarga_id;
+
+  const created = await tx.ms_keluarga.create({
+    data: {
+      hubungan_keluarga_nama: names[0],
+      hubungan_keluarga_status: 0,
+      hubungan_keluarga_create_by: SUPERADMIN_ID,
+      hubungan_keluarga_create_date: new Date(),
+    },
+  });
+  logger.info(`[MASTER] Created ms_keluarga ${created.hubungan_keluarga_id} for ${names[0]}`);
+  return created.hubungan_keluarga_id;
+}
+
+module.exports = defineDomain({
+  name: "keluarga",
+  dir: __dirname,
+  stagingDir: "staging_keluarga",
+  // Pasangan, anak and orang tua come from separate endpoints and are staged together.
+  // The keluarga endpoints carry no documents, so there is nothing to download.
+  fetch: async (bkn, nip) => ({
+    pasangan: await bkn.getDataPasangan(nip),
+    anak: await bkn.getDataAnak(nip),
+    orangTua: await bkn.getDataOrangTua(nip),
+  }),
+  endpoints: ["/pns/data-pasangan/{nip}", "/pns/data-anak/{nip}", "/pns/data-ortu/{nip}"],
+  extractRecords: extractMembers,
+  model: "trx_keluarga",
+  prefix: "keluarga",
+
+  /**
+   * @param {object} record member built by flattenMember
+   */
+  normalize: (record) => ({
+    hubungan: record.hubungan,
+    bknId: record.id,
+    nama: record.nama,
+    nik: record.nik,
+    jenisKelamin: normalizeJenisKelamin(record.jenisKelamin),
+    tempatLahir: record.tempatLahir,
+    tanggalLahir: parseDate(record.tanggalLahir),
+    tanggalMenikah: parseDate(record.tanggalMenikah),
+    statusHidup: record.statusHidup === null ? null : ["1", "TRUE", "HIDUP"].includes(String(record.statusHidup).toUpperCase()) ? 1 : 0,
+  }),
+  validate: (data) => (data.bknId ? null : `${data.hubungan} record without id`),
+  describe: (data) => `${data.hubungan} ${data.nama || data.bknId}`,
+
+  toPayload: async (data, { tx }) => ({
+    keluarga_hubungan_id: await findOrCreateHubungan(tx, data.hubungan),
+    keluarga_nama: data.nama,
+    keluarga_nik: data.nik,
+    keluarga_jenis_kelamin: data.jenisKelamin,
+    keluarga_tempat_lahir: data.tempatLahir,
+    keluarga_tanggal_lahir: data.tanggalLahir,
+    keluarga_tanggal_menikah: data.tanggalMenikah,
+    keluarga_status_hidup: data.statusHidup,
+    keluarga_bkn_id: data.bknId,
+    keluarga_status: STATUS_SYNC_BKN,
+  }),
+  uniqueKey: (employeeId, data) => ({
+    keluarga_employee_id_keluarga_bkn_id: {
+      keluarga_employee_id: employeeId,
+      keluarga_bkn_id: data.bknId,
+    },
+  }),
+});
@@ -0,0 +1,22 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const keluarga = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(keluarga, {
+  prisma,
+  script: "script/employee_keluarga/import_keluarga.js",
+  notes: ["Missing ms_keluarga relationships are created with status 0."],
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  extractMembers: keluarga.extractRecords,
+  normalizeRecord: keluarga.normalize,
+  prisma,
+};
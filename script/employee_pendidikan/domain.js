@@ -0,0 +1,166 @@
+const logger = require("../logger");
+const { SUPERADMIN_ID, STATUS_SYNC_BKN, toNullIfEmpty, toInt, parseDate, sanitizeFileName, defineDomain } = require("../domain_pipeline");
+
+// BKN tkPendidikanId codes of school levels; every code from 20 up is higher education.
+const SEKOLAH_TABLES = [
+  { kode: [5], model: "ms_sekolah_sd", prefix: "sekolah_sd" }, // SD
+  { kode: [10, 12], model: "ms_sekolah_smp", prefix: "sekolah_smp" }, // SLTP, SLTP kejuruan
+  { kode: [15, 17, 18], model: "ms_sekolah_sma", prefix: "sekolah_sma" }, // SLTA, SLTA kejuruan, SLTA keguruan
+];
+const MIN_TINGKAT_PERGURUAN_TINGGI = 20;
+
+/**
+ * @param {object} record BKN rw-pendidikan record
+ */
+function normalizeRecord(record) {
+  const tanggalLulus = parseDate(record.tglLulus);
+  return {
+    bknId: record.id,
+    tingkatKode: toNullIfEmpty(record.tkPendidikanId),
+    tingkatNama: toNullIfEmpty(record.tkPendidikanNama),
+    pendidikanNama: toNullIfEmpty(record.pendidikanNama),
+    namaSekolah: toNullIfEmpty(record.namaSekolah),
+    nomorIjazah: toNullIfEmpty(record.nomorIjasah ?? record.nomorIjazah),
+    tanggalLulus,
+    tahunLulus: toInt(record.tahunLulus) ?? (tanggalLulus ? tanggalLulus.getFullYear() : null),
+  };
+}
+
+/**
+ * Classifies a tingkat pendidikan code: the ms_sekolah_* table for school levels,
+ * "PERGURUAN_TINGGI" for diploma and above, or null when the code is unknown.
+ * @param {string | null} tingkatKode
+ * @returns {object | "PERGURUAN_TINGGI" | null}
+ */
+function classifyTingkat(tingkatKode) {
+  const tingkat = toInt(tingkatKode);
+  if (tingkat === null) return null;
+  if (tingkat >= MIN_TINGKAT_PERGURUAN_TINGGI) return "PERGURUAN_TINGGI";
+  return SEKOLAH_TABLES.find((table) => table.kode.includes(tingkat)) || null;
+}
+
+// Master rows created here start with status 0 so they can be reviewed, like the
+// fungsional umum jabatan that findOrganizationAndJabatan creates.
+
+const findOrCreateJenjang = async (tx, data) => {
+  if (!data.tingkatKode && !data.tingkatNama) return null;
+  const conditions = [data.tingkatKode && { jenjang_kode: data.tingkatKode }, data.tingkatNama && { jenjang_nama: data.tingkatNama }].filter(Boolean);
+  const existing = await tx.ms_jenjang.findFirst({ where: { OR: conditions } });
+  if (existing) return existing.jenjang_id;
+
+  const created = await tx.ms_jenjang.create({
+    data: {
+      jenjang_nama: data.tingkatNama || data.tingkatKode,
+      jenjang_fullname: data.tingkatNama,
+      jenjang_kode: data.tingkatKode,
+      jenjang_status: 0,
+      jenjang_create_by: SUPERADMIN_ID,
+      jenjang_create_date: new Date(),
+    },
+  });
+  logger.info(`[MASTER] Created ms_jenjang ${created.jenjang_id} for ${data.tingkatNama || data.tingkatKode}`);
+  return created.jenjang_id;
+};
+
+const findOrCreateSekolah = async (tx, table, namaSekolah) => {
+  if (!namaSekolah) return null;
+  const model = tx[table.model];
+  const existing = await model.findFirst({ where: { [`${table.prefix}_nama`]: namaSekolah } });
+  if (existing) return existing[`${table.prefix}_id`];
+
+  const created = await model.create({
+    data: {
+      [`${table.prefix}_nama`]: namaSekolah,
+      [`${table.prefix}_status`]: 0,
+      [`${table.prefix}_create_by`]: SUPERADMIN_ID,
+      [`${table.prefix}_create_date`]: new Date(),
+    },
+  });
+  logger.info(`[MASTER] Created ${table.model} ${created[`${table.prefix}_id`]} for ${namaSekolah}`);
+  return created[`${table.prefix}_id`];
+};
+
+const findOrCreateUniv = async (tx, namaSekolah) => {
+  if (!namaSekolah) return null;
+  const existing = await tx.ms_univ.findFirst({ where: { univ_nama: namaSekolah } });
+  if (existing) return existing.univ_id;
+
+  const created = await tx.ms_univ.create({
+    data: {
+      univ_nama: namaSekolah,
+      univ_status: 0,
+      univ_create_by: SUPERADMIN_ID,
+      univ_create_date: new Date(),
+    },
+  });
+  logger.info(`[MASTER] Created ms_univ ${created.univ_id} for ${namaSekolah}`);
+  return created.univ_id;
+};
+
+const findOrCreateProdi = async (tx, pendidikanNama, jenjangId) => {
+  if (!pendidikanNama) return null;
+  const existing = await tx.ms_prodi.findFirst({ where: { prodi_nama: pendidikanNama, prodi_jenjang: jenjangId } });
+  if (existing) return existing.prodi_id;
+
+  const created = await tx.ms_prodi.create({
+    data: {
+      prodi_nama: pendidikanNama,
+      prodi_jenjang: jenjangId,
+      prodi_status: 0,
+      prodi_create_by: SUPERADMIN_ID,
+      prodi_create_date: new Date(),
+    },
+  });
+  logger.info(`[MASTER] Created ms_prodi ${created.prodi_id} for ${pendidikanNama}`);
+  return created.prodi_id;
+};
+
+module.exports = defineDomain({
+  name: "pendidikan",
+  dir: __dirname,
+  stagingDir: "staging_pendidikan",
+  fetch: (bkn, nip) => bkn.getRiwayatPendidikan(nip),
+  endpoints: ["/pns/rw-pendidikan/{nip}"],
+  model: "trx_belajar",
+  prefix: "belajar",
+  // Transkrip has no column on trx_belajar, so its file_ket carries the BKN record id instead.
+  document: {
+    fileName: (nip, data, record, ext, fileKey) => `${nip}_${fileKey}_${sanitizeFileName(data.tingkatNama, 60)}_${data.tahunLulus || "0000"}.${ext}`,
+    fileKet: "BKN_PENDIDIKAN:",
+  },
+
+  normalize: normalizeRecord,
+  validate: (data) => {
+    if (!data.tingkatKode && !data.tingkatNama) return "no tingkat pendidikan";
+    if (!classifyTingkat(data.tingkatKode)) return `unknown tkPendidikanId ${data.tingkatKode || "-"} (${data.tingkatNama || "-"})`;
+    return null;
+  },
+  describe: (data) => `${data.tingkatNama || data.tingkatKode} ${data.pendidikanNama || ""} at ${data.namaSekolah || "-"} (${data.tahunLulus || "-"})`,
+
+  toPayload: async (data, { tx }) => {
+    const tingkat = classifyTingkat(data.tingkatKode);
+    const jenjangId = await findOrCreateJenjang(tx, data);
+    const payload = {
+      belajar_jenjang_id: jenjangId,
+      belajar_nomor: data.nomorIjazah,
+      belajar_tanggal: data.tanggalLulus,
+      belajar_selesai: data.tahunLulus,
+      belajar_lokasi: data.namaSekolah,
+      belajar_status: STATUS_SYNC_BKN,
+    };
+    if (tingkat !== "PERGURUAN_TINGGI") {
+      payload.belajar_univ_id = await findOrCreateSekolah(tx, tingkat, data.namaSekolah);
+      payload.belajar_prodi_id = null;
+    } else {
+      payload.belajar_univ_id = await findOrCreateUniv(tx, data.namaSekolah);
+      payload.belajar_prodi_id = await findOrCreateProdi(tx, data.pendidikanNama, jenjangId);
+    }
+    return payload;
+  },
+  // trx_belajar has no unique key, so rows are matched on employee + jenjang + tahun lulus
+  match: (employeeId, data, payload) => ({
+    belajar_employee_id: employeeId,
+    belajar_jenjang_id: payload.belajar_jenjang_id,
+    belajar_selesai: data.tahunLulus,
+  }),
+});
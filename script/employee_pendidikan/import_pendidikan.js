@@ -0,0 +1,21 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const pendidikan = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(pendidikan, {
+  prisma,
+  script: "script/employee_pendidikan/import_pendidikan.js",
+  notes: ["Missing ms_jenjang/ms_univ/ms_prodi/ms_sekolah_* rows are created with status 0."],
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  normalizeRecord: pendidikan.normalize,
+  prisma,
+};
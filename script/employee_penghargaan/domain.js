@@ -0,0 +1,80 @@
+const logger = require("../logger");
+const { STATUS_SYNC_BKN, toNullIfEmpty, toInt, parseDate, defineDomain } = require("../domain_pipeline");
+
+/** BKN ids come as numbers or strings; jenis_penghargaan_bkn_id stores them as strings. */
+const toBknId = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  return cleaned === null ? null : String(cleaned);
+};
+
+const jenisPenghargaanIds = new Map();
+
+/**
+ * Finds the ms_jenis_penghargaan row of a BKN hargaId through jenis_penghargaan_bkn_id. Unknown
+ * ids are logged once and return null; the master is maintained by hand, so nothing is created here.
+ * @param {object} db prisma client or transaction
+ * @param {string} bknId
+ * @param {string | null} nama BKN name, only used in the log
+ * @returns {Promise<number | null>}
+ */
+async function findJenisPenghargaan(db, bknId, nama) {
+  if (!jenisPenghargaanIds.has(bknId)) {
+    const existing = await db.ms_jenis_penghargaan.findFirst({ where: { jenis_penghargaan_bkn_id: bknId } });
+    if (!existing) {
+      logger.warn(`[MASTER] Jenis penghargaan ${bknId} (${nama || "-"}) has no ms_jenis_penghargaan row with that jenis_penghargaan_bkn_id`);
+    }
+    jenisPenghargaanIds.set(bknId, existing ? existing.jenis_penghargaan_id : null);
+  }
+  return jenisPenghargaanIds.get(bknId);
+}
+
+module.exports = defineDomain({
+  name: "penghargaan",
+  dir: __dirname,
+  fetch: (bkn, nip) => bkn.getRiwayatPenghargaan(nip),
+  endpoints: ["/pns/rw-penghargaan/{nip}"],
+  model: "trx_penghargaan",
+  prefix: "penghargaan",
+  document: {
+    fileName: (nip, data, record, ext) => `${nip}_SK_PENGHARGAAN_${data.tahun || "0000"}_${record.id}.${ext}`,
+  },
+
+  /**
+   * @param {object} record BKN rw-penghargaan record
+   */
+  normalize: (record) => {
+    const tanggalSk = parseDate(record.skDate);
+    return {
+      bknId: toNullIfEmpty(record.id),
+      jenisPenghargaanBknId: toBknId(record.hargaId),
+      jenisPenghargaanNama: toNullIfEmpty(record.hargaNama),
+      nomorSk: toNullIfEmpty(record.skNomor),
+      tanggalSk,
+      tahun: toInt(record.tahun) ?? (tanggalSk ? tanggalSk.getFullYear() : null),
+    };
+  },
+  validate: async (data, record, { prisma }) => {
+    if (!data.bknId) return "no BKN id";
+    if (!data.jenisPenghargaanBknId) return "no hargaId";
+    if (!(await findJenisPenghargaan(prisma, data.jenisPenghargaanBknId, data.jenisPenghargaanNama))) {
+      return `unknown jenis penghargaan ${data.jenisPenghargaanBknId}`;
+    }
+    return null;
+  },
+  describe: (data) => `${data.jenisPenghargaanNama || data.bknId} (${data.tahun || "-"})`,
+
+  toPayload: async (data, { tx }) => ({
+    penghargaan_jenis_id: await findJenisPenghargaan(tx, data.jenisPenghargaanBknId, data.jenisPenghargaanNama),
+    penghargaan_nomor_sk: data.nomorSk,
+    penghargaan_tanggal_sk: data.tanggalSk,
+    penghargaan_tahun: data.tahun,
+    penghargaan_bkn_id: data.bknId,
+    penghargaan_status: STATUS_SYNC_BKN,
+  }),
+  uniqueKey: (employeeId, data) => ({
+    penghargaan_employee_id_penghargaan_bkn_id: {
+      penghargaan_employee_id: employeeId,
+      penghargaan_bkn_id: data.bknId,
+    },
+  }),
+});
@@ -0,0 +1,21 @@
+const { PrismaClient } = require("@prisma/client");
+const { createDomainImporter } = require("../domain_pipeline");
+const penghargaan = require("./domain");
+
+const prisma = new PrismaClient();
+
+const importer = createDomainImporter(penghargaan, {
+  prisma,
+  script: "script/employee_penghargaan/import_penghargaan.js",
+  notes: ["Jenis penghargaan is looked up by ms_jenis_penghargaan.jenis_penghargaan_bkn_id (BKN hargaId); records with an unknown one are skipped."],
+});
+
+if (require.main === module) {
+  importer.run();
+}
+
+module.exports = {
+  ...importer,
+  normalizeRecord: penghargaan.normalize,
+  prisma,
+};
@@ -4,24 +4,19 @@ const path = require("path");
 const axios = require("axios");
 
 const logger = require("../logger");
+const { loadConfig, requireConfig } = require("../config");
 
 const masterEmployee = require("../../ms_employee.json");
 
-const EXPORT_URL =
-  process.env.EXPORT_PROFILE_URL ||
-  "http://36.91.222.106:3000/transaksi/jabatan/import-from-bkn";
-const ACCESS_TOKEN = process.env.EXPORT_ACCESS_TOKEN;
+const {
+  EXPORT_PROFILE_URL: EXPORT_URL,
+  EXPORT_ACCESS_TOKEN: ACCESS_TOKEN,
+  EXPORT_PROFILE_TIMEOUT_MS: REQUEST_TIMEOUT_MS,
+  EXPORT_PROFILE_CONCURRENCY: CONCURRENCY,
+} = loadConfig();
 const STAGING_DIR = path.resolve(__dirname, "staging_employee");
 const CHECKPOINT_DIR = path.resolve(__dirname, "checkpoints");
 const CHECKPOINT_FILE = path.join(CHECKPOINT_DIR, "export_profile_progress.json");
-const REQUEST_TIMEOUT_MS = Number.parseInt(
-  process.env.EXPORT_PROFILE_TIMEOUT_MS || "30000",
-  10,
-);
-const CONCURRENCY = Number.parseInt(
-  process.env.EXPORT_PROFILE_CONCURRENCY || "5",
-  10,
-);
 
 function getMasterNips() {
   return masterEmployee
@@ -244,8 +239,10 @@ async function processInBatches(nips, checkpoint) {
 }
 
 async function main() {
-  if (!ACCESS_TOKEN) {
-    logger.error("[CONFIG] EXPORT_ACCESS_TOKEN is required");
+  try {
+    requireConfig(["export"]);
+  } catch (err) {
+    logger.error(`[CONFIG] ${err.message}`);
     process.exitCode = 1;
     return;
   }
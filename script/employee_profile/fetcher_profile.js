@@ -1,18 +1,12 @@
 require("dotenv").config();
 const fs = require("fs").promises; // Use promises for async
-const fss = require("fs"); // Use non-promise 'fs' for createWriteStream
 const path = require("path");
-const axios = require("axios");
-const { URLSearchParams } = require("url");
 const logger = require("../logger");
+const { requireConfig } = require("../config");
+const { createBknClient } = require("../bkn_client");
+const { runWorkerPool } = require("../worker_pool");
 
 // --- Configuration ---
-const API_BASE_URL = process.env.API_BASE_URL;
-const TOKEN_URL = process.env.TOKEN_URL;
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-const STATIC_AUTH_TOKEN = process.env.STATIC_AUTH_TOKEN;
-
 const masterEmployee = require("../../ms_employee.json");
 const MASTER_NIP_LIST = masterEmployee.map((emp) => emp.employee_nip);
 const STAGING_DIR = path.join(__dirname, "staging_employee");
@@ -35,60 +29,12 @@ async function getExistingStagingNips() {
   return stagedNips;
 }
 
-async function fetchDynamicToken() {
-  logger.info(`[AUTH] Requesting new dynamic token from : ${TOKEN_URL}`);
-  const body = new URLSearchParams();
-  body.append("grant_type", "client_credentials");
-  body.append("client_id", CLIENT_ID);
-  body.append("client_secret", CLIENT_SECRET);
-
-  try {
-    const response = await axios.post(TOKEN_URL, body, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-    });
-    return response.data.access_token;
-  } catch (error) {
-    logger.error("[AUTH] ❌ FAILED to fetch dynamic token:");
-    if (error.response) {
-      logger.error(`Status: ${error.response.status}`);
-      logger.error(`Data: ${JSON.stringify(error.response.data)}`);
-    } else {
-      logger.error(`Error: ${error.message}`);
-    }
-    throw new Error("Could not fetch dynamic token. Stopping script.");
-  }
-}
-
-async function withTokenRetry(makeRequest, tokenRef, context) {
-  try {
-    return await makeRequest(tokenRef.current);
-  } catch (error) {
-    if (error.response && error.response.status === 401) {
-      logger.warn(`[AUTH] Token expired during ${context}. Refreshing token and retrying once.`);
-      tokenRef.current = await fetchDynamicToken();
-      return makeRequest(tokenRef.current);
-    }
-    throw error;
-  }
-}
-
-async function fetchEmployeeProfile(nip, tokenRef, staticToken) {
+async function fetchEmployeeProfile(nip, bkn) {
   const jsonFilePath = path.join(STAGING_DIR, `${nip}.json`);
 
-  const makeAuthHeaders = (token) => ({
-    accept: "application/json",
-    Authorization: `Bearer ${token}`,
-    Auth: `Bearer ${staticToken}`,
-  });
-
   try {
     logger.info(`[FETCH JSON] Fetching history for ${nip}...`);
-    const url = `${API_BASE_URL}/pns/data-utama/paruhwaktu/${nip}`;
-    const response = await withTokenRetry((token) => axios.get(url, { headers: makeAuthHeaders(token) }), tokenRef, `JSON fetch for ${nip}`);
-
-    const data = response.data;
+    const data = await bkn.getDataUtamaParuhWaktu(nip);
     await fs.writeFile(jsonFilePath, JSON.stringify(data, null, 2));
     logger.info(`[SAVE JSON] Successfully saved ${nip}.json`);
   } catch (error) {
@@ -102,19 +48,20 @@ async function fetchEmployeeProfile(nip, tokenRef, staticToken) {
 }
 
 async function main() {
-  if (!API_BASE_URL || !TOKEN_URL || !CLIENT_ID || !CLIENT_SECRET || !STATIC_AUTH_TOKEN) {
+  try {
+    requireConfig(["bkn"]);
+  } catch (err) {
     logger.error("--- ❌ FAILED! ---");
-    logger.error("Error: One or more required variables are missing from .env.");
+    logger.error(`Error: ${err.message}`);
     logger.error("--- Script Aborted ---");
+    process.exitCode = 1;
     return;
   }
 
   await fs.mkdir(STAGING_DIR, { recursive: true });
 
-  const tokenRef = { current: await fetchDynamicToken() };
-  const staticToken = STATIC_AUTH_TOKEN;
-
-  if (!tokenRef.current) return;
+  const bkn = createBknClient();
+  if (!(await bkn.getToken())) return;
 
   logger.info(`--- Starting batch processing ---`);
   const existingStagingNips = await getExistingStagingNips();
@@ -129,13 +76,17 @@ async function main() {
     return;
   }
 
-  while (queue.length > 0) {
-    const batchNIPs = queue.splice(0, CONCURRENCY);
-    const promises = batchNIPs.map((nip) => fetchEmployeeProfile(nip, tokenRef, staticToken));
-    await Promise.all(promises);
-
-    logger.info(`--- Batch complete. ${queue.length} NIPs remaining. ---`);
-  }
+  await runWorkerPool(
+    queue,
+    CONCURRENCY,
+    (nip) => fetchEmployeeProfile(nip, bkn),
+    (nip, result, processedCount) => {
+      if (result.status === "rejected") {
+        logger.error(`[FAIL] Unexpected error while processing ${nip}: ${result.reason?.message}`);
+      }
+      logger.info(`[PROGRESS] ${processedCount}/${queue.length} NIPs processed`);
+    },
+  );
 }
 
 main();
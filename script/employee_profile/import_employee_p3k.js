@@ -1,125 +1,101 @@
-const fsp = require("fs").promises;
-const path = require("path");
-
 const { PrismaClient } = require("@prisma/client");
 const logger = require("../logger");
+const { loadConfig } = require("../config");
+const { extractPppkContract, findEmployee, parseImportArgs, printImportHelp, importStagedProfiles } = require("./p3k_profile");
 
 const prisma = new PrismaClient();
 
-const STAGING_DATA_DIR = path.resolve(__dirname, "staging_employee");
-const SUPERADMIN_ID = 1;
+const { SUPERADMIN_ID } = loadConfig();
 
-const toNullIfEmpty = (value) => {
-  if (value === null || value === undefined) return null;
-  if (typeof value === "string") {
-    const trimmed = value.trim();
-    return trimmed.length === 0 ? null : trimmed;
-  }
-  return value;
-};
+const formatDate = (date) => (date ? date.toISOString().slice(0, 10) : "-");
 
-const toInt = (value) => {
-  const cleaned = toNullIfEmpty(value);
-  if (cleaned === null) return null;
-  const numeric = Number(cleaned);
-  return Number.isFinite(numeric) ? numeric : null;
-};
-
-const parseDate = (value) => {
-  const cleaned = toNullIfEmpty(value);
-  if (!cleaned || cleaned === "01-01-0001") return null;
-  const [day, month, year] = cleaned.split("-");
-  if (!day || !month || !year) return null;
-  const isoDate = `${year.padStart(4, "0")}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
-  const parsed = new Date(isoDate);
-  return Number.isNaN(parsed.getTime()) ? null : parsed;
-};
+const persistProfile = async (profile, { dryRun = false } = {}) => {
+  const contract = extractPppkContract(profile);
+  if (!contract.nip) {
+    throw new Error("Missing NIP (nipBaru) in profile payload");
+  }
+  if (!contract.tmtStart) {
+    logger.warn(`[SKIP] NIP ${contract.nip} has no PPPK TMT in the payload`);
+    return null;
+  }
 
-const buildEmployeeData = async (profile) => {
-  const data = {
-    pangkat_tanggal_tmt_golongan: parseDate(profile.tmtPns),
+  const baseData = {
+    pppk_tmt_start: contract.tmtStart,
+    pppk_tmt_end: contract.tmtEnd,
+    pppk_no_sk: contract.noSk,
+    pppk_tgl_sk: contract.tglSk,
   };
 
-  return Object.fromEntries(
-    Object.entries(data).filter(([, value]) => value !== undefined),
-  );
-};
+  if (dryRun) {
+    logger.info(`[DRY-RUN] Would upsert trx_employee_pppk for NIP ${contract.nip}: TMT ${formatDate(contract.tmtStart)} - ${formatDate(contract.tmtEnd)}, SK ${contract.noSk || "-"} (${formatDate(contract.tglSk)})`);
+    return null;
+  }
 
-const persistProfile = async (profile) => {
-  const baseData = await buildEmployeeData(profile);
   const now = new Date();
 
   return prisma.$transaction(async (tx) => {
-    const { employee_id } = await tx.ms_employee.findFirst({
-      where: {
-        employee_nip: baseData.nipBaru,
-      },
-    });
-    const employeeP3KRecord = await tx.trx_employee_pppk.upsert({
+    const employee = await findEmployee(tx, contract.nip);
+    if (!employee) {
+      logger.warn(`[SKIP] NIP ${contract.nip} not found in ms_employee`);
+      return null;
+    }
+
+    // trx_employee_pppk has no unique key on (employee, TMT), so upsert by hand
+    const existing = await tx.trx_employee_pppk.findFirst({
       where: {
-        pppk_employee_id_pppk_tmt_start: {
-          pppk_employee_id: employee_id,
-          pppk_tmt_start: baseData.pppk_tmt_start,
-        },
-      },
-      update: {
-        pppk_employee_id: employee_id,
-        ...baseData,
-        pppk_create_by: SUPERADMIN_ID,
-        pppk_create_date: now,
-      },
-      create: {
-        pppk_employee_id: employee_id,
-        ...baseData,
-        pppk_create_by: SUPERADMIN_ID,
-        pppk_create_date: now,
+        pppk_employee_id: employee.employee_id,
+        pppk_tmt_start: contract.tmtStart,
       },
     });
 
+    const employeeP3KRecord = existing
+      ? await tx.trx_employee_pppk.update({
+          where: { pppk_id: existing.pppk_id },
+          data: {
+            ...baseData,
+            pppk_update_by: SUPERADMIN_ID,
+            pppk_update_date: now,
+          },
+        })
+      : await tx.trx_employee_pppk.create({
+          data: {
+            pppk_employee_id: employee.employee_id,
+            ...baseData,
+            pppk_create_by: SUPERADMIN_ID,
+            pppk_create_date: now,
+          },
+        });
+
+    logger.info(`[IMPORT] ${existing ? "Updated" : "Created"} trx_employee_pppk ${employeeP3KRecord.pppk_id} for NIP ${contract.nip}`);
     return { employeeP3KRecord };
   });
 };
 
-const importAllProfiles = async () => {
-  const dirEntries = await fsp.readdir(STAGING_DATA_DIR, {
-    withFileTypes: true,
-  });
-  const jsonFiles = dirEntries.filter(
-    (entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".json"),
-  );
-
-  if (jsonFiles.length === 0) {
-    logger.warn(`[IMPORT] No JSON payloads found in ${STAGING_DATA_DIR}`);
+const main = async () => {
+  const options = parseImportArgs(process.argv.slice(2));
+  if (options.help) {
+    printImportHelp("import_employee_p3k.js", "Upserts PPPK contract data (TMT start/end, SK) into trx_employee_pppk.");
     return;
   }
 
-  for (const file of jsonFiles) {
-    const filePath = path.join(STAGING_DATA_DIR, file.name);
-    try {
-      const raw = await fsp.readFile(filePath, "utf-8");
-      const payload = JSON.parse(raw);
-
-      if (!payload || payload.code !== 1 || !payload.data) {
-        logger.warn(
-          `[IMPORT] Skipping ${file.name}: invalid payload structure`,
-        );
-        continue;
-      }
-
-      await persistProfile(payload.data);
-      logger.info(
-        `[IMPORT] Imported ${payload.data.nipBaru} from ${file.name}`,
-      );
-    } catch (error) {
-      logger.error(`[IMPORT] Failed to process ${file.name}: ${error.message}`);
-    }
+  await importStagedProfiles((profile) => persistProfile(profile, options), { nips: options.nips, label: "P3K" });
+  if (options.dryRun) {
+    logger.info("[DRY-RUN] No database changes were made.");
   }
 };
 
-importAllProfiles()
-  .catch((error) => {
-    logger.error(`[IMPORT P3K Records] Unexpected failure: ${error.message}`);
-  })
-  .finally(async () => {
-    await prisma.$disconnect();
-  });
+if (require.main === module) {
+  main()
+    .catch((error) => {
+      logger.error(`[IMPORT P3K Records] Unexpected failure: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      await prisma.$disconnect();
+    });
+}
+
+module.exports = {
+  persistProfile,
+  prisma,
+};
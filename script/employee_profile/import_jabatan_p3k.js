@@ -0,0 +1,159 @@
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../logger");
+const { loadConfig } = require("../config");
+const { toNullIfEmpty, parseDate, pickFirst, extractPppkContract, findEmployee, upsertSyncedRow, parseImportArgs, printImportHelp, importStagedProfiles } = require("./p3k_profile");
+
+const prisma = new PrismaClient();
+
+const { SUPERADMIN_ID, STATUS_SYNC_BKN } = loadConfig();
+
+/**
+ * Same kode selection as findJabatanKode in employee_jabatan/domain.js, using the
+ * data-utama field names.
+ * @param {object} profile
+ * @returns {string | null}
+ */
+const findJabatanKode = (profile) => {
+  switch (String(pickFirst(profile, ["jenisJabatanId", "jenisJabatan"]) ?? "")) {
+    case "1":
+      return pickFirst(profile, ["jabatanStrukturalId", "unorId"]);
+    case "2":
+      return toNullIfEmpty(profile.jabatanFungsionalId);
+    case "4":
+      return toNullIfEmpty(profile.jabatanFungsionalUmumId);
+    default:
+      return pickFirst(profile, ["jabatanFungsionalId", "jabatanFungsionalUmumId"]);
+  }
+};
+
+const resolveJabatanNama = (profile) => pickFirst(profile, ["jabatanNama", "jabatanFungsionalNama", "jabatanFungsionalUmumNama", "namaJabatan"]);
+
+/**
+ * Links the row to ms_organization/ms_jabatan when BKN's unor and jabatan are known locally,
+ * otherwise keeps the names as free text like the jabatan importer does.
+ */
+const findOrganizationAndJabatan = async (tx, profile) => {
+  const jabatanNama = resolveJabatanNama(profile);
+  const unorId = toNullIfEmpty(profile.unorId);
+  const organization = unorId ? await tx.ms_organization.findFirst({ where: { organization_bkn_id: unorId } }) : null;
+
+  if (organization) {
+    const jabatanKode = findJabatanKode(profile);
+    const jabatan = jabatanKode ? await tx.ms_jabatan.findFirst({ where: { jabatan_kode: String(jabatanKode) } }) : null;
+    if (!jabatan) {
+      logger.warn(`[LINK] Jabatan kode ${jabatanKode || "-"} (${jabatanNama || "-"}) not found in ms_jabatan`);
+    }
+    return {
+      trx_jabatan_organization_id: organization.organization_id,
+      trx_jabatan_jabatan_id: jabatan ? jabatan.jabatan_id : null,
+      trx_jabatan_jabatan_nama: jabatan ? null : jabatanNama && jabatanNama.toUpperCase(),
+    };
+  }
+
+  const organizationNames = [profile.unorIndukNama, profile.unorNama].map(toNullIfEmpty).filter(Boolean);
+  return {
+    trx_jabatan_jabatan_organization: organizationNames.length > 0 ? organizationNames.join(", ").toUpperCase() : null,
+    trx_jabatan_jabatan_nama: jabatanNama && jabatanNama.toUpperCase(),
+  };
+};
+
+const persistProfile = async (profile, { dryRun = false } = {}) => {
+  const contract = extractPppkContract(profile);
+  if (!contract.nip) {
+    throw new Error("Missing NIP (nipBaru) in profile payload");
+  }
+
+  const tmtJabatan = parseDate(profile.tmtJabatan) || contract.tmtStart;
+  if (!tmtJabatan) {
+    logger.warn(`[SKIP] NIP ${contract.nip} has no TMT jabatan or PPPK TMT in the payload`);
+    return null;
+  }
+  if (!resolveJabatanNama(profile) && !findJabatanKode(profile)) {
+    logger.warn(`[SKIP] NIP ${contract.nip} has no jabatan in the payload`);
+    return null;
+  }
+
+  if (dryRun) {
+    logger.info(`[DRY-RUN] Would upsert trx_jabatan for NIP ${contract.nip}: ${resolveJabatanNama(profile) || findJabatanKode(profile)}, TMT ${tmtJabatan.toISOString().slice(0, 10)}`);
+    return null;
+  }
+
+  const now = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const employee = await findEmployee(tx, contract.nip);
+    if (!employee) {
+      logger.warn(`[SKIP] NIP ${contract.nip} not found in ms_employee`);
+      return null;
+    }
+
+    const dataPayload = {
+      trx_jabatan_nomor_sk: contract.noSk,
+      trx_jabatan_tgl_sk: contract.tglSk,
+      trx_jabatan_status: STATUS_SYNC_BKN,
+      trx_jabatan_jenis_sk: 3,
+      trx_jabatan_status_jabatan: 1,
+      trx_jabatan_type: 1,
+      trx_jabatan_sync_date: now,
+      ...(await findOrganizationAndJabatan(tx, profile)),
+    };
+
+    const jabatanRecord = await upsertSyncedRow(tx, "trx_jabatan", {
+      where: {
+        employeeID_TMT: {
+          trx_jabatan_employee_id: employee.employee_id,
+          trx_jabatan_tmt: tmtJabatan,
+        },
+      },
+      update: {
+        ...dataPayload,
+        trx_jabatan_update_by: SUPERADMIN_ID,
+        trx_jabatan_update_date: now,
+      },
+      create: {
+        ...dataPayload,
+        trx_jabatan_employee_id: employee.employee_id,
+        trx_jabatan_tmt: tmtJabatan,
+        trx_jabatan_create_by: SUPERADMIN_ID,
+        trx_jabatan_create_date: now,
+      },
+      profile,
+      nip: contract.nip,
+      employeeId: employee.employee_id,
+    });
+    if (!jabatanRecord) return null;
+
+    logger.info(`[IMPORT] Upserted trx_jabatan ${jabatanRecord.trx_jabatan_id} for NIP ${contract.nip}`);
+    return { jabatanRecord };
+  });
+};
+
+const main = async () => {
+  const options = parseImportArgs(process.argv.slice(2));
+  if (options.help) {
+    printImportHelp("import_jabatan_p3k.js", "Upserts the current PPPK jabatan into trx_jabatan.");
+    return;
+  }
+
+  await importStagedProfiles((profile) => persistProfile(profile, options), { nips: options.nips, label: "P3K Jabatan" });
+  if (options.dryRun) {
+    logger.info("[DRY-RUN] No database changes were made.");
+  }
+};
+
+if (require.main === module) {
+  main()
+    .catch((error) => {
+      logger.error(`[IMPORT P3K Jabatan] Unexpected failure: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      await prisma.$disconnect();
+    });
+}
+
+module.exports = {
+  persistProfile,
+  findJabatanKode,
+  prisma,
+};
@@ -0,0 +1,127 @@
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../logger");
+const { loadConfig } = require("../config");
+const { toNullIfEmpty, parseDate, extractPppkContract, findEmployee, upsertSyncedRow, parseImportArgs, printImportHelp, importStagedProfiles } = require("./p3k_profile");
+
+const prisma = new PrismaClient();
+
+const { SUPERADMIN_ID } = loadConfig();
+
+/**
+ * PPPK golongan (e.g. "IX") live in ms_golongan_p3k, not ms_golongan; BKN sends the
+ * id in golRuangAkhirId and the name in golRuangAkhir, so match on either.
+ */
+const findGolonganP3k = (tx, profile) => {
+  const kode = toNullIfEmpty(profile.golRuangAkhirId);
+  const nama = toNullIfEmpty(profile.golRuangAkhir);
+  const conditions = [kode && { golongan_p3k_kode: String(kode) }, nama && { golongan_p3k_nama: nama }].filter(Boolean);
+  if (conditions.length === 0) return null;
+  return tx.ms_golongan_p3k.findFirst({ where: { OR: conditions } });
+};
+
+const buildPangkatData = (profile) => {
+  const contract = extractPppkContract(profile);
+  return {
+    nip: contract.nip,
+    golonganLabel: toNullIfEmpty(profile.golRuangAkhir) || toNullIfEmpty(profile.golRuangAkhirId) || "-",
+    data: {
+      pangkat_tanggal_tmt_golongan: parseDate(profile.tmtGolAkhir) || contract.tmtStart,
+      pangkat_nomor_sk: contract.noSk,
+      pangkat_tanggal_sk: contract.tglSk,
+      pangkat_status: 1,
+      pangkat_jenis_sk: 3,
+    },
+  };
+};
+
+const persistProfile = async (profile, { dryRun = false } = {}) => {
+  const { nip, golonganLabel, data } = buildPangkatData(profile);
+  if (!nip) {
+    throw new Error("Missing NIP (nipBaru) in profile payload");
+  }
+  if (!data.pangkat_tanggal_tmt_golongan) {
+    logger.warn(`[SKIP] NIP ${nip} has no TMT golongan or PPPK TMT in the payload`);
+    return null;
+  }
+
+  if (dryRun) {
+    logger.info(`[DRY-RUN] Would upsert trx_pangkat for NIP ${nip}: golongan ${golonganLabel}, TMT ${data.pangkat_tanggal_tmt_golongan.toISOString().slice(0, 10)}`);
+    return null;
+  }
+
+  const now = new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const employee = await findEmployee(tx, nip);
+    if (!employee) {
+      logger.warn(`[SKIP] NIP ${nip} not found in ms_employee`);
+      return null;
+    }
+
+    const golongan = await findGolonganP3k(tx, profile);
+    if (!golongan) {
+      logger.warn(`[SKIP] Golongan ${golonganLabel} (NIP ${nip}) not found in ms_golongan_p3k`);
+      return null;
+    }
+
+    const pangkatRecord = await upsertSyncedRow(tx, "trx_pangkat", {
+      where: {
+        pangkat_employee_id_pangkat_tanggal_tmt_golongan: {
+          pangkat_employee_id: employee.employee_id,
+          pangkat_tanggal_tmt_golongan: data.pangkat_tanggal_tmt_golongan,
+        },
+      },
+      update: {
+        pangkat_golongan_id: golongan.golongan_p3k_id,
+        ...data,
+        pangkat_update_by: SUPERADMIN_ID,
+        pangkat_update_date: now,
+        pangkat_sync_date: now,
+      },
+      create: {
+        pangkat_employee_id: employee.employee_id,
+        pangkat_golongan_id: golongan.golongan_p3k_id,
+        ...data,
+        pangkat_create_by: SUPERADMIN_ID,
+        pangkat_create_date: now,
+        pangkat_sync_date: now,
+      },
+      profile,
+      nip,
+      employeeId: employee.employee_id,
+    });
+    if (!pangkatRecord) return null;
+
+    logger.info(`[IMPORT] Upserted trx_pangkat ${pangkatRecord.pangkat_id} (golongan ${golonganLabel}) for NIP ${nip}`);
+    return { pangkatRecord };
+  });
+};
+
+const main = async () => {
+  const options = parseImportArgs(process.argv.slice(2));
+  if (options.help) {
+    printImportHelp("import_pangkat.js", "Upserts the PPPK golongan (ms_golongan_p3k) into trx_pangkat.");
+    return;
+  }
+
+  await importStagedProfiles((profile) => persistProfile(profile, options), { nips: options.nips, label: "P3K Pangkat" });
+  if (options.dryRun) {
+    logger.info("[DRY-RUN] No database changes were made.");
+  }
+};
+
+if (require.main === module) {
+  main()
+    .catch((error) => {
+      logger.error(`[IMPORT P3K Pangkat] Unexpected failure: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      await prisma.$disconnect();
+    });
+}
+
+module.exports = {
+  persistProfile,
+  prisma,
+};
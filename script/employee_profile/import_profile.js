@@ -4,11 +4,12 @@ const bcrypt = require("bcrypt");
 
 const { PrismaClient } = require("@prisma/client");
 const logger = require("../logger");
+const { loadConfig } = require("../config");
 
 const prisma = new PrismaClient();
 
 const STAGING_DATA_DIR = path.resolve(__dirname, "staging_employee");
-const SUPERADMIN_ID = 1;
+const { SUPERADMIN_ID } = loadConfig();
 const DEFAULT_ROLE_ID = 3;
 
 const toNullIfEmpty = (value) => {
@@ -0,0 +1,212 @@
+const fsp = require("fs").promises;
+const path = require("path");
+const logger = require("../logger");
+const { SYNCED_MODELS, detectManualEdit, syncedState, queueConflict } = require("../sync_conflicts");
+
+// Shared by the PPPK importers (import_employee_p3k.js, import_pangkat.js, import_jabatan_p3k.js),
+// which all read the data-utama/paruhwaktu payloads staged by fetcher_profile.js.
+const STAGING_DATA_DIR = path.resolve(__dirname, "staging_employee");
+
+const toNullIfEmpty = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    return trimmed.length === 0 ? null : trimmed;
+  }
+  return value;
+};
+
+const toInt = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  if (cleaned === null) return null;
+  const numeric = Number(cleaned);
+  return Number.isFinite(numeric) ? numeric : null;
+};
+
+const parseDate = (value) => {
+  const cleaned = toNullIfEmpty(value);
+  if (!cleaned || cleaned === "01-01-0001") return null;
+  const [day, month, year] = cleaned.split("-");
+  if (!day || !month || !year) return null;
+  const isoDate = `${year.padStart(4, "0")}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  const parsed = new Date(isoDate);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Returns the first non-empty value among the given profile keys. The paruh waktu payload
+ * does not always use the PPPK-specific names, so callers list them before the PNS/CPNS ones.
+ * @param {object} profile
+ * @param {string[]} keys
+ */
+const pickFirst = (profile, keys) => {
+  for (const key of keys) {
+    const value = toNullIfEmpty(profile[key]);
+    if (value !== null) return value;
+  }
+  return null;
+};
+
+const PPPK_FIELDS = {
+  tmtStart: ["tmtPppk", "tmtPppkAwal", "tmtPns", "tmtCpns"],
+  tmtEnd: ["tmtPppkAkhir", "tmtAkhirKontrak", "masaKerjaAkhir"],
+  noSk: ["nomorSkPppk", "noSkPppk", "nomorSkPns", "nomorSkCpns"],
+  tglSk: ["tglSkPppk", "tanggalSkPppk", "tglSkPns", "tglSkCpns"],
+};
+
+/**
+ * Extracts the PPPK contract data from a data-utama payload.
+ * @param {object} profile
+ * @returns {{ nip: string | null, tmtStart: Date | null, tmtEnd: Date | null, noSk: string | null, tglSk: Date | null }}
+ */
+const extractPppkContract = (profile) => ({
+  nip: toNullIfEmpty(profile.nipBaru),
+  tmtStart: parseDate(pickFirst(profile, PPPK_FIELDS.tmtStart)),
+  tmtEnd: parseDate(pickFirst(profile, PPPK_FIELDS.tmtEnd)),
+  noSk: pickFirst(profile, PPPK_FIELDS.noSk),
+  tglSk: parseDate(pickFirst(profile, PPPK_FIELDS.tglSk)),
+});
+
+/**
+ * Finds the active ms_employee row for a NIP.
+ * @param {object} client prisma client or transaction
+ * @param {string} nip
+ */
+const findEmployee = (client, nip) =>
+  client.ms_employee.findFirst({
+    where: {
+      employee_nip: nip,
+      employee_status: { notIn: [0] },
+    },
+  });
+
+/**
+ * Creates or updates a row of a table the BKN sync owns (sync_conflicts.js SYNCED_MODELS) inside
+ * the caller's transaction. A row edited in BAKAS since its last sync is left alone and queued as
+ * a conflict; any other row is only updated while it still is as it was read.
+ * @param {object} tx
+ * @param {keyof SYNCED_MODELS} model
+ * @param {{ where: object, create: object, update: object, profile: object, nip: string, employeeId: number }} options
+ * @returns {Promise<object | null>} the written row, or null when it was left alone
+ */
+const upsertSyncedRow = async (tx, model, { where, create, update, profile, nip, employeeId }) => {
+  const existing = await tx[model].findUnique({ where });
+  if (!existing) {
+    return tx[model].create({ data: create });
+  }
+
+  const id = SYNCED_MODELS[model].id;
+  const reason = detectManualEdit(model, existing);
+  if (reason) {
+    const { conflictId, queued } = await queueConflict(tx, { model, row: existing, record: profile, reason, nip, employeeId });
+    logger.warn(
+      `[CONFLICT] ${model} ${existing[id]} (NIP ${nip}) ${reason}; ` +
+        (queued ? `left untouched, queued for review as conflict #${conflictId}.` : `kept local by conflict #${conflictId}.`),
+    );
+    return null;
+  }
+
+  const { count } = await tx[model].updateMany({ where: { [id]: existing[id], ...syncedState(model, existing) }, data: update });
+  if (count === 0) {
+    throw new Error(`${model} ${existing[id]} was changed while it was being imported.`);
+  }
+  return { ...existing, ...update };
+};
+
+/**
+ * Parses the options shared by the PPPK importers.
+ * @param {string[]} argv
+ * @returns {{ dryRun: boolean, nips: Set<string> | null, help: boolean }}
+ */
+const parseImportArgs = (argv) => {
+  const options = { dryRun: false, nips: null, help: false };
+  const nipSet = new Set();
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("--")) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        arg
+          .split(/[\s,]+/)
+          .filter(Boolean)
+          .forEach((nip) => nipSet.add(nip));
+        break;
+    }
+  }
+
+  options.nips = nipSet.size > 0 ? nipSet : null;
+  return options;
+};
+
+const printImportHelp = (scriptName, description) => {
+  const lines = [
+    `Usage: node script/employee_profile/${scriptName} [options] [NIP ...]`,
+    "",
+    description,
+    "",
+    "Options:",
+    "  --dry-run   Print planned work without writing to DB.",
+    "  --help      Show this message.",
+    "",
+    "Reads staging_employee/<NIP>.json. Without NIP arguments every staged file is imported.",
+  ];
+  lines.forEach((line) => logger.info(line));
+};
+
+/**
+ * Runs persistProfile for every staged payload (optionally restricted to some NIPs).
+ * @param {(profile: object) => Promise<*>} persistProfile
+ * @param {{ nips?: Set<string> | null, label: string }} options
+ */
+const importStagedProfiles = async (persistProfile, { nips = null, label }) => {
+  const dirEntries = await fsp.readdir(STAGING_DATA_DIR, {
+    withFileTypes: true,
+  });
+  const jsonFiles = dirEntries.filter((entry) => entry.isFile() && entry.name.toLowerCase().endsWith(".json") && (!nips || nips.has(path.basename(entry.name, ".json"))));
+
+  if (jsonFiles.length === 0) {
+    logger.warn(`[IMPORT ${label}] No JSON payloads found in ${STAGING_DATA_DIR}`);
+    return;
+  }
+
+  for (const file of jsonFiles) {
+    const filePath = path.join(STAGING_DATA_DIR, file.name);
+    try {
+      const raw = await fsp.readFile(filePath, "utf-8");
+      const payload = JSON.parse(raw);
+
+      if (!payload || payload.code !== 1 || !payload.data) {
+        logger.warn(`[IMPORT ${label}] Skipping ${file.name}: invalid payload structure`);
+        continue;
+      }
+
+      await persistProfile(payload.data);
+    } catch (error) {
+      logger.error(`[IMPORT ${label}] Failed to process ${file.name}: ${error.message}`);
+    }
+  }
+};
+
+module.exports = {
+  STAGING_DATA_DIR,
+  toNullIfEmpty,
+  toInt,
+  parseDate,
+  pickFirst,
+  extractPppkContract,
+  findEmployee,
+  upsertSyncedRow,
+  parseImportArgs,
+  printImportHelp,
+  importStagedProfiles,
+};
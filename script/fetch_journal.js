@@ -0,0 +1,180 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const JOURNAL_VERSION = 1;
+
+function emptyJournal() {
+  return {
+    version: JOURNAL_VERSION,
+    updatedAt: null,
+    nips: {},
+    documents: {},
+  };
+}
+
+function describeError(error) {
+  if (!error) return null;
+  if (typeof error === "string") return error;
+  if (error.response) {
+    const { status, data } = error.response;
+    // Download errors carry the response stream as data; only JSON bodies are worth keeping.
+    const isStream = data && typeof data.pipe === "function";
+    return isStream ? `Status ${status}` : `Status ${status}: ${JSON.stringify(data)}`;
+  }
+  return error.message || String(error);
+}
+
+function buildEntry(status, { attempts = 1, error = null } = {}) {
+  return {
+    status,
+    attempts,
+    lastError: describeError(error),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Machine-readable record of what a fetcher did per NIP and per document, so a later
+ * run can re-queue only what failed (see `--retry-failed` in the fetchers).
+ *
+ * Entries use the same statuses as the export_profile checkpoint: "success", "failed", "skipped".
+ * Documents are keyed by their temp_downloads filename, which is unique per record and doc.
+ * @param {string} journalPath
+ */
+function createFetchJournal(journalPath) {
+  let journal = emptyJournal();
+  let writeQueue = Promise.resolve();
+  let dirty = false;
+
+  async function load() {
+    try {
+      const raw = await fs.readFile(journalPath, "utf-8");
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === "object" && typeof parsed.nips === "object" && typeof parsed.documents === "object") {
+        journal = {
+          version: JOURNAL_VERSION,
+          updatedAt: parsed.updatedAt || null,
+          nips: parsed.nips,
+          documents: parsed.documents,
+        };
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    return journal;
+  }
+
+  async function save() {
+    journal.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(journalPath), { recursive: true });
+    const tempPath = `${journalPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(journal, null, 2));
+    await fs.rename(tempPath, journalPath);
+  }
+
+  /**
+   * Queues a write; writes requested while one is pending collapse into a single save.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    dirty = true;
+    writeQueue = writeQueue.then(() => {
+      if (!dirty) return undefined;
+      dirty = false;
+      return save();
+    });
+    return writeQueue;
+  }
+
+  function recordNip(nip, status, detail) {
+    journal.nips[nip] = buildEntry(status, detail);
+  }
+
+  /**
+   * @param {string} fileName temp_downloads filename (`${record.id}_${docKey}_${basename}`)
+   * @param {{ nip: string, recordId: string, docKey: string, dokUri: string, hash?: string }} document
+   * @param {string} status
+   * @param {{ attempts?: number, error?: * }} [detail]
+   */
+  function recordDocument(fileName, document, status, detail) {
+    journal.documents[fileName] = {
+      ...document,
+      ...buildEntry(status, detail),
+    };
+  }
+
+  /**
+   * @param {string} fileName
+   * @returns {object | null} last recorded entry, e.g. to compare a re-downloaded document's hash
+   */
+  function getDocument(fileName) {
+    return journal.documents[fileName] || null;
+  }
+
+  function getFailedNips() {
+    return Object.entries(journal.nips)
+      .filter(([, entry]) => entry.status === "failed")
+      .map(([nip]) => nip);
+  }
+
+  /**
+   * Failed documents grouped by NIP, as Map<nip, Set<fileName>>.
+   * @returns {Map<string, Set<string>>}
+   */
+  function getFailedDocumentsByNip() {
+    const byNip = new Map();
+    for (const [fileName, entry] of Object.entries(journal.documents)) {
+      if (entry.status !== "failed" || !entry.nip) continue;
+      if (!byNip.has(entry.nip)) {
+        byNip.set(entry.nip, new Set());
+      }
+      byNip.get(entry.nip).add(fileName);
+    }
+    return byNip;
+  }
+
+  /**
+   * Builds the retry queue: NIPs whose JSON failed are re-fetched completely,
+   * NIPs that only had failed documents re-download just those documents.
+   * @param {Set<string>} [nipFilter] optional NIP restriction (empty = no restriction)
+   * @returns {Map<string, Set<string> | null>} nip -> filenames to retry (null = everything)
+   */
+  function buildRetryPlan(nipFilter = new Set()) {
+    const plan = getFailedDocumentsByNip();
+    for (const nip of getFailedNips()) {
+      plan.set(nip, null);
+    }
+    if (nipFilter.size > 0) {
+      for (const nip of plan.keys()) {
+        if (!nipFilter.has(nip)) plan.delete(nip);
+      }
+    }
+    return plan;
+  }
+
+  function summarize() {
+    const count = (entries) =>
+      Object.values(entries).reduce((acc, entry) => {
+        acc[entry.status] = (acc[entry.status] || 0) + 1;
+        return acc;
+      }, {});
+    return { nips: count(journal.nips), documents: count(journal.documents) };
+  }
+
+  return {
+    path: journalPath,
+    load,
+    flush,
+    recordNip,
+    recordDocument,
+    getDocument,
+    getFailedNips,
+    getFailedDocumentsByNip,
+    buildRetryPlan,
+    summarize,
+  };
+}
+
+module.exports = {
+  createFetchJournal,
+};
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const fsp = fs.promises;
+const path = require("path");
+const { loadConfig, requireConfig } = require("./config");
+const { getStoragePaths } = require("./storage_paths");
+const { createS3Client } = require("./s3_client");
+
+let cachedStorage = null;
+
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+};
+
+/**
+ * Documents on the BAKAS server's disk, under STORAGE_ROOT.
+ *
+ * Both backends take the same keys: the relative path BAKAS keeps in trx_employee_file.file_path
+ * ("assets/upload/<nip>/<file>", see storage_paths.js). Absolute paths written by older imports
+ * are accepted as well.
+ * @param {{ storagePaths: ReturnType<typeof getStoragePaths> }} options
+ */
+function createLocalStorage({ storagePaths }) {
+  const resolve = (key) => storagePaths.toAbsolute(key);
+
+  return {
+    name: "local",
+    describe: resolve,
+
+    async put(key, sourcePath) {
+      const target = resolve(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.copyFile(sourcePath, target);
+      return { size: (await fsp.stat(target)).size };
+    },
+
+    async move(key, sourcePath) {
+      const target = resolve(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fsp.rename(sourcePath, target);
+      } catch (err) {
+        if (err.code !== "EXDEV") throw err;
+        await fsp.copyFile(sourcePath, target);
+        await fsp.unlink(sourcePath);
+      }
+      return { size: (await fsp.stat(target)).size };
+    },
+
+    async stat(key) {
+      try {
+        return { size: (await fsp.stat(resolve(key))).size };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+
+    /** @returns {Promise<import("stream").Readable>} */
+    async read(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      try {
+        await fsp.unlink(resolve(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Documents in an S3-compatible bucket, as <S3_PREFIX>/<key>.
+ * @param {{ storagePaths: ReturnType<typeof getStoragePaths>, client: ReturnType<typeof createS3Client>, prefix?: string }} options
+ */
+function createS3Storage({ storagePaths, client, prefix = "" }) {
+  const cleanPrefix = prefix.replace(/^\/+|\/+$/g, "");
+
+  // Legacy absolute paths outside STORAGE_ROOT have no object key; they can only be missing.
+  const objectKey = (key) => {
+    let relative;
+    try {
+      relative = storagePaths.toKey(key);
+    } catch {
+      return null;
+    }
+    return cleanPrefix ? `${cleanPrefix}/${relative}` : relative;
+  };
+  const requireObjectKey = (key) => {
+    const result = objectKey(key);
+    if (!result) throw new Error(`${key} is outside STORAGE_ROOT and has no object key.`);
+    return result;
+  };
+
+  const storage = {
+    name: "s3",
+    describe: (key) => client.describe(objectKey(key) ?? key),
+
+    async put(key, sourcePath) {
+      const contentType = CONTENT_TYPES[path.extname(sourcePath).toLowerCase()];
+      return client.putObjectFromFile(requireObjectKey(key), sourcePath, { contentType });
+    },
+
+    async move(key, sourcePath) {
+      const result = await storage.put(key, sourcePath);
+      await fsp.unlink(sourcePath);
+      return result;
+    },
+
+    async stat(key) {
+      const target = objectKey(key);
+      return target ? client.headObject(target) : null;
+    },
+
+    async read(key) {
+      return client.getObjectStream(requireObjectKey(key));
+    },
+
+    async remove(key) {
+      const target = objectKey(key);
+      if (target) await client.deleteObject(target);
+    },
+  };
+  return storage;
+}
+
+/**
+ * The storage selected by STORAGE_BACKEND ("local" or "s3"), once per process.
+ * @returns {ReturnType<typeof createLocalStorage> | ReturnType<typeof createS3Storage>}
+ */
+function getFileStorage() {
+  if (cachedStorage) return cachedStorage;
+
+  const storagePaths = getStoragePaths();
+  const { STORAGE_BACKEND } = loadConfig();
+  if (STORAGE_BACKEND === "local") {
+    cachedStorage = createLocalStorage({ storagePaths });
+  } else if (STORAGE_BACKEND === "s3") {
+    const config = requireConfig(["s3"]);
+    const client = createS3Client({
+      endpoint: config.S3_ENDPOINT,
+      region: config.S3_REGION,
+      bucket: config.S3_BUCKET,
+      accessKeyId: config.S3_ACCESS_KEY_ID,
+      secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: config.S3_FORCE_PATH_STYLE,
+    });
+    cachedStorage = createS3Storage({ storagePaths, client, prefix: config.S3_PREFIX });
+  } else {
+    throw new Error(`STORAGE_BACKEND must be "local" or "s3" (got ${JSON.stringify(STORAGE_BACKEND)}).`);
+  }
+  return cachedStorage;
+}
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  getFileStorage,
+};
@@ -3,11 +3,12 @@ const path = require("path");
 
 const { PrismaClient } = require("@prisma/client");
 const logger = require("../logger");
+const { loadConfig } = require("../config");
 const { parse } = require("csv-parse");
 
 const prisma = new PrismaClient();
 const PATH_CSV = path.resolve(__dirname, "ms_jabatan_fungsional.csv");
-const SUPERADMIN_ID = 1;
+const { SUPERADMIN_ID } = loadConfig();
 
 const toNullIfEmpty = (value) => {
   if (value === null || value === undefined) return null;
@@ -0,0 +1,220 @@
+const fsp = require("fs").promises;
+const path = require("path");
+const zlib = require("zlib");
+
+// The PDF header may be preceded by junk; readers look for it in the first 1024 bytes.
+const HEADER_WINDOW = 1024;
+// startxref and %%EOF sit at the very end; 2 KB leaves room for trailing garbage.
+const TAIL_WINDOW = 2048;
+
+const IMAGE_SIGNATURES = [
+  { type: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+];
+
+const startsWithBytes = (buffer, bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+/**
+ * Recognizes what BKN sends instead of a document when something goes wrong server side:
+ * an HTML error page or a JSON error body, both saved under the document's .pdf name.
+ * @returns {{ type: string, error: string } | null}
+ */
+function detectErrorBody(buffer) {
+  const head = buffer.subarray(0, HEADER_WINDOW).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+
+  if (/^<(!doctype\s+html|html|head|body|\?xml)/i.test(head)) {
+    const title = /<title>([^<]*)<\/title>/i.exec(head);
+    return { type: "html", error: `HTML page instead of a document${title ? ` ("${title[1].trim()}")` : ""}` };
+  }
+
+  if (head.startsWith("{") || head.startsWith("[")) {
+    let message = head.slice(0, 120);
+    try {
+      const parsed = JSON.parse(buffer.toString("utf8"));
+      message = parsed.message || parsed.error || parsed.msg || JSON.stringify(parsed).slice(0, 120);
+    } catch {
+      // Keep the raw prefix; a truncated JSON body is still an error body.
+    }
+    return { type: "json", error: `JSON body instead of a document: ${message}` };
+  }
+
+  return null;
+}
+
+/** Text of the object starting at `start` up to its "stream" or "endobj" keyword. */
+function objectDictionary(text, start) {
+  const end = text.slice(start).search(/\bstream\b|\bendobj\b/);
+  return end === -1 ? text.slice(start) : text.slice(start, start + end);
+}
+
+/**
+ * Largest /Count of a /Type /Pages dictionary, i.e. the page tree root.
+ * @returns {number | null}
+ */
+function findPageCount(text) {
+  let count = null;
+  for (const match of text.matchAll(/\/Type\s*\/Pages\b/g)) {
+    const objStart = text.lastIndexOf("obj", match.index);
+    const dict = objectDictionary(text, objStart === -1 ? match.index : objStart);
+    const found = /\/Count\s+(\d+)/.exec(dict);
+    if (found) count = Math.max(count ?? 0, Number(found[1]));
+  }
+  return count;
+}
+
+/**
+ * PDF 1.5+ files may keep the page tree in compressed object streams, out of sight of a plain
+ * text scan. Inflates those streams so their dictionaries can be searched too.
+ * @returns {string}
+ */
+function inflateObjectStreams(buffer, text) {
+  const inflated = [];
+  for (const match of text.matchAll(/\/Type\s*\/ObjStm\b/g)) {
+    const objStart = text.lastIndexOf("obj", match.index);
+    const dict = objectDictionary(text, objStart);
+    if (!/\/FlateDecode\b/.test(dict)) continue;
+
+    const streamKeyword = text.indexOf("stream", match.index);
+    if (streamKeyword === -1) continue;
+    const dataStart = streamKeyword + (text[streamKeyword + 6] === "\r" ? 8 : 7);
+    const dataEnd = text.indexOf("endstream", dataStart);
+    if (dataEnd === -1) continue;
+    try {
+      inflated.push(zlib.inflateSync(buffer.subarray(dataStart, dataEnd)).toString("latin1"));
+    } catch {
+      // A stream that does not inflate is reported through the missing page count.
+    }
+  }
+  return inflated.join("\n");
+}
+
+/**
+ * Checks the structure of a PDF: header, the final startxref pointing at an xref table or
+ * xref stream, a trailer with /Root, the %%EOF marker and a page tree with at least one page.
+ * @param {Buffer} buffer
+ */
+function inspectPdf(buffer) {
+  const errors = [];
+  const warnings = [];
+  const text = buffer.toString("latin1");
+
+  const headerOffset = text.slice(0, HEADER_WINDOW).indexOf("%PDF-");
+  const version = /^%PDF-(\d\.\d)/.exec(text.slice(headerOffset))?.[1] ?? null;
+  if (headerOffset > 0) warnings.push(`${headerOffset} byte(s) before the %PDF- header`);
+  if (!version) warnings.push("Unreadable PDF version in header");
+
+  const tail = text.slice(-TAIL_WINDOW);
+  if (!tail.includes("%%EOF")) {
+    errors.push("No %%EOF marker at the end (truncated download?)");
+  }
+
+  let trailer = null;
+  const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+  if (!startxref) {
+    errors.push("No startxref at the end of the file");
+  } else {
+    // Offsets count from the %PDF- header, not from the first byte of the file.
+    const xrefOffset = Number(startxref[1]) + Math.max(headerOffset, 0);
+    const atXref = text.slice(xrefOffset, xrefOffset + 64).trimStart();
+    if (xrefOffset >= buffer.length) {
+      errors.push(`startxref ${startxref[1]} points past the end of the file (${buffer.length} bytes)`);
+    } else if (atXref.startsWith("xref")) {
+      const trailerStart = text.indexOf("trailer", xrefOffset);
+      if (trailerStart === -1) {
+        errors.push("Cross-reference table has no trailer");
+      } else {
+        trailer = text.slice(trailerStart, text.indexOf("startxref", trailerStart));
+      }
+    } else if (/^\d+\s+\d+\s+obj\b/.test(atXref)) {
+      trailer = objectDictionary(text, xrefOffset);
+      if (!/\/Type\s*\/XRef\b/.test(trailer)) {
+        errors.push(`startxref ${startxref[1]} points at an object that is not an xref stream`);
+        trailer = null;
+      }
+    } else {
+      errors.push(`startxref ${startxref[1]} does not point at a cross-reference table`);
+    }
+  }
+  if (trailer && !/\/Root\s+\d+\s+\d+\s+R/.test(trailer)) {
+    errors.push("Trailer has no /Root catalog reference");
+  }
+
+  // Older incremental updates may carry /Encrypt too, so check the whole file if the trailer was unusable.
+  const encrypted = /\/Encrypt\s+(\d+\s+\d+\s+R|<<)/.test(trailer ?? text);
+  if (encrypted) warnings.push("PDF is encrypted");
+
+  let pages = findPageCount(text);
+  if (pages === null && !encrypted) {
+    pages = findPageCount(inflateObjectStreams(buffer, text));
+  }
+  if (pages === null) {
+    if (encrypted) {
+      warnings.push("Page count unavailable (encrypted object streams)");
+    } else {
+      errors.push("No page tree found (corrupt or truncated)");
+    }
+  } else if (pages === 0) {
+    errors.push("Page tree has zero pages");
+  }
+
+  return { version, pages, encrypted, errors, warnings };
+}
+
+/**
+ * Validates a downloaded BKN document. Files named *.pdf must be structurally sound PDFs;
+ * anything else (BKN also serves JPEG/PNG scans) only has to be a non-empty, non-error body.
+ * @param {string} filePath
+ * @param {{ expectPdf?: boolean }} [options] defaults to true for *.pdf files
+ * @returns {Promise<{ valid: boolean, type: string, size: number, version: string | null, pages: number | null, encrypted: boolean, errors: string[], warnings: string[] }>}
+ */
+async function validateDocument(filePath, { expectPdf = path.extname(filePath).toLowerCase() === ".pdf" } = {}) {
+  const buffer = await fsp.readFile(filePath);
+  const result = { valid: false, type: "unknown", size: buffer.length, version: null, pages: null, encrypted: false, errors: [], warnings: [] };
+
+  if (buffer.length === 0) {
+    result.type = "empty";
+    result.errors.push("File is empty");
+    return result;
+  }
+
+  const errorBody = detectErrorBody(buffer);
+  if (errorBody) {
+    result.type = errorBody.type;
+    result.errors.push(errorBody.error);
+    return result;
+  }
+
+  if (buffer.subarray(0, HEADER_WINDOW).includes("%PDF-")) {
+    Object.assign(result, { type: "pdf" }, inspectPdf(buffer));
+  } else {
+    const image = IMAGE_SIGNATURES.find(({ bytes }) => startsWithBytes(buffer, bytes));
+    if (image) result.type = image.type;
+    if (expectPdf) {
+      result.errors.push(image ? `${image.type.toUpperCase()} image saved as a PDF` : "Does not start with %PDF-");
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Throws when a downloaded document is invalid, so the fetchers record it as failed in the
+ * fetch journal and re-download it with --retry-failed.
+ * @param {string} filePath
+ * @param {string} name document name for the error message, e.g. its dok_uri
+ * @param {{ expectPdf?: boolean }} [options]
+ */
+async function assertValidDocument(filePath, name, options = {}) {
+  const expectPdf = options.expectPdf ?? path.extname(name).toLowerCase() === ".pdf";
+  const result = await validateDocument(filePath, { expectPdf });
+  if (!result.valid) {
+    throw new Error(`Invalid document ${name}: ${result.errors.join("; ")}`);
+  }
+  return result;
+}
+
+module.exports = {
+  validateDocument,
+  assertValidDocument,
+};
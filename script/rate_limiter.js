@@ -0,0 +1,106 @@
+const { loadConfig } = require("./config");
+
+const DEFAULT_RATE_LIMIT_RPS = 20;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: holds up to `burst` tokens and refills at `ratePerSecond`.
+ * Waiters are served in FIFO order. A rate of 0 disables limiting.
+ * @param {{ ratePerSecond: number, burst?: number }} options
+ */
+function createTokenBucket({ ratePerSecond, burst = Math.max(1, Math.ceil(ratePerSecond)) }) {
+  if (!ratePerSecond || ratePerSecond <= 0) {
+    return { acquire: async () => {} };
+  }
+
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let waiters = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+
+  function acquire() {
+    const turn = waiters.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        refill();
+      }
+      tokens -= 1;
+    });
+    waiters = turn;
+    return turn;
+  }
+
+  return { acquire };
+}
+
+/**
+ * Parses "rw-jabatan=10,download-dok=5" into { "rw-jabatan": 10, "download-dok": 5 }.
+ * @param {string | undefined} value
+ * @returns {Record<string, number>}
+ */
+function parseEndpointLimits(value) {
+  const limits = {};
+  if (!value) return limits;
+  for (const pair of value.split(/[\s,]+/).filter(Boolean)) {
+    const [name, rps] = pair.split("=");
+    const parsed = Number(rps);
+    if (name && Number.isFinite(parsed) && parsed >= 0) {
+      limits[name.trim()] = parsed;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Requests-per-second limiter shared by every BKN call of a client: one global bucket
+ * for the overall quota plus optional per-endpoint buckets, configured by these config keys:
+ *
+ * BKN_RATE_LIMIT_RPS        global requests per second, 0 disables (default 20)
+ * BKN_RATE_LIMIT_BURST      global bucket size (default: the global rate)
+ * BKN_RATE_LIMIT_ENDPOINTS  per-endpoint limits, e.g. "rw-jabatan=10,download-dok=5"
+ * @param {{ ratePerSecond?: number, burst?: number, endpoints?: Record<string, number> }} [overrides]
+ */
+function createRateLimiter(overrides = {}) {
+  const config = loadConfig();
+  const configRps = config.BKN_RATE_LIMIT_RPS ?? NaN;
+  const configBurst = config.BKN_RATE_LIMIT_BURST ?? NaN;
+  const ratePerSecond = overrides.ratePerSecond ?? (configRps >= 0 ? configRps : DEFAULT_RATE_LIMIT_RPS);
+  const burst = overrides.burst ?? (configBurst > 0 ? configBurst : undefined);
+  const endpointLimits = {
+    ...parseEndpointLimits(config.BKN_RATE_LIMIT_ENDPOINTS),
+    ...(overrides.endpoints || {}),
+  };
+
+  const globalBucket = createTokenBucket({ ratePerSecond, burst });
+  const endpointBuckets = new Map(Object.entries(endpointLimits).map(([name, rps]) => [name, createTokenBucket({ ratePerSecond: rps })]));
+
+  /**
+   * Waits until both the endpoint bucket (if configured) and the global bucket allow a request.
+   * @param {string} endpoint e.g. "rw-jabatan" or "download-dok"
+   */
+  async function acquire(endpoint) {
+    const endpointBucket = endpointBuckets.get(endpoint);
+    if (endpointBucket) {
+      await endpointBucket.acquire();
+    }
+    await globalBucket.acquire();
+  }
+
+  return {
+    ratePerSecond,
+    endpointLimits,
+    acquire,
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+  createRateLimiter,
+};
@@ -0,0 +1,124 @@
+const logger = require("./logger");
+const { loadConfig } = require("./config");
+
+const DEFAULT_RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Set by bkn_client when a download ends short of Content-Length or fails its checksum.
+const INCOMPLETE_DOWNLOAD = "EBKN_INCOMPLETE_DOWNLOAD";
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND", "ERR_NETWORK", INCOMPLETE_DOWNLOAD]);
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value ?? "", 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function parseStatusList(value, fallback) {
+  if (!value) return fallback;
+  const statuses = value
+    .split(/[\s,]+/)
+    .map((part) => Number.parseInt(part, 10))
+    .filter((status) => Number.isInteger(status));
+  return statuses.length > 0 ? statuses : fallback;
+}
+
+/**
+ * Builds the retry policy from the BKN_RETRY_* config keys (see config.js), then applies overrides.
+ *
+ * BKN_RETRY_MAX_ATTEMPTS   total attempts including the first one (default 5)
+ * BKN_RETRY_BASE_DELAY_MS  first backoff step, doubled on every attempt (default 1000)
+ * BKN_RETRY_MAX_DELAY_MS   cap for a single backoff step (default 30000)
+ * BKN_RETRY_STATUSES       comma separated HTTP statuses worth retrying (default 408,429,500,502,503,504)
+ * @param {{ maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, retryableStatuses?: number[], honorRetryAfter?: boolean }} [overrides]
+ */
+function resolveRetryPolicy(overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null));
+  const config = loadConfig();
+  return {
+    maxAttempts: parsePositiveInt(config.BKN_RETRY_MAX_ATTEMPTS, 5),
+    baseDelayMs: parsePositiveInt(config.BKN_RETRY_BASE_DELAY_MS, 1000),
+    maxDelayMs: parsePositiveInt(config.BKN_RETRY_MAX_DELAY_MS, 30000),
+    retryableStatuses: parseStatusList(config.BKN_RETRY_STATUSES, DEFAULT_RETRYABLE_STATUSES),
+    honorRetryAfter: true,
+    ...defined,
+  };
+}
+
+function isRetryableError(error, policy) {
+  if (error.response) {
+    return policy.retryableStatuses.includes(error.response.status);
+  }
+  return RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ * @param {*} error
+ * @returns {number | null}
+ */
+function parseRetryAfterMs(error) {
+  const header = error.response?.headers?.["retry-after"];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const retryDate = Date.parse(header);
+  if (Number.isNaN(retryDate)) return null;
+  return Math.max(0, retryDate - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter, unless the server told us how long to wait.
+ * Retry-After is capped at maxDelayMs like any other step.
+ * @param {number} attempt the attempt that just failed (1-based)
+ */
+function computeRetryDelay(attempt, policy, error) {
+  if (policy.honorRetryAfter) {
+    const retryAfterMs = parseRetryAfterMs(error);
+    if (retryAfterMs !== null) return Math.min(retryAfterMs, policy.maxDelayMs);
+  }
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function describeError(error) {
+  if (error.response) return `status ${error.response.status}`;
+  return error.code || error.message;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs the operation until it succeeds, fails with a non-retryable error or the policy
+ * runs out of attempts. The final error carries the number of attempts in `error.attempts`.
+ * @param {(attempt: number) => Promise<*>} operation
+ * @param {ReturnType<typeof resolveRetryPolicy>} policy
+ * @param {string} context
+ * @returns {Promise<*>}
+ */
+async function withRetry(operation, policy, context) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryableError(error, policy)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delayMs = computeRetryDelay(attempt, policy, error);
+      logger.warn(`[RETRY] ${context} failed (${describeError(error)}). Attempt ${attempt}/${policy.maxAttempts}, retrying in ${delayMs}ms.`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRYABLE_STATUSES,
+  INCOMPLETE_DOWNLOAD,
+  resolveRetryPolicy,
+  isRetryableError,
+  parseRetryAfterMs,
+  computeRetryDelay,
+  withRetry,
+};
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+const { resolveRetryPolicy, withRetry } = require("./retry_policy");
+const { hashFile } = require("./document_store");
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+const sha256Hex = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => crypto.createHmac("sha256", key).update(value).digest();
+
+// RFC 3986 encoding as SigV4 expects it; encodeURIComponent leaves !'()* alone.
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split("/").map(encodeRfc3986).join("/");
+
+/**
+ * AWS Signature Version 4 headers for one request. Every header passed in is signed.
+ * @param {{ method: string, url: URL, headers?: Record<string, string>, payloadHash: string, region: string, accessKeyId: string, secretAccessKey: string, now?: Date }} request
+ * @returns {Record<string, string>} headers to send, including Authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join("&");
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    url.pathname,
+    canonicalQuery,
+    headerNames.map((name) => `${name}:${signedHeaders[name]}\n`).join(""),
+    headerNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+  const signingKey = ["s3", "aws4_request"].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region),
+  );
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const { host, ...sendHeaders } = signedHeaders;
+  return {
+    ...sendHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(";")}, Signature=${signature}`,
+  };
+}
+
+/**
+ * Minimal client for S3-compatible object storage (AWS S3, MinIO): just the object calls the
+ * file storage needs, signed with SigV4 and retried like the BKN client (see retry_policy.js).
+ * MinIO and most self-hosted endpoints need path-style URLs (http://host:9000/<bucket>/<key>).
+ * @param {{ endpoint: string, region?: string, bucket: string, accessKeyId: string, secretAccessKey: string, forcePathStyle?: boolean, retry?: object }} options
+ */
+function createS3Client({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey, forcePathStyle = true, retry }) {
+  const retryPolicy = resolveRetryPolicy(retry);
+  const base = new URL(endpoint);
+
+  function objectUrl(key) {
+    const url = new URL(base.href);
+    const basePath = url.pathname.replace(/\/+$/, "");
+    if (forcePathStyle) {
+      url.pathname = `${basePath}/${encodeRfc3986(bucket)}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  function request(method, key, { headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, data, responseType } = {}) {
+    const url = objectUrl(key);
+    return axios.request({
+      method,
+      url: url.href,
+      headers: signRequest({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey }),
+      data: typeof data === "function" ? data() : data,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    });
+  }
+
+  return {
+    bucket,
+    describe: (key) => `s3://${bucket}/${key}`,
+
+    async putObjectFromFile(key, filePath, { contentType = "application/octet-stream" } = {}) {
+      const [payloadHash, stats] = await Promise.all([hashFile(filePath), fs.promises.stat(filePath)]);
+      await withRetry(
+        () =>
+          request("PUT", key, {
+            headers: { "content-length": String(stats.size), "content-type": contentType },
+            payloadHash,
+            data: () => fs.createReadStream(filePath),
+          }),
+        retryPolicy,
+        `S3 PUT ${key}`,
+      );
+      return { size: stats.size };
+    },
+
+    /** @returns {Promise<{ size: number } | null>} null when the object does not exist */
+    async headObject(key) {
+      try {
+        const response = await withRetry(() => request("HEAD", key), retryPolicy, `S3 HEAD ${key}`);
+        return { size: Number(response.headers["content-length"] ?? 0) };
+      } catch (err) {
+        if (err.response?.status === 404) return null;
+        throw err;
+      }
+    },
+
+    /** @returns {Promise<import("stream").Readable>} */
+    async getObjectStream(key) {
+      const response = await withRetry(
+        () => request("GET", key, { responseType: "stream" }),
+        retryPolicy,
+        `S3 GET ${key}`,
+      );
+      return response.data;
+    },
+
+    async deleteObject(key) {
+      await withRetry(() => request("DELETE", key), retryPolicy, `S3 DELETE ${key}`);
+    },
+  };
+}
+
+module.exports = {
+  createS3Client,
+  signRequest,
+};
@@ -0,0 +1,85 @@
+const path = require("path");
+const { loadConfig } = require("./config");
+
+let cachedPaths = null;
+
+/**
+ * Converts between the absolute paths the scripts copy documents to and the paths BAKAS keeps
+ * in trx_employee_file.file_path, which are relative to its application root (STORAGE_ROOT),
+ * e.g. "/home/linux/sinetron-back/assets/upload/<nip>/<file>" <-> "assets/upload/<nip>/<file>".
+ * @param {{ root: string, uploadBase: string }} options
+ */
+function createStoragePaths({ root, uploadBase }) {
+  const resolvedRoot = path.resolve(root);
+  const resolvedUploadBase = path.resolve(uploadBase);
+
+  const relativeToRoot = (absolutePath) => {
+    const relative = path.relative(resolvedRoot, path.resolve(absolutePath));
+    if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+      return null;
+    }
+    return relative.split(path.sep).join("/");
+  };
+
+  if (!relativeToRoot(resolvedUploadBase)) {
+    throw new Error(`FINAL_FILE_DESTINATION_BASE (${uploadBase}) must be inside STORAGE_ROOT (${root}).`);
+  }
+
+  /**
+   * @param {string} absolutePath file under STORAGE_ROOT
+   * @returns {string} value for trx_employee_file.file_path
+   */
+  function toRelative(absolutePath) {
+    const relative = relativeToRoot(absolutePath);
+    if (!relative) {
+      throw new Error(`${absolutePath} is outside STORAGE_ROOT (${resolvedRoot}).`);
+    }
+    return relative;
+  }
+
+  /**
+   * Accepts both relative paths and the absolute ones older imports stored.
+   * @param {string | null | undefined} filePath trx_employee_file.file_path
+   * @returns {string | null}
+   */
+  function toAbsolute(filePath) {
+    if (!filePath) return null;
+    return path.isAbsolute(filePath) ? filePath : path.join(resolvedRoot, filePath);
+  }
+
+  /**
+   * Normalizes a file_path value to the relative form, which is also the file storage key.
+   * @param {string} filePath
+   * @returns {string}
+   */
+  function toKey(filePath) {
+    return path.isAbsolute(filePath) ? toRelative(filePath) : filePath.split(path.sep).join("/");
+  }
+
+  return {
+    root: resolvedRoot,
+    uploadBase: resolvedUploadBase,
+    employeeDir: (nip) => path.join(resolvedUploadBase, String(nip)),
+    employeeFileKey: (nip, fileName) => toRelative(path.join(resolvedUploadBase, String(nip), fileName)),
+    toRelative,
+    toAbsolute,
+    toKey,
+  };
+}
+
+/**
+ * Storage paths for STORAGE_ROOT and FINAL_FILE_DESTINATION_BASE from config.js, once per process.
+ * @returns {ReturnType<typeof createStoragePaths>}
+ */
+function getStoragePaths() {
+  if (!cachedPaths) {
+    const { STORAGE_ROOT, FINAL_FILE_DESTINATION_BASE } = loadConfig();
+    cachedPaths = createStoragePaths({ root: STORAGE_ROOT, uploadBase: FINAL_FILE_DESTINATION_BASE });
+  }
+  return cachedPaths;
+}
+
+module.exports = {
+  createStoragePaths,
+  getStoragePaths,
+};
@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+
+const logger = require("./logger");
+const { loadConfig } = require("./config");
+const { recordHash } = require("./dataset_stream");
+
+const { SUPERADMIN_ID, STATUS_SYNC_BKN } = loadConfig();
+
+// trx_sync_conflict.conflict_status
+const CONFLICT_STATUS = {
+  OPEN: 0,
+  KEPT_LOCAL: 1,
+  TAKE_BKN: 2,
+};
+
+// --- Synced models ---
+// Columns the conflict policy reads for each table the BKN importers write.
+//   status: only for tables where the sync writes STATUS_SYNC_BKN; trx_pangkat keeps the status
+//           BAKAS uses for its own rows, so there ownership is read from the user/date columns alone
+const SYNCED_MODELS = {
+  trx_jabatan: {
+    domain: "jabatan",
+    id: "trx_jabatan_id",
+    status: "trx_jabatan_status",
+    bknId: "trx_jabatan_bkn_id",
+    createBy: "trx_jabatan_create_by",
+    updateBy: "trx_jabatan_update_by",
+    updateDate: "trx_jabatan_update_date",
+    syncDate: "trx_jabatan_sync_date",
+  },
+  trx_pangkat: {
+    domain: "golongan",
+    id: "pangkat_id",
+    bknId: "pangkat_bkn_id",
+    createBy: "pangkat_create_by",
+    updateBy: "pangkat_update_by",
+    updateDate: "pangkat_update_date",
+    syncDate: "pangkat_sync_date",
+  },
+};
+
+// The importers write create_by and update_by as 0 or SUPERADMIN_ID.
+const isSystemUser = (userId) => userId === null || userId === undefined || userId === 0 || userId === SUPERADMIN_ID;
+
+const formatDate = (date) => (date instanceof Date ? date.toISOString() : String(date));
+
+/**
+ * The columns detectManualEdit decides on, with their values in `row`. Added to the where of an
+ * update, it only writes the row while nobody has changed it since it was read.
+ * @param {keyof SYNCED_MODELS} model
+ * @param {object} row
+ * @returns {object}
+ */
+function syncedState(model, row) {
+  const columns = SYNCED_MODELS[model];
+  return Object.fromEntries([columns.status, columns.updateBy, columns.updateDate, columns.syncDate].filter(Boolean).map((name) => [name, row[name]]));
+}
+
+/**
+ * Why an existing row must not be overwritten by BKN sync, or null when the sync owns it.
+ *
+ * A row belongs to the sync when the sync wrote it and nobody but a system user has updated it
+ * since the last sync (<prefix>_sync_date). Tables with a sync status also need the row to still
+ * be in STATUS_SYNC_BKN; the other tables count a row as written by the sync when it has a sync
+ * date or was created by a system user. Anything else is a manual edit in BAKAS: an admin
+ * verified the row (changing its status), created it or corrected it by hand.
+ * @param {keyof SYNCED_MODELS} model
+ * @param {object} row the existing row
+ * @returns {string | null}
+ */
+function detectManualEdit(model, row) {
+  const columns = SYNCED_MODELS[model];
+  const updateBy = row[columns.updateBy];
+  const updateDate = row[columns.updateDate];
+  const syncDate = row[columns.syncDate];
+
+  if (columns.status) {
+    const status = row[columns.status];
+    if (status !== STATUS_SYNC_BKN) {
+      return `status ${status} is not the BKN sync status (${STATUS_SYNC_BKN})`;
+    }
+  } else if (!syncDate && !isSystemUser(row[columns.createBy])) {
+    return `created by user ${row[columns.createBy]} and never synced`;
+  }
+
+  // Without both dates the order is unknown; assume the edit came last.
+  if (!isSystemUser(updateBy) && (!updateDate || !syncDate || updateDate > syncDate)) {
+    return `edited by user ${updateBy}${updateDate ? ` on ${formatDate(updateDate)}` : ""} after the last sync${syncDate ? ` (${formatDate(syncDate)})` : ""}`;
+  }
+  return null;
+}
+
+/**
+ * Puts a row the importer left untouched on the review queue (trx_sync_conflict) with the local
+ * row and the BKN record side by side. An open conflict for the row is refreshed instead of
+ * duplicated; when an admin already chose to keep the local row for this same BKN data,
+ * nothing is queued.
+ * @param {object} prisma client or transaction
+ * @param {{ model: keyof SYNCED_MODELS, row: object, record: object, reason: string, nip?: string, employeeId?: number }} conflict
+ * @returns {Promise<{ conflictId: number, queued: boolean }>}
+ */
+async function queueConflict(prisma, { model, row, record, reason, nip = null, employeeId = null }) {
+  const columns = SYNCED_MODELS[model];
+  const rowId = row[columns.id];
+  const bknHash = recordHash(record);
+
+  const keptLocal = await prisma.trx_sync_conflict.findFirst({
+    where: { conflict_model: model, conflict_row_id: rowId, conflict_status: CONFLICT_STATUS.KEPT_LOCAL, conflict_bkn_hash: bknHash },
+    select: { conflict_id: true },
+  });
+  if (keptLocal) {
+    return { conflictId: keptLocal.conflict_id, queued: false };
+  }
+
+  const now = new Date();
+  const data = {
+    conflict_employee_id: employeeId,
+    conflict_nip: nip,
+    conflict_bkn_id: record.id !== undefined && record.id !== null ? String(record.id) : null,
+    conflict_bkn_hash: bknHash,
+    conflict_reason: reason.slice(0, 255),
+    conflict_local_data: JSON.stringify(row),
+    conflict_bkn_data: JSON.stringify(record),
+    conflict_update_date: now,
+  };
+
+  const open = await prisma.trx_sync_conflict.findFirst({
+    where: { conflict_model: model, conflict_row_id: rowId, conflict_status: CONFLICT_STATUS.OPEN },
+    select: { conflict_id: true },
+  });
+  if (open) {
+    await prisma.trx_sync_conflict.update({ where: { conflict_id: open.conflict_id }, data });
+    return { conflictId: open.conflict_id, queued: true };
+  }
+
+  const created = await prisma.trx_sync_conflict.create({
+    data: {
+      ...data,
+      conflict_domain: columns.domain,
+      conflict_model: model,
+      conflict_row_id: rowId,
+      conflict_status: CONFLICT_STATUS.OPEN,
+      conflict_create_date: now,
+    },
+  });
+  return { conflictId: created.conflict_id, queued: true };
+}
+
+/**
+ * Resolves an open conflict.
+ *   keep-local: the row stays as edited; later imports with the same BKN data are not queued again
+ *   take-bkn:   the row is handed back to the sync (sync date now, and STATUS_SYNC_BKN where the
+ *               table has a sync status), so the next import of the NIP overwrites it with the BKN data
+ * @param {object} prisma
+ * @param {number} conflictId
+ * @param {"keep-local" | "take-bkn"} resolution
+ * @param {number} resolvedBy user id recorded as conflict_resolve_by
+ */
+async function resolveConflict(prisma, conflictId, resolution, resolvedBy) {
+  const conflict = await prisma.trx_sync_conflict.findUnique({ where: { conflict_id: conflictId } });
+  if (!conflict) throw new Error(`Conflict ${conflictId} does not exist.`);
+  if (conflict.conflict_status !== CONFLICT_STATUS.OPEN) throw new Error(`Conflict ${conflictId} is already resolved.`);
+
+  const columns = SYNCED_MODELS[conflict.conflict_model];
+  if (!columns) throw new Error(`Conflict ${conflictId} is for unknown model ${conflict.conflict_model}.`);
+
+  const now = new Date();
+  return prisma.$transaction(async (tx) => {
+    if (resolution === "take-bkn") {
+      await tx[conflict.conflict_model].update({
+        where: { [columns.id]: conflict.conflict_row_id },
+        data: { ...(columns.status ? { [columns.status]: STATUS_SYNC_BKN } : {}), [columns.syncDate]: now },
+      });
+    } else if (resolution !== "keep-local") {
+      throw new Error(`Unknown resolution "${resolution}" (expected keep-local or take-bkn).`);
+    }
+
+    return tx.trx_sync_conflict.update({
+      where: { conflict_id: conflictId },
+      data: {
+        conflict_status: resolution === "take-bkn" ? CONFLICT_STATUS.TAKE_BKN : CONFLICT_STATUS.KEPT_LOCAL,
+        conflict_resolve_date: now,
+        conflict_resolve_by: resolvedBy,
+      },
+    });
+  });
+}
+
+/**
+ * Listing lines of a conflict: the reason, then the local row and the BKN record as they were
+ * queued. The two use different field names (table columns vs. BKN keys), so both are printed whole.
+ */
+function summarizeConflict(conflict) {
+  const local = JSON.parse(conflict.conflict_local_data || "{}");
+  const bkn = JSON.parse(conflict.conflict_bkn_data || "{}");
+  return [
+    `#${conflict.conflict_id} ${conflict.conflict_domain} NIP ${conflict.conflict_nip ?? "-"} ${conflict.conflict_model} ${conflict.conflict_row_id} (BKN ${conflict.conflict_bkn_id ?? "-"})`,
+    `    reason: ${conflict.conflict_reason}`,
+    `    local:  ${JSON.stringify(local)}`,
+    `    bkn:    ${JSON.stringify(bkn)}`,
+  ];
+}
+
+function parseCliArgs(argv) {
+  const options = {
+    domain: null,
+    nips: [],
+    resolve: null,
+    resolution: null,
+    all: false,
+    commit: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case "--domain":
+        if (i + 1 >= argv.length) {
+          throw new Error("--domain requires a value (jabatan or golongan).");
+        }
+        options.domain = argv[++i];
+        break;
+      case "--nips":
+        if (i + 1 >= argv.length) {
+          throw new Error("--nips requires a comma/space separated list of NIPs.");
+        }
+        options.nips.push(...argv[++i].split(/[\s,]+/).filter(Boolean));
+        break;
+      case "--resolve":
+        if (i + 1 >= argv.length) {
+          throw new Error("--resolve requires a conflict id.");
+        }
+        options.resolve = Number.parseInt(argv[++i], 10);
+        if (!Number.isInteger(options.resolve)) {
+          throw new Error("--resolve requires a numeric conflict id.");
+        }
+        break;
+      case "--keep-local":
+        options.resolution = "keep-local";
+        break;
+      case "--take-bkn":
+        options.resolution = "take-bkn";
+        break;
+      case "--all":
+        options.all = true;
+        break;
+      case "--commit":
+        options.commit = true;
+        break;
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith("--")) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        options.nips.push(arg);
+        break;
+    }
+  }
+
+  if (options.resolve !== null && !options.resolution) {
+    throw new Error("--resolve needs --keep-local or --take-bkn.");
+  }
+  return options;
+}
+
+function printHelp() {
+  const lines = [
+    "Usage: node script/sync_conflicts.js [options] [NIP ...]",
+    "",
+    "Lists rows the BKN importers left untouched because they were edited in BAKAS, with the local",
+    "row and the BKN record side by side, and resolves them.",
+    "",
+    "Options:",
+    "  --domain <name>      Only list conflicts of one domain (jabatan, golongan).",
+    '  --nips "A,B"         Only list conflicts of these NIPs.',
+    "  --all                Include resolved conflicts.",
+    "  --resolve <id>       Resolve a conflict, with one of:",
+    "    --keep-local       keep the BAKAS row; the same BKN data is not queued again",
+    "    --take-bkn         hand the row back to the sync; the next import overwrites it",
+    "  --commit             Apply the resolution (without it, only show what would happen).",
+    "  --help               Show this message.",
+  ];
+  lines.forEach((line) => logger.info(line));
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+  } catch (err) {
+    logger.error(`[ARGS] ${err.message}`);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  const { PrismaClient } = require("@prisma/client");
+  const prisma = new PrismaClient();
+  try {
+    if (options.resolve !== null) {
+      const conflict = await prisma.trx_sync_conflict.findUnique({ where: { conflict_id: options.resolve } });
+      if (!conflict) throw new Error(`Conflict ${options.resolve} does not exist.`);
+      summarizeConflict(conflict).forEach((line) => logger.info(line));
+      if (!options.commit) {
+        logger.info(`[DRY-RUN] Would resolve conflict ${options.resolve} as ${options.resolution}. Pass --commit to apply.`);
+        return;
+      }
+      await resolveConflict(prisma, options.resolve, options.resolution, SUPERADMIN_ID);
+      logger.info(`[RESOLVED] Conflict ${options.resolve}: ${options.resolution}.`);
+      if (options.resolution === "take-bkn") {
+        logger.info(`[RESOLVED] Re-run the ${conflict.conflict_domain} import for NIP ${conflict.conflict_nip} to apply the BKN data.`);
+      }
+      return;
+    }
+
+    const conflicts = await prisma.trx_sync_conflict.findMany({
+      where: {
+        ...(options.all ? {} : { conflict_status: CONFLICT_STATUS.OPEN }),
+        ...(options.domain ? { conflict_domain: options.domain } : {}),
+        ...(options.nips.length > 0 ? { conflict_nip: { in: options.nips } } : {}),
+      },
+      orderBy: { conflict_id: "asc" },
+    });
+    conflicts.forEach((conflict) => summarizeConflict(conflict).forEach((line) => logger.info(line)));
+    logger.info(`[CONFLICTS] ${conflicts.length} ${options.all ? "" : "open "}conflict(s).`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(`[FATAL] sync_conflicts failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  CONFLICT_STATUS,
+  SYNCED_MODELS,
+  detectManualEdit,
+  syncedState,
+  queueConflict,
+  resolveConflict,
+};
@@ -0,0 +1,40 @@
+/**
+ * Processes items with a fixed number of workers that each pull the next item as soon as
+ * they finish, so one slow item never holds back the rest (unlike splice + Promise.all).
+ * Same approach as processInBatches in employee_profile/export_profile.js.
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<*>} handler errors are caught and passed to onSettled
+ * @param {(item: T, result: PromiseSettledResult<*>, processedCount: number) => (void | Promise<void>)} [onSettled]
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(items, concurrency, handler, onSettled) {
+  let nextIndex = 0;
+  let processedCount = 0;
+
+  async function worker() {
+    while (true) {
+      const currentIndex = nextIndex;
+      nextIndex += 1;
+
+      if (currentIndex >= items.length) {
+        return;
+      }
+
+      const item = items[currentIndex];
+      const [result] = await Promise.allSettled([handler(item, currentIndex)]);
+      processedCount += 1;
+      if (onSettled) {
+        await onSettled(item, result, processedCount);
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+}
+
+module.exports = {
+  runWorkerPool,
+};
@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const axios = require("axios");
+const { INCOMPLETE_DOWNLOAD } = require("../script/retry_policy");
+const { PARTIAL_DOWNLOAD_SUFFIX, createBknClient } = require("../script/bkn_client");
+
+const originalGet = axios.get;
+const originalPost = axios.post;
+test.after(() => {
+  axios.get = originalGet;
+  axios.post = originalPost;
+});
+
+/**
+ * Replaces axios with one queued response per GET. Each response is (url) => { headers, chunks }
+ * where chunks may also be an async generator function, to look at the disk mid-download.
+ * @returns {string[]} the requested URLs
+ */
+function stubDownloads(responses) {
+  const requested = [];
+  axios.post = async () => ({ data: { access_token: "token", expires_in: 3600 } });
+  axios.get = async (url, { responseType }) => {
+    assert.equal(responseType, "stream");
+    requested.push(url);
+    const { headers = {}, chunks } = responses.shift()(url);
+    return { status: 200, headers, data: Readable.from(typeof chunks === "function" ? chunks() : chunks) };
+  };
+  return requested;
+}
+
+const createClient = () =>
+  createBknClient({
+    apiBaseUrl: "https://bkn.test/api",
+    tokenUrl: "https://bkn.test/token",
+    clientId: "client",
+    clientSecret: "secret",
+    staticToken: "static",
+    retry: { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 },
+    rateLimit: { ratePerSecond: 0 },
+  });
+
+const tempTarget = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bkn-client-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "872_sk.pdf");
+};
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const body = "%PDF-1.4 document body";
+
+test("the body is written to a .part file and renamed once complete", async () => {
+  const target = tempTarget();
+  const partPath = `${target}${PARTIAL_DOWNLOAD_SUFFIX}`;
+  const midDownload = [];
+  const requested = stubDownloads([
+    () => ({
+      headers: { "content-length": String(body.length) },
+      chunks: async function* () {
+        yield Buffer.from(body.slice(0, 8));
+        await new Promise((resolve) => setImmediate(resolve));
+        midDownload.push({ part: fs.existsSync(partPath), target: fs.existsSync(target) });
+        yield Buffer.from(body.slice(8));
+      },
+    }),
+  ]);
+
+  const result = await createClient().downloadDokumenToFile("/dokumen/sk 1.pdf", target);
+
+  assert.deepEqual(requested, ["https://bkn.test/api/download-dok?filePath=%2Fdokumen%2Fsk%201.pdf"]);
+  assert.deepEqual(midDownload, [{ part: true, target: false }]);
+  assert.deepEqual(result, { size: body.length, sha256: sha256(body) });
+  assert.equal(fs.readFileSync(target, "utf8"), body);
+  assert.equal(fs.existsSync(partPath), false);
+});
+
+test("a body shorter than Content-Length is retried, then fails without touching the target", async () => {
+  const target = tempTarget();
+  fs.writeFileSync(target, "previous download");
+  const short = () => ({ headers: { "content-length": "100" }, chunks: [Buffer.from(body)] });
+  const requested = stubDownloads([short, short]);
+
+  await assert.rejects(createClient().downloadDokumenToFile("/dokumen/sk.pdf", target), (error) => {
+    assert.equal(error.code, INCOMPLETE_DOWNLOAD);
+    assert.equal(error.attempts, 2);
+    assert.match(error.message, new RegExp(`got ${body.length} of 100 bytes`));
+    return true;
+  });
+  assert.equal(requested.length, 2);
+  assert.equal(fs.readFileSync(target, "utf8"), "previous download");
+  assert.equal(fs.existsSync(`${target}${PARTIAL_DOWNLOAD_SUFFIX}`), false);
+});
+
+test("a short body followed by a complete one succeeds on the retry", async () => {
+  const target = tempTarget();
+  const requested = stubDownloads([
+    () => ({ headers: { "content-length": String(body.length) }, chunks: [Buffer.from(body.slice(0, 5))] }),
+    () => ({ headers: { "content-length": String(body.length) }, chunks: [Buffer.from(body)] }),
+  ]);
+
+  const result = await createClient().downloadDokumenToFile("/dokumen/sk.pdf", target);
+
+  assert.equal(requested.length, 2);
+  assert.equal(result.size, body.length);
+  assert.equal(fs.readFileSync(target, "utf8"), body);
+});
+
+test("a checksum that does not match expectedSha256 fails the download", async () => {
+  const target = tempTarget();
+  const complete = () => ({ headers: { "content-length": String(body.length) }, chunks: [Buffer.from(body)] });
+  stubDownloads([complete, complete]);
+
+  await assert.rejects(createClient().downloadDokumenToFile("/dokumen/sk.pdf", target, { expectedSha256: sha256("other") }), (error) => {
+    assert.equal(error.code, INCOMPLETE_DOWNLOAD);
+    assert.match(error.message, /Checksum mismatch for \/dokumen\/sk\.pdf/);
+    return true;
+  });
+  assert.equal(fs.existsSync(target), false);
+  assert.equal(fs.existsSync(`${target}${PARTIAL_DOWNLOAD_SUFFIX}`), false);
+
+  stubDownloads([complete]);
+  const result = await createClient().downloadDokumenToFile("/dokumen/sk.pdf", target, { expectedSha256: sha256(body).toUpperCase() });
+  assert.equal(result.sha256, sha256(body));
+  assert.equal(fs.readFileSync(target, "utf8"), body);
+});
+
+test("Content-Length is not checked against the inflated size of an encoded response", async () => {
+  const target = tempTarget();
+  stubDownloads([() => ({ headers: { "content-length": "7", "content-encoding": "gzip" }, chunks: [Buffer.from(body)] })]);
+
+  const result = await createClient().downloadDokumenToFile("/dokumen/sk.pdf", target);
+
+  assert.equal(result.size, body.length);
+  assert.equal(fs.readFileSync(target, "utf8"), body);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { defineDomain } = require("../script/domain_pipeline");
+const { DATASET_DOMAINS, listSnapshots, readSnapshotMetadata, buildDataset } = require("../script/build_dataset");
+
+const tempDomain = (staged) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "build-dataset-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "staging"));
+  for (const [file, contents] of Object.entries(staged)) {
+    fs.writeFileSync(path.join(dir, "staging", file), typeof contents === "string" ? contents : JSON.stringify(contents));
+  }
+  return defineDomain({ name: "riwayat test", dir, stagingDir: "staging", fetch: async () => null, endpoints: ["/pns/rw-test/{nip}"] });
+};
+
+const readSnapshot = (snapshotPath) => JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+
+test("dataset domains come from the fetchers' domain specs", () => {
+  assert.deepEqual(Object.keys(DATASET_DOMAINS).sort(), ["angka-kredit", "cuti", "diklat", "golongan", "hukuman", "jabatan", "pendidikan", "penghargaan"]);
+  assert.equal(path.basename(DATASET_DOMAINS.golongan.dir), "employee_golongan-pangkat");
+  assert.equal(DATASET_DOMAINS.golongan.stagingDir, "staging_golongan");
+  assert.deepEqual(DATASET_DOMAINS.diklat.endpoints, ["/pns/rw-diklat/{nip}", "/pns/rw-kursus/{nip}"]);
+  assert.deepEqual(
+    DATASET_DOMAINS.diklat.extractRecords({ diklat: { data: [{ id: "d1" }] }, kursus: [{ id: "k1" }] }).map((record) => record._source),
+    ["diklat", "kursus"],
+  );
+});
+
+test("staged NIP files are merged into the next numbered snapshot", async () => {
+  const domain = tempDomain({
+    "111.json": { data: [{ id: "r1", nomorSk: "A" }, { id: "r2", nipBaru: "999" }, { nomorSk: "no id" }] },
+    "222.json": [{ id: "r1", nomorSk: "taken" }, { id: "r3" }],
+    "333.json": "{ not json",
+    "1-final.json": { data: [{ id: "merged" }] },
+  });
+
+  const first = await buildDataset(domain);
+  assert.equal(path.basename(first.path), "0001.json");
+  assert.deepEqual(readSnapshot(first.path).data, [
+    { id: "r1", nomorSk: "A", nipBaru: "111" },
+    { id: "r2", nipBaru: "111" },
+    { nomorSk: "no id", nipBaru: "111" },
+    { id: "r3", nipBaru: "222" },
+  ]);
+
+  const metadata = await readSnapshotMetadata(first.path);
+  assert.deepEqual(metadata, first.metadata);
+  assert.equal(metadata.domain, "riwayat-test");
+  assert.equal(metadata.snapshot, 1);
+  assert.equal(metadata.previousSnapshot, null);
+  assert.deepEqual(metadata.source.endpoints, ["/pns/rw-test/{nip}"]);
+  assert.equal(metadata.nipCount, 2);
+  assert.equal(metadata.recordCount, 4);
+  assert.equal(metadata.duplicateRecords, 1);
+  assert.equal(metadata.recordsWithoutId, 1);
+  assert.equal(metadata.nipMismatches, 1);
+  assert.deepEqual(metadata.skippedFiles, ["333"]);
+  assert.match(metadata.checksum, /^sha256:[0-9a-f]{64}$/);
+
+  const second = await buildDataset(domain);
+  assert.equal(second.metadata.snapshot, 2);
+  assert.equal(second.metadata.previousSnapshot, "0001.json");
+  assert.equal(second.metadata.checksum, metadata.checksum);
+  assert.deepEqual((await listSnapshots(domain)).map((snapshot) => snapshot.number), [1, 2]);
+  assert.deepEqual(fs.readdirSync(path.dirname(first.path)).sort(), ["0001.json", "0002.json"]);
+});
+
+test("a NIP filter and --dry-run limit what is read and written", async () => {
+  const domain = tempDomain({ "111.json": [{ id: "r1" }], "222.json": [{ id: "r2" }] });
+
+  const { path: written, metadata } = await buildDataset(domain, { nipFilter: new Set(["222"]), dryRun: true });
+  assert.equal(written, null);
+  assert.equal(metadata.nipCount, 1);
+  assert.equal(metadata.recordCount, 1);
+  assert.equal(metadata.nipFilter, 1);
+  assert.deepEqual(await listSnapshots(domain), []);
+
+  await assert.rejects(buildDataset(domain, { nipFilter: new Set(["333"]) }), /No staged <nip>\.json files .* for the selected NIPs/);
+});
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openDataset, recordHash, streamDatasetRecords, isDatasetIndexFile } = require("../script/dataset_stream");
+
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dataset-stream-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const writeDataset = (dir, content, name = "1-final.json") => {
+  const datasetPath = path.join(dir, name);
+  fs.writeFileSync(datasetPath, typeof content === "string" ? content : JSON.stringify(content));
+  return datasetPath;
+};
+
+const records = [
+  { id: "a1", nipBaru: "198001012000011001", nomorSk: "SK {1}, \"kutip\" [x]" },
+  { id: "b1", nip: "198502022010012002", nomorSk: "Pengangkatan ñ — é" },
+  { id: "a2", nipBaru: "198001012000011001", nomorSk: "SK 2\\" },
+  { id: "x1", nomorSk: "tanpa NIP" },
+];
+
+test("records are grouped by NIP in first-seen order and read back by byte range", async () => {
+  const dataset = await openDataset(writeDataset(tempDir(), { code: 1, data: records }));
+
+  assert.equal(dataset.recordCount, 4);
+  assert.equal(dataset.nipCount, 2);
+  assert.deepEqual(dataset.listNips(), ["198001012000011001", "198502022010012002"]);
+  assert.equal(dataset.countRecords("198001012000011001"), 2);
+  assert.deepEqual(await dataset.readNip("198001012000011001"), [records[0], records[2]]);
+  assert.deepEqual(await dataset.readNip("198502022010012002"), [records[1]]);
+  assert.deepEqual(await dataset.readNip("199999999999999999"), []);
+});
+
+test("a top-level array works like the object form", async () => {
+  const dataset = await openDataset(writeDataset(tempDir(), records));
+  assert.deepEqual(await dataset.readNip("198001012000011001"), [records[0], records[2]]);
+});
+
+test("record ids narrow both the NIP list and the records read", async () => {
+  const dataset = await openDataset(writeDataset(tempDir(), { data: records }));
+  const recordIds = new Set(["a2"]);
+
+  assert.deepEqual(dataset.listNips({ recordIds }), ["198001012000011001"]);
+  assert.deepEqual(await dataset.readNip("198001012000011001", { recordIds }), [records[2]]);
+  assert.deepEqual(dataset.listNips({ nipFilter: new Set(["198502022010012002"]) }), ["198502022010012002"]);
+
+  const groups = [];
+  for await (const group of dataset.groups({ recordIds: new Set(["a1", "b1"]) })) groups.push(group);
+  assert.deepEqual(groups, [
+    ["198001012000011001", [records[0]]],
+    ["198502022010012002", [records[1]]],
+  ]);
+});
+
+test("the index is written next to the dataset and reused until the dataset changes", async () => {
+  const dir = tempDir();
+  const datasetPath = writeDataset(dir, { data: records });
+  const indexPath = `${datasetPath}.index.json`;
+
+  await openDataset(datasetPath);
+  const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  assert.equal(index.recordCount, 4);
+  assert.deepEqual(index.missingNip, ["x1"]);
+  assert.deepEqual(
+    index.nips["198001012000011001"].map(([, , id]) => id),
+    ["a1", "a2"],
+  );
+
+  // a stale-looking but still matching index is trusted as is
+  fs.writeFileSync(indexPath, JSON.stringify({ ...index, nips: {} }));
+  assert.equal((await openDataset(datasetPath)).nipCount, 0);
+
+  writeDataset(dir, { data: records.slice(0, 2) });
+  const reopened = await openDataset(datasetPath);
+  assert.equal(reopened.recordCount, 2);
+  assert.equal(JSON.parse(fs.readFileSync(indexPath, "utf8")).recordCount, 2);
+});
+
+test("writeIndex: false keeps the index in memory", async () => {
+  const dir = tempDir();
+  const datasetPath = writeDataset(dir, { data: records });
+  await openDataset(datasetPath, { writeIndex: false });
+  assert.deepEqual(fs.readdirSync(dir), ["1-final.json"]);
+});
+
+test("records spanning read chunks keep their offsets", async () => {
+  const padding = "x".repeat(1000);
+  const many = Array.from({ length: 200 }, (_, i) => ({ id: `r${i}`, nipBaru: `NIP${i % 3}`, padding, nama: `Ä${i}` }));
+  const dataset = await openDataset(writeDataset(tempDir(), { data: many }), { writeIndex: false });
+
+  assert.equal(dataset.recordCount, 200);
+  const nip1 = await dataset.readNip("NIP1");
+  assert.deepEqual(
+    nip1,
+    many.filter((record) => record.nipBaru === "NIP1"),
+  );
+});
+
+test("U+FFFD is stripped from records", async () => {
+  const dataset = await openDataset(writeDataset(tempDir(), { data: [{ id: "f1", nipBaru: "N1", nama: "Bud�i" }] }));
+  assert.equal((await dataset.readNip("N1"))[0].nama, "Budi");
+});
+
+test("a truncated dataset or one without records is rejected", async () => {
+  const dir = tempDir();
+  const truncated = writeDataset(dir, JSON.stringify({ data: records }).slice(0, -20), "truncated.json");
+  await assert.rejects(openDataset(truncated), /ends before its records array is closed/);
+
+  const empty = writeDataset(dir, { code: 1, message: "ok" }, "empty.json");
+  await assert.rejects(async () => {
+    for await (const entry of streamDatasetRecords(empty)) assert.fail(`unexpected ${JSON.stringify(entry)}`);
+  }, /does not contain an array/);
+});
+
+test("index files are recognised by name", () => {
+  assert.equal(isDatasetIndexFile("1-final.json.index.json"), true);
+  assert.equal(isDatasetIndexFile("198001012000011001.json"), false);
+});
+
+test("the record hash ignores key order", () => {
+  assert.equal(recordHash({ id: "a", nested: { b: 1, c: [1, 2] } }), recordHash({ nested: { c: [1, 2], b: 1 }, id: "a" }));
+  assert.notEqual(recordHash({ id: "a", c: [1, 2] }), recordHash({ id: "a", c: [2, 1] }));
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { diffRecordFields, diffNipRecords, diffDatasets, formatDiffReport } = require("../script/diff_dataset");
+
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "diff-dataset-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test("field changes are reported by dotted path, including emptied and missing fields", () => {
+  const before = { id: "r1", nomorSk: "A", path: { 872: { dok_uri: "a.pdf" } }, tags: ["x"] };
+  const after = { id: "r1", nomorSk: "A", path: {}, tags: [], tmtSk: "01-01-2026" };
+
+  assert.deepEqual(diffRecordFields(before, after), [
+    { field: "path.872.dok_uri", before: "a.pdf", after: undefined },
+    { field: "tags.0", before: "x", after: undefined },
+    { field: "path", before: undefined, after: {} },
+    { field: "tags", before: undefined, after: [] },
+    { field: "tmtSk", before: undefined, after: "01-01-2026" },
+  ]);
+});
+
+test("records are matched by BKN id and compared by content", () => {
+  const before = [
+    { id: "r1", nomorSk: "A", tmtSk: "01-01-2020" },
+    { id: "r2", nomorSk: "B" },
+    { id: "r3", nomorSk: "C" },
+  ];
+  const after = [
+    { tmtSk: "01-01-2020", nomorSk: "A", id: "r1" },
+    { id: "r2", nomorSk: "B2" },
+    { id: "r4", nomorSk: "D" },
+  ];
+
+  const result = diffNipRecords(before, after);
+  assert.equal(result.unchanged, 1);
+  assert.deepEqual(
+    result.added.map(({ id }) => id),
+    ["r4"],
+  );
+  assert.deepEqual(
+    result.removed.map(({ id }) => id),
+    ["r3"],
+  );
+  assert.equal(result.modified.length, 1);
+  assert.equal(result.modified[0].id, "r2");
+  assert.notEqual(result.modified[0].hashBefore, result.modified[0].hashAfter);
+  assert.deepEqual(result.modified[0].changes, [{ field: "nomorSk", before: "B", after: "B2" }]);
+});
+
+test("records without an id can only be added or removed", () => {
+  const result = diffNipRecords([{ nomorSk: "A" }], [{ nomorSk: "A" }, { id: "", nomorSk: "B" }]);
+  assert.equal(result.unchanged, 1);
+  assert.equal(result.added.length, 1);
+  assert.match(result.added[0].id, /^hash:[0-9a-f]{64}$/);
+  assert.deepEqual(result.modified, []);
+});
+
+test("two datasets are diffed NIP by NIP, including NIPs only one of them has", async () => {
+  const dir = tempDir();
+  const fromPath = path.join(dir, "1.json");
+  const toPath = path.join(dir, "2.json");
+  const metadata = { snapshot: 2, builtAt: "2026-10-19T00:00:00.000Z", fetchedTo: "2026-10-18", checksum: "abc" };
+  fs.writeFileSync(
+    fromPath,
+    JSON.stringify({
+      data: [
+        { id: "a1", nipBaru: "N1", nomorSk: "A" },
+        { id: "b1", nipBaru: "N2", nomorSk: "B" },
+        { id: "c1", nipBaru: "N3", nomorSk: "C" },
+      ],
+    }),
+  );
+  fs.writeFileSync(
+    toPath,
+    `{"metadata":${JSON.stringify(metadata)},\n"data":[\n` +
+      [
+        { id: "a1", nipBaru: "N1", nomorSk: "A2" },
+        { id: "b1", nipBaru: "N2", nomorSk: "B" },
+        { id: "d1", nipBaru: "N4", nomorSk: "D" },
+      ]
+        .map((record) => JSON.stringify(record))
+        .join(",\n") +
+      "\n]}\n",
+  );
+
+  const diff = await diffDatasets(fromPath, toPath);
+  assert.equal(diff.from.snapshot, null);
+  assert.equal(diff.to.snapshot, 2);
+  assert.equal(diff.to.fetchedTo, "2026-10-18");
+  assert.deepEqual(diff.summary, {
+    nipsCompared: 4,
+    nipsChanged: 3,
+    nipsAdded: 1,
+    nipsRemoved: 1,
+    added: 1,
+    removed: 1,
+    modified: 1,
+    unchanged: 1,
+  });
+  assert.deepEqual(Object.keys(diff.nips), ["N1", "N4", "N3"]);
+
+  const filtered = await diffDatasets(fromPath, toPath, { nipFilter: new Set(["N1", "N2"]) });
+  assert.equal(filtered.nipFilter, 2);
+  assert.deepEqual(Object.keys(filtered.nips), ["N1"]);
+
+  const report = formatDiffReport(diff);
+  assert.match(report[3], /3\/4 NIP\(s\) changed \(1 new, 1 gone\): 1 added, 1 removed, 1 modified, 1 unchanged/);
+  assert.ok(report.includes("NIP N1: +0 -0 ~1"));
+  assert.ok(report.includes('      nomorSk: "A" -> "A2"'));
+  assert.ok(report.includes("  + d1"));
+  assert.ok(report.includes("  - c1"));
+});
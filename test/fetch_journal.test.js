@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFetchJournal } = require("../script/fetch_journal");
+
+const tempJournal = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fetch-journal-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createFetchJournal(path.join(dir, "fetch_journal.json"));
+};
+
+const doc = (nip, recordId) => ({ nip, recordId, docKey: "872", dokUri: `x/${recordId}.pdf` });
+
+function failedRun() {
+  const journal = tempJournal();
+  journal.recordNip("A", "failed", { error: new Error("timeout") });
+  journal.recordNip("B", "success");
+  journal.recordNip("C", "success");
+  journal.recordDocument("b1_872_sk.pdf", doc("B", "b1"), "failed", { attempts: 5 });
+  journal.recordDocument("b2_872_sk.pdf", doc("B", "b2"), "success");
+  journal.recordDocument("c1_872_sk.pdf", doc("C", "c1"), "success");
+  return journal;
+}
+
+test("retry plan re-fetches failed NIPs and only the failed documents of the others", () => {
+  const plan = failedRun().buildRetryPlan();
+  assert.deepEqual([...plan.keys()].sort(), ["A", "B"]);
+  assert.equal(plan.get("A"), null);
+  assert.deepEqual([...plan.get("B")], ["b1_872_sk.pdf"]);
+});
+
+test("a NIP filter narrows the retry plan and never adds NIPs without failures", () => {
+  const plan = failedRun().buildRetryPlan(new Set(["B", "C", "D"]));
+  assert.deepEqual([...plan.keys()], ["B"]);
+});
+
+test("a NIP that failed as a whole is re-fetched completely even with failed documents", () => {
+  const journal = failedRun();
+  journal.recordNip("B", "failed");
+  assert.equal(journal.buildRetryPlan().get("B"), null);
+});
+
+test("the journal survives a reload and counts entries by status", async () => {
+  const journal = failedRun();
+  await journal.flush();
+  const reloaded = createFetchJournal(journal.path);
+  await reloaded.load();
+  assert.deepEqual(reloaded.summarize(), { nips: { failed: 1, success: 2 }, documents: { failed: 1, success: 2 } });
+  assert.equal(reloaded.getDocument("b1_872_sk.pdf").attempts, 5);
+  assert.equal(reloaded.getDocument("missing.pdf"), null);
+});
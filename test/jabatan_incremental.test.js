@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createDomainImporter, stagedDownloadName } = require("../script/domain_pipeline");
+const jabatan = require("../script/employee_jabatan/domain");
+
+const downloadDir = path.join(jabatan.dir, "temp_downloads");
+const record = {
+  id: `incremental-test-${process.pid}`,
+  jenisJabatan: "4",
+  jabatanFungsionalUmumId: "F1",
+  namaJabatan: "Pengadministrasi Umum",
+  tmtJabatan: "01-04-2010",
+  nomorSk: "SK 1",
+  tanggalSk: "01-03-2010",
+  path: { 872: { dok_id: "872", dok_uri: "/dokumen/sk_jabatan.pdf" } },
+};
+const stagedDocument = path.join(downloadDir, stagedDownloadName(record.id, "872", record.path[872].dok_uri));
+
+const createdDownloadDir = !fs.existsSync(downloadDir);
+fs.mkdirSync(downloadDir, { recursive: true });
+test.after(() => fs.rmSync(createdDownloadDir ? downloadDir : stagedDocument, { recursive: true, force: true }));
+
+/**
+ * Runs one incremental dry run of the record against a trx_jabatan row holding storedHash.
+ * @returns {Promise<{ unchanged: number, lookedUp: number }>} lookedUp counts the row lookups
+ *   of records that went on to be imported
+ */
+async function importIncrementally(importedRecord, storedHash) {
+  let lookedUp = 0;
+  const prisma = {
+    ms_employee: { findFirst: async () => ({ employee_id: 7 }) },
+    trx_jabatan: {
+      findMany: async () => [{ trx_jabatan_bkn_id: record.id, trx_jabatan_bkn_hash: storedHash }],
+      findUnique: async () => {
+        lookedUp++;
+        return null;
+      },
+    },
+  };
+  const importer = createDomainImporter(jabatan, { prisma, script: "test" });
+  const report = { created: 0, updated: 0, unchanged: 0, conflicts: 0, skipped: 0, failed: 0, files: 0, changedDocuments: 0, missingEmployees: 0 };
+  await importer.processRecordsForNip("199001012020011001", [importedRecord], { dryRun: true, incremental: true, report });
+  assert.equal(report.failed, 0);
+  assert.equal(report.skipped, 0);
+  return { unchanged: report.unchanged, lookedUp };
+}
+
+test("a record whose data and staged document are unchanged is skipped", async () => {
+  fs.writeFileSync(stagedDocument, "%PDF-1.4 first version");
+  const storedHash = await jabatan.changeHash(record);
+
+  assert.deepEqual(await importIncrementally(record, storedHash), { unchanged: 1, lookedUp: 0 });
+  assert.equal(await jabatan.changeHash(structuredClone(record)), storedHash);
+});
+
+test("a changed record field is imported again", async () => {
+  fs.writeFileSync(stagedDocument, "%PDF-1.4 first version");
+  const storedHash = await jabatan.changeHash(record);
+
+  assert.deepEqual(await importIncrementally({ ...record, nomorSk: "SK 1/REV" }, storedHash), { unchanged: 0, lookedUp: 1 });
+});
+
+test("a replaced staged document is imported again, even with the same size and mtime", async () => {
+  const mtime = new Date("2026-01-01T00:00:00Z");
+  fs.writeFileSync(stagedDocument, "%PDF-1.4 first version");
+  fs.utimesSync(stagedDocument, mtime, mtime);
+  const storedHash = await jabatan.changeHash(record);
+
+  fs.writeFileSync(stagedDocument, "%PDF-1.4 other version");
+  fs.utimesSync(stagedDocument, mtime, mtime);
+
+  assert.notEqual(await jabatan.changeHash(record), storedHash);
+  assert.deepEqual(await importIncrementally(record, storedHash), { unchanged: 0, lookedUp: 1 });
+});
+
+test("a document that is no longer staged changes the hash", async () => {
+  fs.writeFileSync(stagedDocument, "%PDF-1.4 first version");
+  const storedHash = await jabatan.changeHash(record);
+  fs.rmSync(stagedDocument);
+
+  assert.notEqual(await jabatan.changeHash(record), storedHash);
+});
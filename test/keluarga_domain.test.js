@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const keluarga = require("../script/employee_keluarga/domain");
+
+const normalizeAll = (staged) => keluarga.extractRecords(staged).map(keluarga.normalize);
+
+test("a nested orang does not replace the id of the pasangan record", () => {
+  const [istri] = normalizeAll({
+    pasangan: {
+      data: {
+        listPasangan: [
+          {
+            id: "pasangan-1",
+            orang: { id: "orang-9", nama: "Siti", nik: "3201", jenisKelamin: "F", tglLahir: "02-03-1990" },
+            dataPernikahan: { id: "nikah-4", tgglMenikah: "05-06-2015" },
+          },
+        ],
+      },
+    },
+  });
+
+  assert.equal(istri.bknId, "pasangan-1");
+  assert.equal(istri.hubungan, "ISTRI");
+  assert.equal(istri.nama, "Siti");
+  assert.equal(istri.nik, "3201");
+  assert.equal(istri.jenisKelamin, "F");
+  assert.ok(istri.tanggalLahir instanceof Date);
+  assert.ok(istri.tanggalMenikah instanceof Date);
+});
+
+test("flat anak and orang tua records map their documented fields", () => {
+  const members = normalizeAll({
+    anak: { data: { listAnak: [{ id: "anak-1", namaLengkap: "Budi", noKtp: "3202", jenisKelamin: "M", statusHidup: "1" }] } },
+    orangTua: { data: { ayah: { orangId: "ayah-1", nama: "Ahmad", isHidup: false }, ibu: { dataOrang: { id: "orang-2", nama: "Aminah" } } } },
+  });
+
+  assert.deepEqual(
+    members.map(({ hubungan, bknId, nama, nik, statusHidup }) => ({ hubungan, bknId, nama, nik, statusHidup })),
+    [
+      { hubungan: "ANAK", bknId: "anak-1", nama: "Budi", nik: "3202", statusHidup: 1 },
+      { hubungan: "AYAH", bknId: "ayah-1", nama: "Ahmad", nik: null, statusHidup: 0 },
+      { hubungan: "IBU", bknId: null, nama: "Aminah", nik: null, statusHidup: null },
+    ],
+  );
+  assert.match(keluarga.validate(members[2]), /IBU record without id/);
+});
+
+test("fields BKN did not document are not carried over", () => {
+  const [anak] = keluarga.extractRecords({ anak: { data: [{ id: "anak-2", nama: "Citra", keluarga_status: 9, orang: { unorId: "U1" } }] } });
+  assert.equal(anak.keluarga_status, undefined);
+  assert.equal(anak.unorId, undefined);
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateDocument, assertValidDocument } = require("../script/pdf_validator");
+
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-validator-"));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+/** A one-page PDF with a correct cross-reference table. */
+function buildPdf({ prefix = "" } = {}) {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>",
+  ];
+  let body = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(prefix + body, "latin1");
+}
+
+const writeFile = (dir, name, contents) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+test("a complete PDF is valid and reports its version and page count", async () => {
+  const dir = tempDir();
+  const result = await validateDocument(writeFile(dir, "sk.pdf", buildPdf()));
+
+  assert.equal(result.valid, true);
+  assert.equal(result.type, "pdf");
+  assert.equal(result.version, "1.4");
+  assert.equal(result.pages, 1);
+  assert.equal(result.encrypted, false);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+});
+
+test("bytes before the header shift the xref offsets but keep the PDF valid", async () => {
+  const dir = tempDir();
+  const result = await validateDocument(writeFile(dir, "sk.pdf", buildPdf({ prefix: "\r\n\r\n" })));
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings, ["4 byte(s) before the %PDF- header"]);
+});
+
+test("a truncated download is invalid", async () => {
+  const dir = tempDir();
+  const pdf = buildPdf();
+  const filePath = writeFile(dir, "sk.pdf", pdf.subarray(0, pdf.indexOf("xref")));
+  const result = await validateDocument(filePath);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.type, "pdf");
+  assert.ok(result.errors.includes("No %%EOF marker at the end (truncated download?)"));
+  assert.ok(result.errors.includes("No startxref at the end of the file"));
+  await assert.rejects(assertValidDocument(filePath, "/dokumen/sk.pdf"), /Invalid document \/dokumen\/sk\.pdf: No %%EOF marker/);
+});
+
+test("an HTML error page saved as a PDF is invalid", async () => {
+  const dir = tempDir();
+  const html = "\uFEFF<!DOCTYPE html>\n<html><head><title> 502 Bad Gateway </title></head><body>nginx</body></html>";
+  const result = await validateDocument(writeFile(dir, "sk.pdf", html));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.type, "html");
+  assert.deepEqual(result.errors, ['HTML page instead of a document ("502 Bad Gateway")']);
+});
+
+test("a JSON error body is invalid even for non-PDF names", async () => {
+  const dir = tempDir();
+  const result = await validateDocument(writeFile(dir, "foto.jpg", JSON.stringify({ code: 0, message: "Dokumen tidak ditemukan" })));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.type, "json");
+  assert.deepEqual(result.errors, ["JSON body instead of a document: Dokumen tidak ditemukan"]);
+});
+
+test("an empty file is invalid", async () => {
+  const dir = tempDir();
+  const result = await validateDocument(writeFile(dir, "sk.pdf", ""));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.type, "empty");
+  assert.equal(result.size, 0);
+  assert.deepEqual(result.errors, ["File is empty"]);
+});
+
+test("an image is only accepted when no PDF is expected", async () => {
+  const dir = tempDir();
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+  const asPdf = await validateDocument(writeFile(dir, "sk.pdf", jpeg));
+  assert.equal(asPdf.valid, false);
+  assert.deepEqual(asPdf.errors, ["JPEG image saved as a PDF"]);
+
+  const asImage = await validateDocument(writeFile(dir, "sk.jpg", jpeg));
+  assert.equal(asImage.valid, true);
+  assert.equal(asImage.type, "jpeg");
+});
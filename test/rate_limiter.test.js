@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createTokenBucket, createRateLimiter } = require("../script/rate_limiter");
+
+test("a bucket serves its burst at once, then waits for refills", async () => {
+  const bucket = createTokenBucket({ ratePerSecond: 20, burst: 2 });
+  const started = Date.now();
+  await bucket.acquire();
+  await bucket.acquire();
+  assert.ok(Date.now() - started < 40);
+  await bucket.acquire();
+  await bucket.acquire();
+  // Two more tokens at 20/s take about 100ms.
+  assert.ok(Date.now() - started >= 80, `took ${Date.now() - started}ms`);
+});
+
+test("waiters are served in the order they asked", async () => {
+  const bucket = createTokenBucket({ ratePerSecond: 50, burst: 1 });
+  const order = [];
+  await Promise.all([1, 2, 3, 4].map((n) => bucket.acquire().then(() => order.push(n))));
+  assert.deepEqual(order, [1, 2, 3, 4]);
+});
+
+test("a rate of 0 disables limiting", async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 0 });
+  const started = Date.now();
+  for (let i = 0; i < 100; i++) await limiter.acquire("rw-jabatan");
+  assert.ok(Date.now() - started < 50);
+});
+
+test("per-endpoint limits apply on top of the global one", async () => {
+  const limiter = createRateLimiter({ ratePerSecond: 0, endpoints: { "download-dok": 20 } });
+  assert.deepEqual(limiter.endpointLimits, { "download-dok": 20 });
+
+  let started = Date.now();
+  for (let i = 0; i < 5; i++) await limiter.acquire("rw-jabatan");
+  assert.ok(Date.now() - started < 40);
+
+  started = Date.now();
+  // Burst of 20, then one token every 50ms.
+  for (let i = 0; i < 22; i++) await limiter.acquire("download-dok");
+  assert.ok(Date.now() - started >= 80, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveRetryPolicy, isRetryableError, parseRetryAfterMs, computeRetryDelay, withRetry } = require("../script/retry_policy");
+
+const policy = (overrides = {}) =>
+  resolveRetryPolicy({ maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 1000, retryableStatuses: [429, 503], ...overrides });
+const httpError = (status, headers = {}) => Object.assign(new Error(`status ${status}`), { response: { status, headers } });
+
+test("retries the configured statuses and network codes only", () => {
+  assert.equal(isRetryableError(httpError(429), policy()), true);
+  assert.equal(isRetryableError(httpError(404), policy()), false);
+  assert.equal(isRetryableError(Object.assign(new Error("reset"), { code: "ECONNRESET" }), policy()), true);
+  assert.equal(isRetryableError(new Error("bug"), policy()), false);
+});
+
+test("parses Retry-After as seconds or as an HTTP date", () => {
+  assert.equal(parseRetryAfterMs(httpError(429, { "retry-after": "2" })), 2000);
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString();
+  const ms = parseRetryAfterMs(httpError(429, { "retry-after": inFiveSeconds }));
+  assert.ok(ms > 3000 && ms <= 5000, `got ${ms}`);
+  assert.equal(parseRetryAfterMs(httpError(429, { "retry-after": "soon" })), null);
+  assert.equal(parseRetryAfterMs(httpError(429)), null);
+});
+
+test("backoff stays below the doubled step and the cap", () => {
+  for (let i = 0; i < 50; i++) {
+    assert.ok(computeRetryDelay(1, policy(), httpError(503)) <= 100);
+    assert.ok(computeRetryDelay(3, policy(), httpError(503)) <= 400);
+    assert.ok(computeRetryDelay(10, policy(), httpError(503)) <= 1000);
+  }
+});
+
+test("Retry-After is honoured but capped at maxDelayMs", () => {
+  assert.equal(computeRetryDelay(1, policy(), httpError(429, { "retry-after": "0.5" })), 500);
+  assert.equal(computeRetryDelay(1, policy(), httpError(429, { "retry-after": "86400" })), 1000);
+  assert.ok(computeRetryDelay(1, policy({ honorRetryAfter: false }), httpError(429, { "retry-after": "0.5" })) <= 100);
+});
+
+test("withRetry stops after maxAttempts and reports the attempt count", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls += 1;
+        throw httpError(503, { "retry-after": "0" });
+      },
+      policy(),
+      "test",
+    ),
+    (error) => error.attempts === 3,
+  );
+  assert.equal(calls, 3);
+});
+
+test("withRetry does not retry other errors", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls += 1;
+        throw httpError(400);
+      },
+      policy(),
+      "test",
+    ),
+    (error) => error.attempts === 1,
+  );
+  assert.equal(calls, 1);
+});
+
+test("withRetry returns the first successful result", async () => {
+  const result = await withRetry(
+    async (attempt) => {
+      if (attempt < 2) throw httpError(429, { "retry-after": "0" });
+      return attempt;
+    },
+    policy(),
+    "test",
+  );
+  assert.equal(result, 2);
+});
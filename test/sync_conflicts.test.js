@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadConfig } = require("../script/config");
+const { CONFLICT_STATUS, detectManualEdit, syncedState, queueConflict } = require("../script/sync_conflicts");
+
+const { SUPERADMIN_ID, STATUS_SYNC_BKN } = loadConfig();
+const ADMIN = SUPERADMIN_ID + 1;
+const synced = new Date("2026-01-10T00:00:00Z");
+const before = new Date("2026-01-05T00:00:00Z");
+const after = new Date("2026-01-20T00:00:00Z");
+
+const jabatan = (overrides = {}) => ({
+  trx_jabatan_id: 1,
+  trx_jabatan_status: STATUS_SYNC_BKN,
+  trx_jabatan_bkn_id: "r1",
+  trx_jabatan_create_by: 0,
+  trx_jabatan_update_by: null,
+  trx_jabatan_update_date: null,
+  trx_jabatan_sync_date: synced,
+  ...overrides,
+});
+
+const pangkat = (overrides = {}) => ({
+  pangkat_id: 2,
+  pangkat_status: 1,
+  pangkat_bkn_id: "p1",
+  pangkat_create_by: SUPERADMIN_ID,
+  pangkat_update_by: null,
+  pangkat_update_date: null,
+  pangkat_sync_date: synced,
+  ...overrides,
+});
+
+test("a jabatan row in the sync status that nobody edited belongs to the sync", () => {
+  assert.equal(detectManualEdit("trx_jabatan", jabatan()), null);
+  assert.equal(detectManualEdit("trx_jabatan", jabatan({ trx_jabatan_update_by: SUPERADMIN_ID, trx_jabatan_update_date: after })), null);
+});
+
+test("a jabatan row moved out of the sync status is a manual edit", () => {
+  assert.match(detectManualEdit("trx_jabatan", jabatan({ trx_jabatan_status: 1 })), /status 1 is not the BKN sync status/);
+});
+
+test("a user edit counts only when it came after the last sync or its order is unknown", () => {
+  assert.equal(detectManualEdit("trx_jabatan", jabatan({ trx_jabatan_update_by: ADMIN, trx_jabatan_update_date: before })), null);
+  assert.match(detectManualEdit("trx_jabatan", jabatan({ trx_jabatan_update_by: ADMIN, trx_jabatan_update_date: after })), /edited by user/);
+  assert.match(detectManualEdit("trx_jabatan", jabatan({ trx_jabatan_update_by: ADMIN, trx_jabatan_sync_date: null })), /edited by user/);
+});
+
+test("pangkat ownership ignores the status and reads the user/date columns", () => {
+  assert.equal(detectManualEdit("trx_pangkat", pangkat()), null);
+  assert.equal(detectManualEdit("trx_pangkat", pangkat({ pangkat_status: 2 })), null);
+  // rows from imports that predate pangkat_sync_date were created by a system user
+  assert.equal(detectManualEdit("trx_pangkat", pangkat({ pangkat_sync_date: null })), null);
+  assert.match(detectManualEdit("trx_pangkat", pangkat({ pangkat_create_by: ADMIN, pangkat_sync_date: null })), /never synced/);
+  assert.match(detectManualEdit("trx_pangkat", pangkat({ pangkat_update_by: ADMIN, pangkat_update_date: after })), /edited by user/);
+});
+
+test("the update guard covers the columns ownership is decided on", () => {
+  assert.deepEqual(syncedState("trx_jabatan", jabatan({ trx_jabatan_update_by: SUPERADMIN_ID, trx_jabatan_update_date: before })), {
+    trx_jabatan_status: STATUS_SYNC_BKN,
+    trx_jabatan_update_by: SUPERADMIN_ID,
+    trx_jabatan_update_date: before,
+    trx_jabatan_sync_date: synced,
+  });
+  assert.deepEqual(syncedState("trx_pangkat", pangkat()), { pangkat_update_by: null, pangkat_update_date: null, pangkat_sync_date: synced });
+});
+
+function fakeConflictTable(rows = []) {
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+  return {
+    rows,
+    trx_sync_conflict: {
+      findFirst: async ({ where }) => rows.find((row) => matches(row, where)) ?? null,
+      create: async ({ data }) => {
+        const row = { ...data, conflict_id: rows.length + 1 };
+        rows.push(row);
+        return row;
+      },
+      update: async ({ where, data }) => Object.assign(rows.find((row) => row.conflict_id === where.conflict_id), data),
+    },
+  };
+}
+
+test("a conflict is queued once per row and refreshed while open", async () => {
+  const db = fakeConflictTable();
+  const first = await queueConflict(db, { model: "trx_jabatan", row: jabatan(), record: { id: "r1", nomorSk: "A" }, reason: "edited" });
+  const second = await queueConflict(db, { model: "trx_jabatan", row: jabatan(), record: { id: "r1", nomorSk: "B" }, reason: "edited" });
+  assert.deepEqual(first, { conflictId: 1, queued: true });
+  assert.deepEqual(second, { conflictId: 1, queued: true });
+  assert.equal(db.rows.length, 1);
+  assert.equal(JSON.parse(db.rows[0].conflict_bkn_data).nomorSk, "B");
+});
+
+test("BKN data an admin already kept local for is not queued again", async () => {
+  const db = fakeConflictTable();
+  const record = { id: "r1", nomorSk: "A" };
+  await queueConflict(db, { model: "trx_jabatan", row: jabatan(), record, reason: "edited" });
+  db.rows[0].conflict_status = CONFLICT_STATUS.KEPT_LOCAL;
+
+  assert.deepEqual(await queueConflict(db, { model: "trx_jabatan", row: jabatan(), record: { nomorSk: "A", id: "r1" }, reason: "edited" }), {
+    conflictId: 1,
+    queued: false,
+  });
+  assert.deepEqual(await queueConflict(db, { model: "trx_jabatan", row: jabatan(), record: { id: "r1", nomorSk: "C" }, reason: "edited" }), {
+    conflictId: 2,
+    queued: true,
+  });
+});
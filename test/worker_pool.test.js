@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runWorkerPool } = require("../script/worker_pool");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("never runs more handlers at once than the concurrency", async () => {
+  let running = 0;
+  let peak = 0;
+  const done = [];
+  await runWorkerPool([80, 5, 5, 5, 5, 5], 2, async (ms, index) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await sleep(ms);
+    running -= 1;
+    done.push(index);
+  });
+  assert.equal(peak, 2);
+  // The slow first item does not hold back the others.
+  assert.equal(done[done.length - 1], 0);
+});
+
+test("reports every item to onSettled, including failures", async () => {
+  const settled = [];
+  await runWorkerPool(
+    ["a", "b", "c"],
+    3,
+    async (item) => {
+      if (item === "b") throw new Error("boom");
+      return item.toUpperCase();
+    },
+    (item, result, processedCount) => settled.push([item, result.status, result.value ?? result.reason.message, processedCount]),
+  );
+  assert.deepEqual(
+    settled.sort(([a], [b]) => a.localeCompare(b)).map(([item, status, value]) => [item, status, value]),
+    [
+      ["a", "fulfilled", "A"],
+      ["b", "rejected", "boom"],
+      ["c", "fulfilled", "C"],
+    ],
+  );
+  assert.deepEqual(settled.map(([, , , count]) => count).sort(), [1, 2, 3]);
+});
+
+test("handles an empty list", async () => {
+  let calls = 0;
+  await runWorkerPool([], 4, async () => {
+    calls += 1;
+  });
+  assert.equal(calls, 0);
+});